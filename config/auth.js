@@ -0,0 +1,22 @@
+const crypto = require("crypto");
+
+// Never fall back to a well-known secret: without JWT_SECRET, sign with a random per-process key
+// (tokens then stop working on restart) and say so loudly.
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+    console.warn("JWT_SECRET is not set; using a random secret. Tokens will not survive a restart.");
+    jwtSecret = crypto.randomBytes(48).toString("hex");
+}
+
+module.exports = {
+    jwtSecret,
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || "15m",
+    refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    passwordResetTtlMinutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    emailVerificationTtlHours: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48,
+    // Tickets let EventSource clients (which can't set headers) open the dispatch stream without putting
+    // their access token in the URL; they are only good for that and for this long
+    streamTicketTtlSeconds: Number(process.env.STREAM_TICKET_TTL_SECONDS) || 60,
+    // Refuse logins from accounts that haven't confirmed their email
+    requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === "true"
+};
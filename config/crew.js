@@ -0,0 +1,12 @@
+// How many crew of each role may be assigned to one ambulance (Driver/Medic.assigned_ambulance).
+// `max` is enforced when crew are assigned; an ambulance below any `min` is reported as incomplete
+// by GET /api/ambulances/:id/crew. Roles with a min above 0 are also the ones dispatch requires on shift.
+
+const envNumber = (name, fallback) => (process.env[name] === undefined || process.env[name] === "" ? fallback : Number(process.env[name]));
+
+module.exports = {
+    composition: {
+        driver: { min: envNumber("CREW_MIN_DRIVERS", 1), max: envNumber("CREW_MAX_DRIVERS", 1) },
+        medic: { min: envNumber("CREW_MIN_MEDICS", 1), max: envNumber("CREW_MAX_MEDICS", 3) }
+    }
+};
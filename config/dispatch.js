@@ -0,0 +1,29 @@
+const { composition } = require("./crew");
+
+// Dispatch rules
+module.exports = {
+    // Only ambulances with a clocked-in crew member for each of these roles can be dispatched.
+    // Set DISPATCH_REQUIRE_CREW=false to dispatch on vehicle status alone.
+    requireClockedInCrew: process.env.DISPATCH_REQUIRE_CREW !== "false",
+    requiredCrewRoles: Object.keys(composition).filter((role) => composition[role].min > 0),
+    // How early before a shift's start crew may clock in
+    clockInEarlyMinutes: Number(process.env.SHIFT_CLOCK_IN_EARLY_MINUTES) || 30,
+    // How often crew still clocked in after their shift ended are clocked out
+    shiftCheckIntervalMinutes: Number(process.env.SHIFT_CHECK_INTERVAL_MINUTES) || 5,
+    // New reports this close in space and time to an open incident of a compatible type are flagged as likely duplicates
+    duplicateRadiusMeters: Number(process.env.DUPLICATE_RADIUS_M) || 300,
+    duplicateWindowMinutes: Number(process.env.DUPLICATE_WINDOW_MINUTES) || 30,
+    // A dispatched crew must accept within this time or the call is offered to the next-best ambulance
+    acknowledgeTimeoutSeconds: Number(process.env.DISPATCH_ACK_TIMEOUT_SECONDS) || 90,
+    acknowledgeCheckIntervalSeconds: Number(process.env.DISPATCH_ACK_CHECK_INTERVAL_SECONDS) || 15,
+    // Waiting incidents are queued by priority, each queueAgingMinutes of waiting counting as one level more
+    // urgent, but never aged past queueAgingFloor (so old low-priority calls don't overtake true priority 1s)
+    queueAgingMinutes: Number(process.env.QUEUE_AGING_MINUTES) || 10,
+    queueAgingFloor: Number(process.env.QUEUE_AGING_FLOOR) || 2,
+    // Opt in to offering the head of the queue to free ambulances automatically, once a call has waited this
+    // long for a dispatcher (dispatchers can hold a call or send it to the front)
+    queueAutoDispatch: process.env.QUEUE_AUTO_DISPATCH === "true",
+    queueAutoDispatchAfterSeconds: Number(process.env.QUEUE_AUTO_DISPATCH_AFTER_SECONDS) || 60,
+    queueMaxDistanceMeters: Number(process.env.QUEUE_MAX_DISTANCE_M) || 50000,
+    queueCheckIntervalSeconds: Number(process.env.QUEUE_CHECK_INTERVAL_SECONDS) || 30
+};
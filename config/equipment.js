@@ -0,0 +1,42 @@
+// Equipment and consumables an ambulance can carry, and the capabilities they give it.
+//
+// ITEMS       inventory item ids. `restock_below` is the quantity under which the restock report
+//             flags the item; consumables usually have an expiry date per batch.
+// CAPABILITIES what an ambulance can do, each needing at least one usable (in stock, not expired)
+//             unit of every listed item. Incident types name the capabilities they need in
+//             config/incidentTypes.js.
+
+const ITEMS = {
+    defibrillator: { name: "Defibrillator", kind: "equipment", restock_below: 1 },
+    defibrillator_pads: { name: "Defibrillator pads", kind: "consumable", restock_below: 2 },
+    ventilator: { name: "Transport ventilator", kind: "equipment", restock_below: 1 },
+    oxygen_cylinder: { name: "Oxygen cylinder", kind: "consumable", restock_below: 2 },
+    neonatal_incubator: { name: "Neonatal transport incubator", kind: "equipment", restock_below: 1 },
+    bariatric_stretcher: { name: "Bariatric stretcher", kind: "equipment", restock_below: 1 },
+    delivery_kit: { name: "Obstetric delivery kit", kind: "consumable", restock_below: 1 },
+    trauma_dressing: { name: "Trauma dressing", kind: "consumable", restock_below: 5 },
+    tourniquet: { name: "Tourniquet", kind: "consumable", restock_below: 2 },
+    burn_dressing: { name: "Burn dressing", kind: "consumable", restock_below: 4 },
+    epinephrine: { name: "Epinephrine ampoule", kind: "consumable", restock_below: 4 },
+    naloxone: { name: "Naloxone", kind: "consumable", restock_below: 2 }
+};
+
+const CAPABILITIES = {
+    defibrillation: ["defibrillator", "defibrillator_pads"],
+    oxygen: ["oxygen_cylinder"],
+    ventilation: ["ventilator", "oxygen_cylinder"],
+    neonatal: ["neonatal_incubator"],
+    bariatric: ["bariatric_stretcher"],
+    obstetric: ["delivery_kit"],
+    trauma: ["trauma_dressing", "tourniquet"],
+    burns: ["burn_dressing"],
+    resuscitation_drugs: ["epinephrine"],
+    overdose: ["naloxone"]
+};
+
+module.exports = {
+    ITEMS,
+    CAPABILITIES,
+    // The restock report flags batches expiring within this many days
+    expiryWarningDays: Number(process.env.RESTOCK_EXPIRY_WARNING_DAYS) || 30
+};
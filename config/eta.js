@@ -0,0 +1,19 @@
+// Travel-time assumptions for ETA estimates. Priority 1 is the most urgent call.
+module.exports = {
+    // Calls at or above this urgency (priority number at or below it) run with lights and sirens
+    lightsAndSirensMaxPriority: Number(process.env.ETA_LIGHTS_AND_SIRENS_MAX_PRIORITY) || 2,
+    speedsKmh: {
+        lightsAndSirens: Number(process.env.ETA_SPEED_LIGHTS_AND_SIRENS_KMH) || 60,
+        normal: Number(process.env.ETA_SPEED_NORMAL_KMH) || 40
+    },
+    // Roads are rarely straight: straight-line distance is multiplied by this when no road graph is loaded
+    detourFactor: Number(process.env.ETA_DETOUR_FACTOR) || 1.4,
+    // Optional JSON road graph: { "nodes": [{ "id", "lng", "lat" }], "edges": [{ "from", "to", "speed_kmh"?, "oneway"? }] }
+    roadGraphFile: process.env.ETA_ROAD_GRAPH_FILE || null,
+    // A position further than this from every road-graph node is off the map: its ETA is a straight-line estimate
+    maxSnapMeters: Number(process.env.ETA_MAX_SNAP_M) || 2000,
+    // Road-graph routes are remembered this long (per ~10 m of start and end), and list responses route at most
+    // this many incidents over the graph; the rest get straight-line estimates
+    cacheSeconds: Number(process.env.ETA_CACHE_SECONDS) || 30,
+    listRoadGraphLimit: Number(process.env.ETA_LIST_ROAD_GRAPH_LIMIT) || 25
+};
@@ -0,0 +1,166 @@
+// Per incident_type dispatch profile. Keys are lower-case incident_type values;
+// anything not listed falls back to "default".
+//
+// Triage: every report answers TRIAGE.questions plus its type's `questions`. Each rule whose
+// `when` matches the answers proposes a priority (1 = most urgent) and the most urgent one wins;
+// with no match the type's `default_priority` applies. See utils/triage.js.
+//   question  { id, text, type: "boolean" | "choice" | "number", options (choice), required }
+//   when      { questionId: value | [any of these values] | { min, max } }
+//
+// `capabilities` are what the ambulance must be equipped for (config/equipment.js); dispatch
+// suggestions rank ambulances that have them all first.
+//
+// `compatible_with` lists other types that callers often use for the same event; reports of
+// compatible types are considered as possible duplicates of each other (see utils/duplicates.js).
+
+const TRIAGE = {
+    questions: [
+        { id: "conscious", text: "Is the patient conscious?", type: "boolean", required: true },
+        { id: "breathing", text: "Is the patient breathing normally?", type: "boolean", required: true }
+    ],
+    rules: [
+        { id: "not-breathing", when: { breathing: false }, priority: 1 },
+        { id: "unconscious", when: { conscious: false }, priority: 1 }
+    ]
+};
+
+const BLEEDING = { id: "bleeding", text: "Is there bleeding?", type: "choice", options: ["none", "minor", "severe"], required: true };
+const SEVERE_BLEEDING = { id: "severe-bleeding", when: { bleeding: "severe" }, priority: 1 };
+const MINOR_BLEEDING = { id: "minor-bleeding", when: { bleeding: "minor" }, priority: 3 };
+
+const INCIDENT_TYPES = {
+    "cardiac arrest": {
+        specialties: ["cardiology"],
+        capabilities: ["defibrillation", "oxygen", "resuscitation_drugs"],
+        compatible_with: ["heart attack", "difficulty breathing"],
+        questions: [],
+        rules: [],
+        default_priority: 1
+    },
+    "heart attack": {
+        specialties: ["cardiology"],
+        capabilities: ["defibrillation", "oxygen"],
+        compatible_with: ["cardiac arrest"],
+        questions: [
+            { id: "chest_pain", text: "Does the patient have chest pain or pressure?", type: "boolean", required: true }
+        ],
+        rules: [{ id: "chest-pain", when: { chest_pain: true }, priority: 1 }],
+        default_priority: 2
+    },
+    stroke: {
+        specialties: ["neurology"],
+        capabilities: ["oxygen"],
+        questions: [
+            { id: "fast_signs", text: "Face drooping, arm weakness or slurred speech?", type: "boolean", required: true },
+            { id: "onset", text: "When did the symptoms start?", type: "choice", options: ["under_4h", "over_4h", "unknown"], required: false }
+        ],
+        rules: [
+            { id: "stroke-within-window", when: { fast_signs: true, onset: ["under_4h", "unknown"] }, priority: 1 },
+            { id: "stroke-signs", when: { fast_signs: true }, priority: 2 }
+        ],
+        default_priority: 2
+    },
+    "road accident": {
+        specialties: ["trauma", "orthopedics"],
+        capabilities: ["trauma"],
+        compatible_with: ["burns", "fall"],
+        questions: [
+            BLEEDING,
+            { id: "trapped", text: "Is anyone trapped in a vehicle?", type: "boolean", required: false },
+            { id: "casualties", text: "How many people are injured?", type: "number", min: 0, required: false }
+        ],
+        rules: [
+            SEVERE_BLEEDING,
+            { id: "trapped", when: { trapped: true }, priority: 1 },
+            { id: "multiple-casualties", when: { casualties: { min: 3 } }, priority: 1 },
+            MINOR_BLEEDING
+        ],
+        default_priority: 2
+    },
+    "gunshot wound": {
+        specialties: ["trauma"],
+        capabilities: ["trauma"],
+        questions: [BLEEDING],
+        rules: [SEVERE_BLEEDING],
+        default_priority: 1
+    },
+    burns: {
+        specialties: ["burns"],
+        capabilities: ["burns", "oxygen"],
+        questions: [
+            { id: "burn_area", text: "How large is the burn?", type: "choice", options: ["small", "large"], required: true },
+            { id: "face_or_airway", text: "Are the face, mouth or throat burned?", type: "boolean", required: true }
+        ],
+        rules: [
+            { id: "airway-burn", when: { face_or_airway: true }, priority: 1 },
+            { id: "large-burn", when: { burn_area: "large" }, priority: 2 }
+        ],
+        default_priority: 3
+    },
+    fall: {
+        specialties: ["orthopedics"],
+        capabilities: [],
+        questions: [
+            BLEEDING,
+            { id: "can_move", text: "Can the patient move their arms and legs?", type: "boolean", required: true }
+        ],
+        rules: [
+            SEVERE_BLEEDING,
+            { id: "cannot-move", when: { can_move: false }, priority: 2 },
+            MINOR_BLEEDING
+        ],
+        default_priority: 4
+    },
+    "difficulty breathing": {
+        specialties: ["pulmonology"],
+        capabilities: ["oxygen"],
+        questions: [
+            { id: "can_speak", text: "Can the patient speak in full sentences?", type: "boolean", required: true }
+        ],
+        rules: [{ id: "cannot-speak", when: { can_speak: false }, priority: 1 }],
+        default_priority: 2
+    },
+    childbirth: {
+        specialties: ["maternity"],
+        capabilities: ["obstetric"],
+        questions: [
+            { id: "baby_visible", text: "Can you see the baby's head?", type: "boolean", required: true },
+            { id: "heavy_bleeding", text: "Is there heavy bleeding?", type: "boolean", required: true }
+        ],
+        rules: [
+            { id: "heavy-bleeding", when: { heavy_bleeding: true }, priority: 1 },
+            { id: "delivery-imminent", when: { baby_visible: true }, priority: 2 }
+        ],
+        default_priority: 3
+    },
+    "pediatric emergency": {
+        specialties: ["pediatrics"],
+        capabilities: ["oxygen"],
+        questions: [
+            { id: "seizure", text: "Is the child having a seizure or just had one?", type: "boolean", required: true }
+        ],
+        rules: [{ id: "seizure", when: { seizure: true }, priority: 1 }],
+        default_priority: 2
+    },
+    poisoning: {
+        specialties: ["toxicology"],
+        capabilities: ["overdose"],
+        questions: [
+            { id: "substance_known", text: "Do you know what was taken?", type: "boolean", required: false }
+        ],
+        rules: [],
+        default_priority: 2
+    },
+    default: {
+        specialties: [],
+        capabilities: [],
+        questions: [BLEEDING],
+        rules: [SEVERE_BLEEDING, MINOR_BLEEDING],
+        default_priority: 3
+    }
+};
+
+const getIncidentTypeProfile = (incidentType) =>
+    INCIDENT_TYPES[String(incidentType || "").trim().toLowerCase()] || INCIDENT_TYPES.default;
+
+module.exports = { INCIDENT_TYPES, TRIAGE, getIncidentTypeProfile };
@@ -0,0 +1,10 @@
+const path = require("path");
+
+module.exports = {
+    // "outbox" writes each message to a file in outboxDir; "console" logs it. Others can be registered in utils/mailer.js.
+    transport: process.env.MAIL_TRANSPORT || "outbox",
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "outbox"),
+    from: process.env.MAIL_FROM || "Emergency Dispatch <no-reply@localhost>",
+    // Front-end base URL used in links sent by email
+    appUrl: process.env.APP_URL || process.env.CLIENT_URL || "http://localhost:3000"
+};
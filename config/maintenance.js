@@ -0,0 +1,7 @@
+module.exports = {
+    // How often due services are started and finished ones ended
+    checkIntervalMinutes: Number(process.env.MAINTENANCE_CHECK_INTERVAL_MINUTES) || 5,
+    // The fleet report lists services falling due within this many days or km as upcoming
+    upcomingDays: Number(process.env.MAINTENANCE_UPCOMING_DAYS) || 14,
+    upcomingKm: Number(process.env.MAINTENANCE_UPCOMING_KM) || 1000
+};
@@ -0,0 +1,38 @@
+const path = require("path");
+
+// Ways a user can be notified. There is no push provider yet: the local stand-in appends to pushOutboxFile.
+const NOTIFICATION_CHANNELS = ["push", "sms", "email"];
+
+module.exports = {
+    NOTIFICATION_CHANNELS,
+    // Channels for users who haven't chosen their own
+    defaultChannels: (process.env.NOTIFICATION_DEFAULT_CHANNELS || "push,email")
+        .split(",")
+        .map((c) => c.trim())
+        .filter((c) => NOTIFICATION_CHANNELS.includes(c)),
+    pushOutboxFile: process.env.PUSH_OUTBOX_FILE || path.join(__dirname, "..", "outbox", "push.jsonl"),
+    // Who hears about each event, keyed by event type or, for status changes, the new status.
+    //   reporter     whoever reported the incident (by SMS when they have no account)
+    //   crew         drivers and medics assigned to the incident's ambulance
+    //   dispatcher   the dispatcher who took the call
+    //   dispatchers  everyone with the dispatcher role
+    audiences: {
+        "incident.created": ["dispatchers"],
+        "incident.priority": ["crew"],
+        acknowledged: ["reporter"],
+        dispatched: ["reporter"],
+        // Crew offers and what became of them, keyed "assignment.<outcome>"
+        "assignment.offered": ["crew"],
+        "assignment.accepted": [],
+        "assignment.declined": ["dispatcher"],
+        "assignment.timed-out": ["dispatcher"],
+        "en-route": ["reporter"],
+        "on-scene": ["reporter", "dispatcher"],
+        transporting: [],
+        "at-hospital": ["dispatcher"],
+        resolved: ["reporter", "crew", "dispatcher"],
+        cancelled: ["reporter", "crew", "dispatcher"],
+        denied: ["reporter"],
+        merged: ["reporter"]
+    }
+};
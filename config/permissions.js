@@ -0,0 +1,63 @@
+// Role-based permissions. Every protected route names one of these; this is the only place
+// that decides which roles hold it.
+
+const ROLES = ["admin", "dispatcher", "user", "driver", "medic"];
+
+const STAFF = ["admin", "dispatcher", "driver", "medic"];
+const CREW = ["driver", "medic"];
+
+const PERMISSIONS = {
+    "user:read": ["admin"],
+    "user:write": ["admin"],
+    "permission:read": ["admin"],
+    "audit:read": ["admin"],
+    "import:write": ["admin"],
+
+    "driver:read": ["admin", "dispatcher"],
+    "driver:write": ["admin"],
+    "medic:read": ["admin", "dispatcher"],
+    "medic:write": ["admin"],
+
+    "ambulance:read": STAFF,
+    "ambulance:write": ["admin"],
+    "ambulance:report-position": ["admin", "driver"], // Drivers only for their assigned ambulance
+    "ambulance:inventory": ["admin", ...CREW], // Crew only for their assigned ambulance
+    "ambulance:restock-report": ["admin", "dispatcher"],
+    "maintenance:read": ["admin", "dispatcher"],
+    "maintenance:write": ["admin"],
+    "assignment:respond": ["driver"], // See, accept and decline their ambulance's dispatch
+
+    "hospital:read": ROLES,
+    "hospital:write": ["admin"],
+    "hospital:status": ["admin", "dispatcher"],
+    "hospital:recommend": ["admin", "dispatcher"],
+
+    "incident:create": ROLES,
+    "incident:read-own": ROLES, // Incidents the user reported
+    "incident:read": STAFF, // Any incident
+    "incident:approve": ["admin", "dispatcher"], // Approve, revoke and pick ambulances
+    "incident:prioritize": ["admin", "dispatcher"], // Override the triage priority
+    "incident:update-status": STAFF, // Crew only for their ambulance's incident, and only CREW_STATUSES
+    "incident:update-any-status": ["admin", "dispatcher"], // Any incident, any legal transition
+    "incident:export": ["admin", "dispatcher"],
+
+    "shift:read": STAFF, // Crew only see their own shifts
+    "shift:read-all": ["admin", "dispatcher"],
+    "shift:write": ["admin"],
+    "shift:clock": CREW,
+
+    "stream:dispatch": ["admin", "dispatcher"],
+
+    "analytics:read": ["admin", "dispatcher"],
+
+    "notification:read": ROLES, // Only their own notifications
+    "notification:read-all": ["admin"]
+};
+
+const hasPermission = (role, permission) => (PERMISSIONS[permission] || []).includes(role);
+
+// Permissions grouped by role, for the admin permission matrix
+const permissionsByRole = () =>
+    Object.fromEntries(ROLES.map((role) => [role, Object.keys(PERMISSIONS).filter((p) => hasPermission(role, p))]));
+
+module.exports = { ROLES, PERMISSIONS, hasPermission, permissionsByRole };
@@ -0,0 +1,30 @@
+const fs = require("fs");
+const path = require("path");
+
+// Places offered in the USSD menu, with the point an ambulance is sent to. Replace with a JSON file of
+// [{ "name", "latitude", "longitude" }] for the region being served.
+const DEFAULT_AREAS = [
+    { name: "Nairobi CBD", latitude: -1.2864, longitude: 36.8172 },
+    { name: "Westlands", latitude: -1.2676, longitude: 36.8108 },
+    { name: "Eastleigh", latitude: -1.2741, longitude: 36.8516 },
+    { name: "Kibera", latitude: -1.3133, longitude: 36.7876 },
+    { name: "Embakasi", latitude: -1.3231, longitude: 36.8946 },
+    { name: "Kasarani", latitude: -1.2219, longitude: 36.8968 }
+];
+
+const loadAreas = () => {
+    if (!process.env.SMS_AREAS_FILE) return DEFAULT_AREAS;
+    return JSON.parse(fs.readFileSync(path.resolve(process.env.SMS_AREAS_FILE), "utf8"));
+};
+
+module.exports = {
+    // "outbox" appends each message to outboxFile as a JSON line; "console" logs it. Others can be registered in utils/sms.js.
+    transport: process.env.SMS_TRANSPORT || "outbox",
+    outboxFile: process.env.SMS_OUTBOX_FILE || path.join(__dirname, "..", "outbox", "sms.jsonl"),
+    senderId: process.env.SMS_SENDER_ID || "AMBULANCE",
+    // Gateways must send this in the X-Webhook-Secret header; while it is unset the webhooks refuse every request
+    webhookSecret: process.env.SMS_WEBHOOK_SECRET || null,
+    // A phone with an open report inside this window gets that report's reference instead of a new incident
+    repeatWindowMinutes: Number(process.env.SMS_REPEAT_WINDOW_MINUTES) || 30,
+    areas: loadAreas()
+};
@@ -1,107 +1,65 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User"); // Ensure User model is imported
-
-// Middleware to verify token and check admin role
-const verifyAdmin = async (req, res, next) => {
-    try {
-        // Get token from headers
-        let token = req.header("Authorization");
-        if (!token) {
-            return res.status(401).json({ message: "Access denied. No token provided." });
-        }
-
-        // Ensure token is in Bearer format
-        if (token.startsWith("Bearer ")) {
-            token = token.slice(7).trim(); // Remove "Bearer " prefix
-        }
-
-        // Verify the token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || "secretkey");
-        req.user = decoded; // Attach user data to request
-
-        // Check if the user exists
-        const user = await User.findById(req.user.userId);
-        if (!user) {
-            return res.status(404).json({ message: "User not found. Invalid token." });
-        }
-
-        // Check if user is an admin
-        if (user.role !== "admin") {
-            return res.status(403).json({ message: "Access denied. Admins only." });
-        }
-
-        next(); // Allow request to proceed
-    } catch (error) {
-        console.error("Token verification error:", error.message);
-        if (error.name === "TokenExpiredError") {
-            return res.status(401).json({ message: "Token expired. Please log in again." });
-        }
-        res.status(401).json({ message: "Invalid or expired token" });
-    }
-};
-
-// Middleware to verify token and check admin/driver role
-const verifyAdminOrDriver = async (req, res, next) => {
-    try {
-        // Get token from headers
-        let token = req.header("Authorization");
-        if (!token) {
-            return res.status(401).json({ message: "Access denied. No token provided." });
-        }
-
-        // Ensure token is in Bearer format
-        if (token.startsWith("Bearer ")) {
-            token = token.slice(7).trim(); // Remove "Bearer " prefix
-        }
-
-        // Verify the token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || "secretkey");
-        req.user = decoded; // Attach user data to request
-
-        // Check if the user exists
-        const user = await User.findById(req.user.userId);
-        if (!user) {
-            return res.status(404).json({ message: "User not found. Invalid token." });
-        }
-
-        // Check if the user is an admin or the owner of the data
-        if (user.role !== "admin" && user._id.toString() !== req.params.id) {
-            return res.status(403).json({ message: "Access denied." });
-        }
-
-        next(); // Allow request to proceed
-    } catch (error) {
-        console.error("Token verification error:", error.message);
-        if (error.name === "TokenExpiredError") {
-            return res.status(401).json({ message: "Token expired. Please log in again." });
-        }
-        res.status(401).json({ message: "Invalid or expired token" });
-    }
-};
-
-// Middleware to verify a valid token
-const verifyToken = (req, res, next) => {
-    try {
-        let token = req.header("Authorization");
-        if (!token) {
-            return res.status(401).json({ message: "Access denied. No token provided." });
-        }
-
-        if (token.startsWith("Bearer ")) {
-            token = token.slice(7).trim(); // Remove "Bearer " prefix
-        }
-
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || "secretkey");
-        req.user = decoded; // Attach user data to request
-
-        next();
-    } catch (error) {
-        console.error("Token verification error:", error.message);
-        if (error.name === "TokenExpiredError") {
-            return res.status(401).json({ message: "Token expired. Please log in again." });
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
+const authConfig = require("../config/auth");
+const { isSessionActive } = require("../utils/sessions");
+
+// Middleware factory: verify the token, load the user and check they hold every listed permission.
+// With no permissions it only requires a logged-in user.
+// `ticket` names the purpose of a ?ticket= accepted instead of the header, for clients that can't set
+// headers (EventSource); access tokens never go in the URL, and tickets work nowhere else.
+const authorize = (permissions = [], { ticket } = {}) => {
+    const required = [].concat(permissions);
+    const unknown = required.filter((p) => !PERMISSIONS[p]);
+    if (unknown.length) throw new Error(`Unknown permission: ${unknown.join(", ")}`);
+
+    return async (req, res, next) => {
+        try {
+            // Get token from headers
+            const fromQuery = !req.header("Authorization") && Boolean(ticket) && Boolean(req.query.ticket);
+            let token = fromQuery ? String(req.query.ticket) : req.header("Authorization");
+            if (!token) {
+                return res.status(401).json({ message: "Access denied. No token provided." });
+            }
+
+            // Ensure token is in Bearer format
+            if (token.startsWith("Bearer ")) {
+                token = token.slice(7).trim(); // Remove "Bearer " prefix
+            }
+
+            // Verify the token
+            const decoded = jwt.verify(token, authConfig.jwtSecret);
+            if (fromQuery ? decoded.purpose !== ticket : decoded.purpose) {
+                return res.status(401).json({ message: "Invalid or expired token" });
+            }
+
+            // Check if the user exists; the stored role wins over the one in the token, which may be stale
+            const user = await User.findById(decoded.userId);
+            if (!user) {
+                return res.status(401).json({ message: "User not found. Invalid token." });
+            }
+
+            // Role changes and "log out everywhere" bump token_version; logout revokes the session
+            if (decoded.tv !== user.token_version || !decoded.sid || !(await isSessionActive(decoded.sid))) {
+                return res.status(401).json({ message: "Session revoked. Please log in again." });
+            }
+
+            req.user = { ...decoded, userId: user._id.toString(), role: user.role }; // Attach user data to request
+
+            const missing = required.filter((p) => !hasPermission(user.role, p));
+            if (missing.length) {
+                return res.status(403).json({ message: "Access denied.", missing_permissions: missing });
+            }
+
+            next(); // Allow request to proceed
+        } catch (error) {
+            console.error("Token verification error:", error.message);
+            if (error.name === "TokenExpiredError") {
+                return res.status(401).json({ message: "Token expired. Please log in again." });
+            }
+            res.status(401).json({ message: "Invalid or expired token" });
         }
-        res.status(401).json({ message: "Invalid or expired token" });
-    }
+    };
 };
 
-module.exports = { verifyToken, verifyAdmin,verifyAdminOrDriver };
+module.exports = { authorize };
@@ -1,16 +1,31 @@
 const mongoose = require("mongoose");
+const auditPlugin = require("./plugins/audit");
+const { ITEMS } = require("../config/equipment");
+
+// One batch of an item on board. Items without an expiry date (most equipment) leave it empty.
+const inventoryItemSchema = new mongoose.Schema({
+    item: { type: String, enum: Object.keys(ITEMS), required: true },
+    quantity: { type: Number, min: 0, required: true },
+    expires_at: { type: Date }
+}, { _id: false });
 
 const ambulanceSchema = new mongoose.Schema({
     license_plate: { type: String, unique: true, required: true },
     status: { type: String, enum: ["available", "on-duty", "maintenance"], required: true },
-    hospital_name: { type: String },
+    home_hospital: { type: mongoose.Schema.Types.ObjectId, ref: "Hospital", default: null }, // Home base
     location: {
         type: { type: String, enum: ["Point"], default: "Point" },
         coordinates: { type: [Number], required: true } // [longitude, latitude]
-    }
+    },
+    location_updated_at: { type: Date }, // Time of the fix behind `location`
+    odometer_km: { type: Number, min: 0, default: 0 }, // Mileage-based services fall due against this
+    inventory: { type: [inventoryItemSchema], default: [] }, // See config/equipment.js
+    inventory_checked_at: { type: Date } // Last time the crew or an admin updated the inventory
 });
 
 // Enable geospatial queries
 ambulanceSchema.index({ location: "2dsphere" });
 
+ambulanceSchema.plugin(auditPlugin, { ignore: ["location", "location_updated_at"] }); // GPS updates are too frequent to audit
+
 module.exports = mongoose.model("Ambulance", ambulanceSchema);
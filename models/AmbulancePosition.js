@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// GPS breadcrumbs posted by an ambulance's device, stored as a time-series collection
+const ambulancePositionSchema = new mongoose.Schema({
+    ambulance: { type: mongoose.Schema.Types.ObjectId, ref: "Ambulance", required: true },
+    location: {
+        type: { type: String, enum: ["Point"], default: "Point" },
+        coordinates: { type: [Number], required: true } // [longitude, latitude]
+    },
+    speed: { type: Number, min: 0 }, // km/h
+    heading: { type: Number, min: 0, max: 360 }, // Degrees clockwise from north
+    recorded_at: { type: Date, required: true } // Device time of the fix
+}, {
+    timeseries: { timeField: "recorded_at", metaField: "ambulance", granularity: "seconds" }
+});
+
+ambulancePositionSchema.index({ ambulance: 1, recorded_at: 1 });
+
+module.exports = mongoose.model("AmbulancePosition", ambulancePositionSchema);
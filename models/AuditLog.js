@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// One create, update or delete of an audited document (see models/plugins/audit.js)
+const auditLogSchema = new mongoose.Schema({
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null for system changes
+    actor_role: { type: String },
+    action: { type: String, enum: ["create", "update", "delete"], required: true },
+    route: { type: String }, // e.g. "PUT /api/ambulances/:id"
+    target_model: { type: String, required: true },
+    target_id: { type: mongoose.Schema.Types.ObjectId, default: null }, // null for bulk updates and updates by other filters
+    diff: { type: mongoose.Schema.Types.Mixed }, // { field: { before, after } }
+    // Updates made with a query record the query instead of a diff (see snapshotUpdates in the plugin)
+    filter: { type: mongoose.Schema.Types.Mixed },
+    update: { type: mongoose.Schema.Types.Mixed },
+    matched_count: { type: Number },
+    modified_count: { type: Number },
+    ip: { type: String },
+    at: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ at: -1 });
+auditLogSchema.index({ actor: 1, at: -1 });
+auditLogSchema.index({ target_model: 1, target_id: 1, at: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
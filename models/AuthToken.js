@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Single-use tokens sent by email. Only a hash of the token is stored.
+const authTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    purpose: { type: String, enum: ["password-reset", "email-verification"], required: true },
+    token_hash: { type: String, required: true, unique: true },
+    expires_at: { type: Date, required: true },
+    used_at: { type: Date, default: null }
+}, { timestamps: true });
+
+authTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 }); // Drop tokens once expired
+
+module.exports = mongoose.model("AuthToken", authTokenSchema);
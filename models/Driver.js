@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const auditPlugin = require("./plugins/audit");
 
 const driverSchema = new mongoose.Schema({
   user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
@@ -6,4 +7,6 @@ const driverSchema = new mongoose.Schema({
   assigned_ambulance: { type: mongoose.Schema.Types.ObjectId, ref: "Ambulance", required: false },
 }, { timestamps: true });
 
+driverSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model("Driver", driverSchema);
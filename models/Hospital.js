@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+const auditPlugin = require("./plugins/audit");
+
+const hospitalSchema = new mongoose.Schema({
+    name: { type: String, unique: true, required: true },
+    address: { type: String },
+    phone: { type: String },
+    location: {
+        type: { type: String, enum: ["Point"], default: "Point" },
+        coordinates: { type: [Number], required: true } // [longitude, latitude]
+    },
+    specialties: { type: [String], default: [] }, // Departments, e.g. "cardiology", "trauma", "maternity"
+    capacity: {
+        beds_total: { type: Number, min: 0, default: 0 },
+        beds_available: { type: Number, min: 0, default: 0 },
+        er_total: { type: Number, min: 0, default: 0 },
+        er_available: { type: Number, min: 0, default: 0 }
+    },
+    on_diversion: { type: Boolean, default: false }, // Hospital is turning ambulances away
+    diversion_reason: { type: String }
+}, { timestamps: true });
+
+// Enable geospatial queries
+hospitalSchema.index({ location: "2dsphere" });
+
+hospitalSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model("Hospital", hospitalSchema);
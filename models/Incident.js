@@ -1,4 +1,66 @@
 const mongoose = require("mongoose");
+const auditPlugin = require("./plugins/audit");
+const { INCIDENT_STATUSES } = require("../utils/incidentLifecycle");
+
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String, enum: [...INCIDENT_STATUSES, null], default: null },
+  to: { type: String, enum: INCIDENT_STATUSES, required: true },
+  changed_by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  changed_at: { type: Date, default: Date.now },
+  note: { type: String }
+}, { _id: false });
+
+// A dispatcher replacing the priority with a different one, and why
+const priorityOverrideSchema = new mongoose.Schema({
+  from: { type: Number, required: true },
+  to: { type: Number, required: true, min: 1, max: 5 },
+  reason: { type: String, required: true },
+  changed_by: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  changed_at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A nearby, recent report of a compatible type, flagged when this incident was created
+const possibleDuplicateSchema = new mongoose.Schema({
+  incident: { type: mongoose.Schema.Types.ObjectId, ref: "Incident", required: true },
+  distance_m: { type: Number },
+  minutes_apart: { type: Number }
+}, { _id: false });
+
+// A duplicate report folded into this (master) incident; the caller's contact details are kept
+const mergedReportSchema = new mongoose.Schema({
+  incident: { type: mongoose.Schema.Types.ObjectId, ref: "Incident", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  phone: { type: String },
+  incident_type: { type: String },
+  reported_time: { type: Date },
+  merged_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  merged_at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// An ambulance offered the incident and what its crew did about it
+const assignmentSchema = new mongoose.Schema({
+  ambulance: { type: mongoose.Schema.Types.ObjectId, ref: "Ambulance", required: true },
+  status: { type: String, enum: ["offered", "accepted", "declined", "timed-out"], default: "offered" },
+  offered_at: { type: Date, default: Date.now },
+  expires_at: { type: Date }, // Reassigned if not accepted by then
+  responded_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  responded_at: { type: Date },
+  reason: { type: String } // Why it was declined
+}, { _id: false });
+
+// A dispatcher's say over the incident's place in the dispatch queue
+const queueOverrideSchema = new mongoose.Schema({
+  action: { type: String, enum: ["front", "hold"], required: true }, // Jump the queue, or keep it from being auto-dispatched
+  reason: { type: String },
+  changed_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  changed_at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const triageSchema = new mongoose.Schema({
+  answers: { type: mongoose.Schema.Types.Mixed, default: {} }, // Keyed by question id (config/incidentTypes.js)
+  derived_priority: { type: Number, min: 1, max: 5 },
+  matched_rules: { type: [String], default: [] }
+}, { _id: false });
 
 const incidentSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
@@ -7,14 +69,29 @@ const incidentSchema = new mongoose.Schema({
     type: { type: String, enum: ["Point"], default: "Point" },
     coordinates: { type: [Number], required: true } // [longitude, latitude]
   },
+  source: { type: String, enum: ["app", "sms", "ussd"], default: "app" }, // How it was reported
+  reference: { type: String, unique: true, sparse: true }, // Short number given to SMS/USSD reporters
   incident_type: { type: String, required: true },
   priority: { type: Number, required: true, min: 1, max: 5 },
-  status: { type: String, enum: ["pending", "dispatched", "resolved"], required: true, default: "pending" },
+  triage: { type: triageSchema, default: undefined }, // Answers the priority was derived from
+  priority_overrides: { type: [priorityOverrideSchema], default: [] },
+  possible_duplicates: { type: [possibleDuplicateSchema], default: [] },
+  duplicate_of: { type: mongoose.Schema.Types.ObjectId, ref: "Incident", default: null }, // Set once merged
+  merged_reports: { type: [mergedReportSchema], default: [] },
+  status: { type: String, enum: INCIDENT_STATUSES, required: true, default: "pending" },
+  status_history: { type: [statusChangeSchema], default: [] }, // Every transition, oldest first
   reported_time: { type: Date, default: Date.now },
-  ambulance: { type: mongoose.Schema.Types.ObjectId, ref: "Ambulance", default: null } // New field for dispatched ambulance
+  ambulance: { type: mongoose.Schema.Types.ObjectId, ref: "Ambulance", default: null }, // New field for dispatched ambulance
+  assignment: { type: assignmentSchema, default: undefined }, // Current offer to `ambulance`'s crew
+  assignment_history: { type: [assignmentSchema], default: [] }, // Earlier offers that were declined or timed out
+  queue_override: { type: queueOverrideSchema, default: undefined }
 });
 
 // Enable geospatial queries
 incidentSchema.index({ location: "2dsphere" });
+// For the acknowledgement timeout sweep
+incidentSchema.index({ "assignment.status": 1, "assignment.expires_at": 1 });
+
+incidentSchema.plugin(auditPlugin);
 
 module.exports = mongoose.model("Incident", incidentSchema);
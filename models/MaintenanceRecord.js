@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+const auditPlugin = require("./plugins/audit");
+
+const MAINTENANCE_TYPES = ["service", "inspection", "repair", "tyres", "bodywork", "equipment", "other"];
+const MAINTENANCE_STATUSES = ["scheduled", "in-service", "completed", "cancelled"];
+
+// One piece of maintenance on an ambulance. Scheduled work falls due on `due_date` or once the odometer
+// reaches `due_odometer_km`, whichever comes first; the ambulance is then taken out of service ("maintenance")
+// as soon as it's free and returned when the work is completed or `ends_at` passes (see utils/maintenance.js).
+const maintenanceRecordSchema = new mongoose.Schema({
+    ambulance: { type: mongoose.Schema.Types.ObjectId, ref: "Ambulance", required: true },
+    type: { type: String, enum: MAINTENANCE_TYPES, required: true },
+    status: { type: String, enum: MAINTENANCE_STATUSES, default: "scheduled" },
+    due_date: { type: Date },
+    due_odometer_km: { type: Number, min: 0 },
+    ends_at: { type: Date }, // Planned return to service; without it the work must be completed by hand
+    // Repeat every so many days and/or km; completing the work schedules the next one
+    interval_days: { type: Number, min: 1 },
+    interval_km: { type: Number, min: 1 },
+    started_at: { type: Date },
+    completed_at: { type: Date },
+    odometer_km: { type: Number, min: 0 }, // Reading when the work was done
+    cost: { type: Number, min: 0 },
+    notes: { type: String },
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    completed_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+}, { timestamps: true });
+
+maintenanceRecordSchema.index({ ambulance: 1, status: 1 });
+maintenanceRecordSchema.index({ status: 1, due_date: 1 });
+
+maintenanceRecordSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model("MaintenanceRecord", maintenanceRecordSchema);
+module.exports.MAINTENANCE_TYPES = MAINTENANCE_TYPES;
+module.exports.MAINTENANCE_STATUSES = MAINTENANCE_STATUSES;
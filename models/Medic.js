@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const auditPlugin = require("./plugins/audit");
 
 const medicSchema = new mongoose.Schema({
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
@@ -8,4 +9,6 @@ const medicSchema = new mongoose.Schema({
     assigned_ambulance: { type: mongoose.Schema.Types.ObjectId, ref: "Ambulance", default: null }
 });
 
+medicSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model("Medic", medicSchema);
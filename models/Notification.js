@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+const { NOTIFICATION_CHANNELS } = require("../config/notifications");
+
+// Delivery log: one entry per message per channel, whether or not it went through
+const notificationSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // Null for reporters without an account
+    phone: { type: String },
+    channel: { type: String, enum: NOTIFICATION_CHANNELS, required: true },
+    event: { type: String, required: true }, // e.g. "incident.status:dispatched"
+    audience: { type: String, enum: ["reporter", "crew", "dispatcher", "dispatchers"], required: true },
+    incident: { type: mongoose.Schema.Types.ObjectId, ref: "Incident" },
+    title: { type: String, required: true },
+    body: { type: String, required: true },
+    status: { type: String, enum: ["sent", "failed"], required: true },
+    error: { type: String },
+    sent_at: { type: Date, default: Date.now }
+});
+
+notificationSchema.index({ user: 1, sent_at: -1 });
+notificationSchema.index({ incident: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// A login session. The refresh token handed to the client is "<session id>.<secret>"; only a hash of the
+// current secret is stored, and it changes every time the token is refreshed.
+const sessionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    refresh_token_hash: { type: String, required: true },
+    expires_at: { type: Date, required: true },
+    revoked_at: { type: Date, default: null },
+    revoked_reason: { type: String },
+    last_used_at: { type: Date },
+    ip: { type: String },
+    user_agent: { type: String }
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revoked_at: 1 });
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 }); // Drop sessions once expired
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const auditPlugin = require("./plugins/audit");
+
+const SHIFT_STATUSES = ["planned", "published", "active", "completed", "cancelled"];
+
+// One crew member's shift on one ambulance. Planned shifts become visible to crew once the roster is published;
+// clocking in makes the shift active and counts the crew member towards the ambulance's current crew.
+const shiftSchema = new mongoose.Schema({
+    crew_member: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    role: { type: String, enum: ["driver", "medic"], required: true },
+    ambulance: { type: mongoose.Schema.Types.ObjectId, ref: "Ambulance", required: true },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    status: { type: String, enum: SHIFT_STATUSES, default: "planned" },
+    clock_in_at: { type: Date },
+    clock_out_at: { type: Date },
+    auto_clocked_out: { type: Boolean, default: false }, // Never clocked out; closed at the shift's end
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+}, { timestamps: true });
+
+shiftSchema.index({ ambulance: 1, status: 1 });
+shiftSchema.index({ crew_member: 1, start: 1 });
+
+shiftSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model("Shift", shiftSchema);
+module.exports.SHIFT_STATUSES = SHIFT_STATUSES;
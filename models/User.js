@@ -1,12 +1,22 @@
 const mongoose = require("mongoose");
+const auditPlugin = require("./plugins/audit");
+const { ROLES } = require("../config/permissions");
+const { NOTIFICATION_CHANNELS } = require("../config/notifications");
 
 const userSchema = new mongoose.Schema({
     name: { type: String, required: true },
-    role: { type: String, enum: ["admin", "dispatcher", "user","driver","medic"], required: true },
+    role: { type: String, enum: ROLES, required: true },
     email: { type: String, unique: true, required: true },
     password: { type: String, required: true }, 
     phone_number_1: { type: String, required: true },
-    phone_number_2: { type: String }
+    phone_number_2: { type: String },
+    email_verified: { type: Boolean, default: false },
+    email_verified_at: { type: Date },
+    token_version: { type: Number, default: 0 }, // Bumped to invalidate every access token issued so far
+    notification_channels: { type: [{ type: String, enum: NOTIFICATION_CHANNELS }], default: undefined } // Unset: config default
 });
 
+// Role and account changes are rare and matter most, so query updates keep a full before/after diff
+userSchema.plugin(auditPlugin, { ignore: ["token_version"], redact: ["password"], snapshotUpdates: true });
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,171 @@
+const mongoose = require("mongoose");
+const { getRequestContext } = require("../../utils/requestContext");
+
+const REDACTED = "[redacted]";
+const ALWAYS_IGNORED = ["__v", "updatedAt", "createdAt"];
+
+// Plain JSON copy so ObjectIds and Dates compare by value
+const snapshot = (doc) => (doc ? JSON.parse(JSON.stringify(doc.toObject ? doc.toObject() : doc)) : {});
+
+// Top-level fields that differ, as { field: { before, after } }
+const diffSnapshots = (before, after, { ignore, redact }) => {
+    const diff = {};
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const field of fields) {
+        if (field === "_id" || ignore.includes(field)) continue;
+        if (JSON.stringify(before[field]) === JSON.stringify(after[field])) continue;
+        diff[field] = redact.includes(field)
+            ? { before: REDACTED, after: REDACTED }
+            : { before: before[field], after: after[field] };
+    }
+    return diff;
+};
+
+// Top-level fields of a snapshot
+const pick = (doc, fields) => Object.fromEntries(fields.filter((field) => field in doc).map((field) => [field, doc[field]]));
+
+// The update of a query update without ignored fields and with secrets hidden; null when nothing audited is left
+const cleanUpdate = (update, { ignore, redact }) => {
+    const clean = {};
+    const visit = (fields, into) => {
+        for (const [field, value] of Object.entries(fields)) {
+            if (field.startsWith("$") && value && typeof value === "object") {
+                const inner = {};
+                visit(value, inner);
+                if (Object.keys(inner).length) into[field] = inner;
+                continue;
+            }
+            const root = field.split(".")[0];
+            if (ignore.includes(root)) continue;
+            into[field] = redact.includes(root) ? REDACTED : value;
+        }
+    };
+    visit(JSON.parse(JSON.stringify(update || {})), clean);
+    return Object.keys(clean).length ? clean : null;
+};
+
+// Audit log plugin: records every create, update and delete of the model with the acting user, route and IP
+// taken from the request context. `ignore` skips noisy fields; `redact` hides secrets but records that they changed.
+// Updates made with a query are logged with the filter and the update; `snapshotUpdates` reads the document
+// before and after single-document query updates instead, for a full diff (an extra read on every update,
+// so only for models whose query updates are rare and worth it).
+const auditPlugin = (schema, { ignore = [], redact = [], snapshotUpdates = false } = {}) => {
+    const options = { ignore: [...ALWAYS_IGNORED, ...ignore], redact };
+
+    // Changes made inside a transaction are logged in the same transaction, so a rollback leaves no entry
+    const record = (fields, context, session) => {
+        const req = context && context.req;
+        const entry = {
+            actor: req && req.user ? req.user.userId : null,
+            actor_role: req && req.user ? req.user.role : undefined,
+            route: req ? `${req.method} ${req.route ? req.baseUrl + req.route.path : req.originalUrl}` : undefined,
+            ip: req ? req.ip : undefined,
+            ...fields
+        };
+
+        // Auditing must never break the change it records
+        const AuditLog = mongoose.model("AuditLog");
+        const saved = session ? AuditLog.create([entry], { session }) : AuditLog.create(entry);
+        const logged = saved.catch((error) => console.error("Audit log error:", error.message));
+        return session ? logged : undefined; // Transactions wait for their entry; other writes don't
+    };
+
+    const write = (modelName, action, targetId, before, after, context, session) => {
+        const diff = diffSnapshots(before, after, options);
+        if (action === "update" && Object.keys(diff).length === 0) return undefined;
+        return record({ action, target_model: modelName, target_id: targetId, diff }, context, session);
+    };
+
+    // Document saves (create or update). The "before" side comes from the raw document as it was loaded
+    // (or as it was last saved), so only the fields Mongoose marked as modified are compared and the
+    // document isn't read again.
+    schema.pre("init", function (raw) {
+        this.$locals.auditOriginal = raw;
+    });
+    schema.pre("save", function () {
+        this.$locals.auditContext = getRequestContext();
+        this.$locals.auditWasNew = this.isNew;
+        this.$locals.auditFields = this.isNew ? null : [...new Set(this.modifiedPaths().map((path) => path.split(".")[0]))];
+    });
+    schema.post("save", async function (doc) {
+        const { auditWasNew, auditFields, auditContext } = doc.$locals;
+        const after = snapshot(doc);
+        const original = doc.$locals.auditOriginal || {};
+        doc.$locals.auditOriginal = after; // Baseline for the next save of this document
+
+        if (auditWasNew) {
+            await write(doc.constructor.modelName, "create", doc._id, {}, after, auditContext, doc.$session());
+        } else if (auditFields.length) {
+            const before = snapshot(pick(original, auditFields));
+            await write(doc.constructor.modelName, "update", doc._id, before, pick(after, auditFields), auditContext, doc.$session());
+        }
+    });
+
+    schema.post("insertMany", function (docs) {
+        const context = getRequestContext();
+        for (const doc of docs) write(this.modelName, "create", doc._id, {}, snapshot(doc), context);
+    });
+
+    const rememberContext = function () {
+        this._auditContext = getRequestContext();
+    };
+
+    // Capture the matched documents before a query update or delete
+    const captureBefore = async function () {
+        this._auditContext = getRequestContext();
+        if (/update/i.test(this.op) && !cleanUpdate(this.getUpdate(), options)) return; // Nothing audited changes
+        const query = this.model.find(this.getFilter()).lean();
+        if (!this.op.endsWith("Many")) query.limit(1);
+        this._auditBefore = await query;
+    };
+
+    // Single-document query updates with snapshotUpdates: diff the document against how it was before
+    const recordSnapshotUpdate = async function (result) {
+        const [before] = this._auditBefore || [];
+        if (!before) return;
+        // findOneAndUpdate with { new: true } already returned the document as it is now
+        const { new: returnedNew, returnDocument } = this.getOptions();
+        const after = this.op === "findOneAndUpdate" && result && (returnedNew || returnDocument === "after")
+            ? result
+            : await this.model.findById(before._id).lean();
+        write(this.model.modelName, "update", before._id, snapshot(before), snapshot(after), this._auditContext);
+    };
+
+    // Other query updates: one entry with the filter and the update, without reading any document
+    const recordQueryUpdate = function (result) {
+        const update = cleanUpdate(this.getUpdate(), options);
+        if (!update || !result) return;
+        const filter = this.getFilter();
+        const entry = { action: "update", target_model: this.model.modelName, target_id: null, update };
+
+        if (this.op === "findOneAndUpdate") {
+            entry.target_id = result._id; // The matched document, as it was or as it is now
+        } else {
+            if (!result.modifiedCount) return;
+            if (this.op === "updateOne" && mongoose.isValidObjectId(filter._id)) entry.target_id = filter._id;
+            if (this.op === "updateMany") Object.assign(entry, { matched_count: result.matchedCount, modified_count: result.modifiedCount });
+        }
+        entry.filter = JSON.parse(JSON.stringify(filter));
+        record(entry, this._auditContext);
+    };
+
+    for (const op of ["findOneAndUpdate", "updateOne"]) {
+        schema.pre(op, { document: false, query: true }, snapshotUpdates ? captureBefore : rememberContext);
+        schema.post(op, { document: false, query: true }, snapshotUpdates ? recordSnapshotUpdate : recordQueryUpdate);
+    }
+    // Bulk updates are never read back, whatever snapshotUpdates says
+    schema.pre("updateMany", { document: false, query: true }, rememberContext);
+    schema.post("updateMany", { document: false, query: true }, recordQueryUpdate);
+
+    // Query deletes keep the deleted documents in the log
+    for (const op of ["findOneAndDelete", "deleteOne", "deleteMany"]) {
+        schema.pre(op, { document: false, query: true }, captureBefore);
+        schema.post(op, { document: false, query: true }, function () {
+            for (const doc of this._auditBefore || []) {
+                write(this.model.modelName, "delete", doc._id, snapshot(doc), {}, this._auditContext);
+            }
+        });
+    }
+};
+
+module.exports = auditPlugin;
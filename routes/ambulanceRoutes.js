@@ -1,7 +1,73 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const Ambulance = require("../models/Ambulance");
-const { verifyAdmin, verifyToken } = require("../middleware/authMiddleware");
+const AmbulancePosition = require("../models/AmbulancePosition");
+const Hospital = require("../models/Hospital");
+const { authorize } = require("../middleware/authMiddleware");
+const { publish } = require("../utils/events");
+const { getCurrentCrew, isCrewed } = require("../utils/roster");
+const dispatchConfig = require("../config/dispatch");
+const { parseFilters, parseListQuery, pageOf } = require("../utils/listQuery");
+const { buildAmbulance } = require("../utils/recordBuilders");
+const MaintenanceRecord = require("../models/MaintenanceRecord");
+const { isInMaintenance } = require("../utils/maintenance");
+const Incident = require("../models/Incident");
+const { TERMINAL_STATUSES } = require("../utils/incidentLifecycle");
+const { crewComposition, isAssignedCrew, getAssignedCrew, releaseAmbulanceCrew } = require("../utils/crew");
+const equipmentConfig = require("../config/equipment");
+const {
+    ambulanceCapabilities,
+    capabilityConditions,
+    parseCapabilities,
+    parseInventory,
+    restockNeeds
+} = require("../utils/equipment");
+
+const AMBULANCE_LIST = {
+    filters: {
+        status: { type: "list" },
+        home_hospital: { type: "id" },
+        geo: { type: "geo", field: "location" }
+    },
+    sortable: ["license_plate", "status"],
+    defaultSort: "license_plate"
+};
+
+const MAX_POSITIONS_PER_REQUEST = 500;
+const MAX_TRACK_POINTS = 10000;
+const DEFAULT_TRACK_WINDOW_MS = 60 * 60 * 1000; // Last hour
+const CLOCK_SKEW_MS = 5 * 60 * 1000; // Tolerated drift between device and server clocks
+
+const withCapabilities = (ambulance) => ({ ...ambulance.toObject(), capabilities: ambulanceCapabilities(ambulance) });
+
+// Validate one position report from a device. Returns { error } or { position }.
+const parsePosition = (ambulanceId, { latitude, longitude, speed, heading, timestamp }) => {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (latitude == null || longitude == null || Number.isNaN(lat) || Number.isNaN(lng) ||
+        lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return { error: "Invalid coordinates" };
+    }
+
+    const recordedAt = timestamp ? new Date(timestamp) : new Date();
+    if (Number.isNaN(recordedAt.getTime()) || recordedAt.getTime() > Date.now() + CLOCK_SKEW_MS) {
+        return { error: "Invalid timestamp" };
+    }
+
+    if (speed != null && !(Number(speed) >= 0)) return { error: "Invalid speed" };
+    if (heading != null && !(Number(heading) >= 0 && Number(heading) <= 360)) return { error: "Invalid heading" };
+
+    return {
+        position: {
+            ambulance: ambulanceId,
+            location: { type: "Point", coordinates: [lng, lat] },
+            speed: speed != null ? Number(speed) : undefined,
+            heading: heading != null ? Number(heading) : undefined,
+            recorded_at: recordedAt
+        }
+    };
+};
 
 /**
  * @swagger
@@ -12,7 +78,6 @@ const { verifyAdmin, verifyToken } = require("../middleware/authMiddleware");
  *       required:
  *         - license_plate
  *         - status
- *         - hospital_name
  *         - location
  *       properties:
  *         id:
@@ -25,9 +90,12 @@ const { verifyAdmin, verifyToken } = require("../middleware/authMiddleware");
  *           type: string
  *           enum: [available, on-duty, maintenance]
  *           description: The current status of the ambulance
- *         hospital_name:
+ *         home_hospital:
  *           type: string
- *           description: The hospital associated with the ambulance
+ *           description: ID of the hospital the ambulance is based at
+ *         odometer_km:
+ *           type: number
+ *           description: Odometer reading; mileage-based maintenance falls due against it
  *         location:
  *           type: object
  *           properties:
@@ -40,6 +108,25 @@ const { verifyAdmin, verifyToken } = require("../middleware/authMiddleware");
  *                 type: number
  *               example: [longitude, latitude]
  *           description: The location of the ambulance
+ *         inventory:
+ *           type: array
+ *           description: Equipment and consumables on board (managed with PUT /api/ambulances/{id}/inventory)
+ *           items:
+ *             $ref: '#/components/schemas/InventoryItem'
+ *     InventoryItem:
+ *       type: object
+ *       required: [item, quantity]
+ *       properties:
+ *         item:
+ *           type: string
+ *           description: Item id from config/equipment.js, e.g. defibrillator, oxygen_cylinder
+ *         quantity:
+ *           type: integer
+ *           minimum: 0
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           description: Expiry date of this batch, if it has one
  */
 
 /**
@@ -64,37 +151,17 @@ const { verifyAdmin, verifyToken } = require("../middleware/authMiddleware");
  *       500:
  *         description: Server error
  */
-router.post("/", verifyAdmin, async (req, res) => {
+router.post("/", authorize("ambulance:write"), async (req, res) => {
     try {
-        const { license_plate, status, hospital_name, location } = req.body;
+        const { license_plate, status, home_hospital, location } = req.body;
 
-        if (!license_plate || !status || !location || !location.coordinates) {
-            return res.status(400).json({ message: "Missing required fields" });
-        }
-
-        const validStatuses = ["available", "on-duty", "maintenance"];
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({ message: "Invalid status value" });
-        }
-
-        let [lat, lng] = location.coordinates;
-        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) [lng, lat] = [lat, lng];
-
-        if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
-            return res.status(400).json({ message: "Invalid coordinates" });
-        }
-
-        const correctedLocation = {
-            type: "Point",
-            coordinates: [lng, lat]
-        };
-
-        const ambulance = new Ambulance({
+        const { error, status: errorStatus, doc: ambulance } = await buildAmbulance({
             license_plate,
             status,
-            hospital_name,
-            location: correctedLocation
+            home_hospital,
+            coordinates: location && location.coordinates
         });
+        if (error) return res.status(errorStatus).json({ message: error });
 
         await ambulance.save();
         res.status(201).json({ message: "Ambulance created successfully", ambulance });
@@ -111,16 +178,123 @@ router.post("/", verifyAdmin, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  *     tags: [Ambulances]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses
+ *       - in: query
+ *         name: home_hospital
+ *         schema:
+ *           type: string
+ *         description: Home hospital ID
+ *       - in: query
+ *         name: capabilities
+ *         schema:
+ *           type: string
+ *         description: Comma-separated capabilities (config/equipment.js) every returned ambulance must have, e.g. defibrillation,oxygen
+ *       - $ref: '#/components/parameters/bbox'
+ *       - $ref: '#/components/parameters/near'
+ *       - $ref: '#/components/parameters/radius'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
  *     responses:
  *       200:
- *         description: List of all ambulances
+ *         description: A page of ambulances, each with the capabilities its inventory gives it, and next_cursor
+ *         headers:
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *       400:
+ *         description: Invalid filter, sort or cursor
  *       500:
  *         description: Server error
  */
-router.get("/", verifyToken, async (req, res) => {
+router.get("/", authorize("ambulance:read"), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, AMBULANCE_LIST);
+        if (list.error) return res.status(400).json({ message: list.error });
+
+        const { error: capabilityError, capabilities } = parseCapabilities(req.query.capabilities);
+        if (capabilityError) return res.status(400).json({ message: capabilityError });
+        const filter = capabilities.length ? { $and: [list.filter, ...capabilityConditions(capabilities)] } : list.filter;
+
+        const ambulances = await Ambulance.find(filter)
+            .populate("home_hospital", "name location")
+            .sort(list.sort)
+            .limit(list.limit);
+        const { items, next_cursor } = pageOf(ambulances, list);
+        if (next_cursor) res.set("X-Next-Cursor", next_cursor);
+
+        res.status(200).json({ message: "Ambulances retrieved successfully", ambulances: items.map(withCapabilities), next_cursor });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/ambulances/restock-report:
+ *   get:
+ *     summary: Items to restock across the fleet (Admins and dispatchers)
+ *     description: >
+ *       For every ambulance with something to restock: items below their restock level (expired units don't count),
+ *       and batches that have expired or expire within `within_days`.
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Ambulances]
+ *     parameters:
+ *       - in: query
+ *         name: within_days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Flag batches expiring within this many days (RESTOCK_EXPIRY_WARNING_DAYS)
+ *       - in: query
+ *         name: home_hospital
+ *         schema:
+ *           type: string
+ *         description: Only ambulances based at this hospital
+ *     responses:
+ *       200:
+ *         description: Ambulances with their restock needs, and a count of needs by reason
+ *       400:
+ *         description: Invalid within_days or home_hospital
+ */
+router.get("/restock-report", authorize("ambulance:restock-report"), async (req, res) => {
     try {
-        const ambulances = await Ambulance.find();
-        res.status(200).json({ message: "Ambulances retrieved successfully", ambulances });
+        const withinDays = req.query.within_days === undefined ? equipmentConfig.expiryWarningDays : Number(req.query.within_days);
+        if (!Number.isInteger(withinDays) || withinDays < 0) {
+            return res.status(400).json({ message: "within_days must be a whole number of 0 or more" });
+        }
+
+        const { error, filter } = parseFilters(req.query, { home_hospital: { type: "id" } });
+        if (error) return res.status(400).json({ message: error });
+
+        const now = new Date();
+        const ambulances = await Ambulance.find({ ...filter, "inventory.0": { $exists: true } })
+            .select("license_plate status home_hospital inventory inventory_checked_at")
+            .populate("home_hospital", "name")
+            .sort({ license_plate: 1 });
+
+        const report = ambulances
+            .map((ambulance) => ({
+                ambulanceId: ambulance._id,
+                license_plate: ambulance.license_plate,
+                status: ambulance.status,
+                home_hospital: ambulance.home_hospital,
+                inventory_checked_at: ambulance.inventory_checked_at,
+                needs: restockNeeds(ambulance, { now, withinDays })
+            }))
+            .filter((entry) => entry.needs.length > 0);
+
+        const summary = { low: 0, expired: 0, expiring: 0 };
+        for (const entry of report) {
+            for (const need of entry.needs) summary[need.reason] += 1;
+        }
+
+        res.status(200).json({ generated_at: now, within_days: withinDays, summary, ambulances: report });
     } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
     }
@@ -155,16 +329,26 @@ router.get("/", verifyToken, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put("/:id", verifyAdmin, async (req, res) => {
+router.put("/:id", authorize("ambulance:write"), async (req, res) => {
     try {
         const { id } = req.params;
-        const { license_plate, status, hospital_name, location } = req.body;
+        if (!mongoose.isValidObjectId(id)) return res.status(404).json({ message: "Ambulance not found" });
+        const { license_plate, status, home_hospital, location, odometer_km } = req.body;
 
         const validStatuses = ["available", "on-duty", "maintenance"];
         if (status && !validStatuses.includes(status)) {
             return res.status(400).json({ message: "Invalid status value" });
         }
 
+        // Work under way ends through the maintenance endpoints, which keep the record straight
+        if (status && status !== "maintenance" && await MaintenanceRecord.exists({ ambulance: id, status: "in-service" })) {
+            return res.status(400).json({ message: "Ambulance is in service; complete or cancel its maintenance first" });
+        }
+
+        if (odometer_km !== undefined && !(Number(odometer_km) >= 0)) {
+            return res.status(400).json({ message: "odometer_km must be a number of 0 or more" });
+        }
+
         let correctedLocation;
         if (location && location.coordinates) {
             let [lat, lng] = location.coordinates;
@@ -175,9 +359,20 @@ router.put("/:id", verifyAdmin, async (req, res) => {
             correctedLocation = { type: "Point", coordinates: [lng, lat] };
         }
 
+        if (home_hospital && !(await Hospital.exists({ _id: home_hospital }))) {
+            return res.status(404).json({ message: "Hospital not found" });
+        }
+
         const updatedAmbulance = await Ambulance.findByIdAndUpdate(
             id,
-            { license_plate, status, hospital_name, location: correctedLocation || undefined },
+            {
+                license_plate,
+                status,
+                home_hospital,
+                odometer_km: odometer_km !== undefined ? Number(odometer_km) : undefined,
+                location: correctedLocation || undefined,
+                location_updated_at: correctedLocation ? new Date() : undefined
+            },
             { new: true, runValidators: true }
         );
 
@@ -185,6 +380,9 @@ router.put("/:id", verifyAdmin, async (req, res) => {
             return res.status(404).json({ message: "Ambulance not found" });
         }
 
+        if (status) publish("ambulance.status", { ambulanceId: updatedAmbulance._id, status: updatedAmbulance.status });
+        if (correctedLocation) publish("ambulance.location", { ambulanceId: updatedAmbulance._id, location: updatedAmbulance.location });
+
         res.status(200).json({ message: "Ambulance updated successfully", ambulance: updatedAmbulance });
     } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
@@ -206,20 +404,438 @@ router.put("/:id", verifyAdmin, async (req, res) => {
  *         schema:
  *           type: string
  *         description: The ambulance ID
+ *       - in: query
+ *         name: unassign_crew
+ *         schema:
+ *           type: boolean
+ *         description: Unassign its drivers and medics and cancel its upcoming shifts instead of refusing
  *     responses:
  *       200:
  *         description: Ambulance deleted successfully
  *       404:
  *         description: Ambulance not found
+ *       409:
+ *         description: The ambulance is on an open incident, has crew clocked in, or has crew assigned (without unassign_crew)
  *       500:
  *         description: Server error
  */
-router.delete("/:id", verifyAdmin, async (req, res) => {
+router.delete("/:id", authorize("ambulance:write"), async (req, res) => {
     try {
-        const deletedAmbulance = await Ambulance.findByIdAndDelete(req.params.id);
-        if (!deletedAmbulance) return res.status(404).json({ message: "Ambulance not found" });
+        const ambulance = await Ambulance.findById(req.params.id);
+        if (!ambulance) return res.status(404).json({ message: "Ambulance not found" });
 
-        res.status(200).json({ message: "Ambulance deleted successfully" });
+        if (await Incident.exists({ ambulance: ambulance._id, status: { $nin: TERMINAL_STATUSES } })) {
+            return res.status(409).json({ message: "Ambulance is assigned to an open incident" });
+        }
+
+        const { drivers, medics } = await getAssignedCrew(ambulance._id);
+        if ((drivers.length || medics.length) && req.query.unassign_crew !== "true") {
+            return res.status(409).json({
+                message: "Ambulance still has crew assigned; reassign them or pass unassign_crew=true",
+                drivers: drivers.map((d) => d._id),
+                medics: medics.map((m) => m._id)
+            });
+        }
+
+        const released = await releaseAmbulanceCrew(ambulance._id);
+        if (released.error) return res.status(released.status).json({ message: released.error });
+
+        await Ambulance.findByIdAndDelete(ambulance._id);
+
+        res.status(200).json({
+            message: "Ambulance deleted successfully",
+            unassigned_crew: released.unassigned,
+            cancelled_shifts: released.cancelled_shifts
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/ambulances/{id}/crew:
+ *   get:
+ *     summary: Get the drivers and medics assigned to an ambulance and check its crew composition
+ *     description: Compares the assigned crew with the rules in config/crew.js; `on_shift` marks who is clocked in now.
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Ambulances]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ambulance ID
+ *     responses:
+ *       200:
+ *         description: Assigned drivers and medics, per-role counts against min/max, and any composition problems
+ *       404:
+ *         description: Ambulance not found
+ */
+router.get("/:id/crew", authorize("ambulance:read"), async (req, res) => {
+    try {
+        const ambulance = await Ambulance.findById(req.params.id).select("license_plate status");
+        if (!ambulance) return res.status(404).json({ message: "Ambulance not found" });
+
+        const [{ drivers, medics }, onShift] = await Promise.all([
+            getAssignedCrew(ambulance._id),
+            getCurrentCrew(ambulance._id)
+        ]);
+        const clockedIn = new Set(onShift.filter((shift) => shift.crew_member).map((shift) => String(shift.crew_member._id)));
+
+        res.status(200).json({
+            ambulanceId: ambulance._id,
+            license_plate: ambulance.license_plate,
+            status: ambulance.status,
+            drivers: drivers.map((driver) => ({
+                driverId: driver._id,
+                user: driver.user_id,
+                license_number: driver.license_number,
+                on_shift: Boolean(driver.user_id) && clockedIn.has(String(driver.user_id._id))
+            })),
+            medics: medics.map((medic) => ({
+                medicId: medic._id,
+                user: medic.user,
+                specialty: medic.specialty,
+                on_shift: Boolean(medic.user) && clockedIn.has(String(medic.user._id))
+            })),
+            ...crewComposition({ driver: drivers.length, medic: medics.length })
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/ambulances/{id}/current-crew:
+ *   get:
+ *     summary: Get the crew currently clocked in on an ambulance
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Ambulances]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ambulance ID
+ *     responses:
+ *       200:
+ *         description: Active shifts on the ambulance and whether it can be dispatched (crewed and not due for maintenance)
+ *       404:
+ *         description: Ambulance not found
+ */
+router.get("/:id/current-crew", authorize("ambulance:read"), async (req, res) => {
+    try {
+        const ambulance = await Ambulance.findById(req.params.id);
+        if (!ambulance) return res.status(404).json({ message: "Ambulance not found" });
+
+        const crew = await getCurrentCrew(ambulance._id);
+        const fullyCrewed = await isCrewed(ambulance._id);
+        const inMaintenance = await isInMaintenance(ambulance._id);
+
+        res.status(200).json({
+            ambulanceId: ambulance._id,
+            license_plate: ambulance.license_plate,
+            status: ambulance.status,
+            fully_crewed: fullyCrewed,
+            maintenance_due: inMaintenance,
+            dispatchable: ambulance.status === "available" && !inMaintenance && (fullyCrewed || !dispatchConfig.requireClockedInCrew),
+            crew
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/ambulances/{id}/inventory:
+ *   get:
+ *     summary: Get an ambulance's inventory, capabilities and restock needs
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Ambulances]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ambulance ID
+ *     responses:
+ *       200:
+ *         description: Inventory, the capabilities it gives the ambulance and what needs restocking
+ *       404:
+ *         description: Ambulance not found
+ */
+router.get("/:id/inventory", authorize("ambulance:read"), async (req, res) => {
+    try {
+        const ambulance = await Ambulance.findById(req.params.id).select("license_plate inventory inventory_checked_at");
+        if (!ambulance) return res.status(404).json({ message: "Ambulance not found" });
+
+        res.status(200).json({
+            ambulanceId: ambulance._id,
+            license_plate: ambulance.license_plate,
+            inventory: ambulance.inventory,
+            inventory_checked_at: ambulance.inventory_checked_at,
+            capabilities: ambulanceCapabilities(ambulance),
+            restock: restockNeeds(ambulance)
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/ambulances/{id}/inventory:
+ *   put:
+ *     summary: Replace an ambulance's inventory (assigned crew or Admin)
+ *     description: Send every batch on board; anything left out is removed. Use one entry per expiry date.
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Ambulances]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ambulance ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [inventory]
+ *             properties:
+ *               inventory:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/InventoryItem'
+ *     responses:
+ *       200:
+ *         description: Inventory updated
+ *       400:
+ *         description: Unknown item, invalid quantity or invalid expiry date
+ *       403:
+ *         description: Not crew on this ambulance
+ *       404:
+ *         description: Ambulance not found
+ */
+router.put("/:id/inventory", authorize("ambulance:inventory"), async (req, res) => {
+    try {
+        if (!(await isAssignedCrew(req.user, req.params.id))) {
+            return res.status(403).json({ message: "Access denied. Not assigned to this ambulance." });
+        }
+
+        const { error, inventory } = parseInventory(req.body && req.body.inventory);
+        if (error) return res.status(400).json({ message: error });
+
+        const ambulance = await Ambulance.findById(req.params.id);
+        if (!ambulance) return res.status(404).json({ message: "Ambulance not found" });
+
+        ambulance.inventory = inventory;
+        ambulance.inventory_checked_at = new Date();
+        await ambulance.save();
+
+        res.status(200).json({
+            message: "Inventory updated",
+            inventory: ambulance.inventory,
+            capabilities: ambulanceCapabilities(ambulance),
+            restock: restockNeeds(ambulance)
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/ambulances/{id}/positions:
+ *   post:
+ *     summary: Report GPS positions from an ambulance's device (assigned driver or Admin)
+ *     description: Send a single position or a batch under `positions`. The newest fix becomes the ambulance's current location.
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Ambulances]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ambulance ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               speed:
+ *                 type: number
+ *                 description: km/h
+ *               heading:
+ *                 type: number
+ *                 description: Degrees clockwise from north
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *               positions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Positions recorded
+ *       400:
+ *         description: Invalid position data
+ *       403:
+ *         description: Not the driver assigned to this ambulance
+ *       404:
+ *         description: Ambulance not found
+ */
+router.post("/:id/positions", authorize("ambulance:report-position"), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.isValidObjectId(id)) return res.status(404).json({ message: "Ambulance not found" });
+
+        // Drivers may only report the position of the ambulance they are assigned to
+        if (!(await isAssignedCrew(req.user, id))) {
+            return res.status(403).json({ message: "Access denied. Not assigned to this ambulance." });
+        }
+
+        const ambulance = await Ambulance.findById(id);
+        if (!ambulance) return res.status(404).json({ message: "Ambulance not found" });
+
+        const reports = Array.isArray(req.body.positions) ? req.body.positions : [req.body];
+        if (reports.length === 0 || reports.length > MAX_POSITIONS_PER_REQUEST) {
+            return res.status(400).json({ message: `Send between 1 and ${MAX_POSITIONS_PER_REQUEST} positions` });
+        }
+
+        const positions = [];
+        for (const [index, report] of reports.entries()) {
+            const { error, position } = parsePosition(ambulance._id, report || {});
+            if (error) return res.status(400).json({ message: error, index });
+            positions.push(position);
+        }
+
+        await AmbulancePosition.insertMany(positions);
+
+        // Devices may upload buffered fixes late, so only move the ambulance forward in time
+        const latest = positions.reduce((a, b) => (b.recorded_at > a.recorded_at ? b : a));
+        if (!ambulance.location_updated_at || latest.recorded_at > ambulance.location_updated_at) {
+            ambulance.location = latest.location;
+            ambulance.location_updated_at = latest.recorded_at;
+            await ambulance.save();
+            publish("ambulance.location", {
+                ambulanceId: ambulance._id,
+                location: ambulance.location,
+                speed: latest.speed,
+                heading: latest.heading,
+                recorded_at: latest.recorded_at
+            });
+        }
+
+        res.status(201).json({ message: "Positions recorded", count: positions.length, location: ambulance.location });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/ambulances/{id}/track:
+ *   get:
+ *     summary: Get an ambulance's GPS track as GeoJSON
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Ambulances]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ambulance ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the window (defaults to one hour before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the window (defaults to now)
+ *     responses:
+ *       200:
+ *         description: >
+ *           GeoJSON Feature with a LineString geometry (a Point when the window holds a single fix, an empty
+ *           FeatureCollection when it holds none); per-point times, speeds and headings are in properties. Long
+ *           windows keep the most recent 10000 points and set `truncated`.
+ *       400:
+ *         description: Invalid time window
+ *       404:
+ *         description: Ambulance not found
+ */
+router.get("/:id/track", authorize("ambulance:read"), async (req, res) => {
+    try {
+        const ambulance = await Ambulance.findById(req.params.id);
+        if (!ambulance) return res.status(404).json({ message: "Ambulance not found" });
+
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_TRACK_WINDOW_MS);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+            return res.status(400).json({ message: "Invalid time window" });
+        }
+
+        // Newest first so a capped window keeps the latest fixes, then back into time order. One more than
+        // the cap is read to tell a window that was cut short from one that holds exactly the cap.
+        const latest = await AmbulancePosition.find({
+            ambulance: ambulance._id,
+            recorded_at: { $gte: from, $lte: to }
+        })
+            .sort({ recorded_at: -1 })
+            .limit(MAX_TRACK_POINTS + 1)
+            .lean();
+        const truncated = latest.length > MAX_TRACK_POINTS;
+        const positions = latest.slice(0, MAX_TRACK_POINTS).reverse();
+
+        // A LineString needs two positions
+        if (positions.length === 0) return res.status(200).json({ type: "FeatureCollection", features: [] });
+        const coordinates = positions.map((p) => p.location.coordinates);
+
+        res.status(200).json({
+            type: "Feature",
+            geometry: coordinates.length === 1
+                ? { type: "Point", coordinates: coordinates[0] }
+                : { type: "LineString", coordinates },
+            properties: {
+                ambulanceId: ambulance._id,
+                license_plate: ambulance.license_plate,
+                from,
+                to,
+                truncated,
+                timestamps: positions.map((p) => p.recorded_at),
+                speeds: positions.map((p) => (p.speed != null ? p.speed : null)),
+                headings: positions.map((p) => (p.heading != null ? p.heading : null))
+            }
+        });
     } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
     }
@@ -0,0 +1,364 @@
+const express = require("express");
+const router = express.Router();
+const Incident = require("../models/Incident");
+const Ambulance = require("../models/Ambulance");
+const Hospital = require("../models/Hospital");
+const { authorize } = require("../middleware/authMiddleware");
+const { parseFilters, parseListQuery, pageOf } = require("../utils/listQuery");
+const { INCIDENT_LIST } = require("../utils/incidentQuery");
+const { SHAPES, createBinner } = require("../utils/binning");
+const { DIMENSIONS, measureIncident, createResponseTimeReport } = require("../utils/responseTimes");
+
+const DEFAULT_WINDOW_DAYS = 30;
+const DEFAULT_CELL_SIZE_M = 1000;
+const MIN_CELL_SIZE_M = 100;
+const MAX_CELL_SIZE_M = 100000;
+
+// Default the aggregation window to the last 30 days when no reported_from/reported_to is given
+const withDefaultWindow = (query) => {
+    if (query.reported_from || query.reported_to) return query;
+    return { ...query, reported_from: new Date(Date.now() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString() };
+};
+
+const GEOMETRY_TYPES = ["Polygon", "MultiPolygon"];
+
+// Hour-of-day buckets are reported in this zone unless ?tz= says otherwise
+const DEFAULT_TIMEZONE = process.env.REPORT_TIMEZONE || "UTC";
+
+// Returns a function mapping a date to its hour (0-23) in timeZone, or null for an unknown zone
+const hourIn = (timeZone) => {
+    try {
+        const format = new Intl.DateTimeFormat("en-GB", { hour: "numeric", hourCycle: "h23", timeZone });
+        return (date) => Number(format.format(date));
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Analytics
+ *   description: Incident analytics for planners
+ */
+
+/**
+ * @swagger
+ * /api/analytics/incidents/grid:
+ *   get:
+ *     summary: Aggregate incidents into square or hexagonal cells (Admins and dispatchers)
+ *     description: >
+ *       Returns a GeoJSON FeatureCollection with one Polygon per non-empty cell and its count,
+ *       mean priority and breakdown by incident_type. Accepts the same filters as GET /api/incidents;
+ *       without reported_from/reported_to the last 30 days are used.
+ *     tags: [Analytics]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: shape
+ *         schema:
+ *           type: string
+ *           enum: [square, hex]
+ *           default: hex
+ *       - in: query
+ *         name: cell_size
+ *         schema:
+ *           type: number
+ *           default: 1000
+ *         description: Cell width in metres (100 to 100000)
+ *       - in: query
+ *         name: reported_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: reported_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: incident_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/bbox'
+ *       - $ref: '#/components/parameters/near'
+ *       - $ref: '#/components/parameters/radius'
+ *     responses:
+ *       200:
+ *         description: GeoJSON FeatureCollection of cells
+ *       400:
+ *         description: Invalid parameters
+ */
+router.get("/incidents/grid", authorize("analytics:read"), async (req, res) => {
+    try {
+        const shape = req.query.shape || "hex";
+        if (!SHAPES.includes(shape)) {
+            return res.status(400).json({ message: `shape must be one of: ${SHAPES.join(", ")}` });
+        }
+
+        const size = req.query.cell_size !== undefined ? Number(req.query.cell_size) : DEFAULT_CELL_SIZE_M;
+        if (!(size >= MIN_CELL_SIZE_M && size <= MAX_CELL_SIZE_M)) {
+            return res.status(400).json({ message: `cell_size must be between ${MIN_CELL_SIZE_M} and ${MAX_CELL_SIZE_M} metres` });
+        }
+
+        const { error, filter } = parseFilters(withDefaultWindow(req.query), INCIDENT_LIST.filters);
+        if (error) return res.status(400).json({ message: error });
+
+        // Centre the projection on the matching incidents so cells keep their size at this latitude
+        const [centre] = await Incident.aggregate([
+            { $match: filter },
+            { $group: { _id: null, lat: { $avg: { $arrayElemAt: ["$location.coordinates", 1] } }, count: { $sum: 1 } } }
+        ]);
+        if (!centre) {
+            return res.status(200).json({ type: "FeatureCollection", features: [], properties: { shape, cell_size: size, total: 0 } });
+        }
+
+        const binner = createBinner({
+            shape,
+            size,
+            originLat: centre.lat,
+            initial: () => ({ count: 0, prioritySum: 0, byType: {} }),
+            reduce: (cell, incident) => {
+                cell.count += 1;
+                cell.prioritySum += incident.priority;
+                cell.byType[incident.incident_type] = (cell.byType[incident.incident_type] || 0) + 1;
+                return cell;
+            }
+        });
+
+        // Stream incidents so large windows don't load every document at once
+        const cursor = Incident.find(filter).select("location priority incident_type").lean().cursor();
+        for await (const incident of cursor) binner.add(incident.location.coordinates, incident);
+
+        const features = binner.cells().map(({ key, centre: cellCentre, ring, value }) => ({
+            type: "Feature",
+            geometry: { type: "Polygon", coordinates: [ring] },
+            properties: {
+                cell: key,
+                centre: cellCentre,
+                count: value.count,
+                mean_priority: Math.round((value.prioritySum / value.count) * 100) / 100,
+                by_incident_type: value.byType
+            }
+        }));
+        features.sort((a, b) => b.properties.count - a.properties.count);
+
+        res.status(200).json({
+            type: "FeatureCollection",
+            features,
+            properties: { shape, cell_size: size, total: centre.count }
+        });
+    } catch (error) {
+        console.error("Error aggregating incidents:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/analytics/incidents/within:
+ *   post:
+ *     summary: List incidents inside a polygon as GeoJSON (Admins and dispatchers)
+ *     description: The body is a GeoJSON Polygon or MultiPolygon, or a Feature wrapping one. GET /api/incidents filters and pagination apply as query parameters.
+ *     tags: [Analytics]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: reported_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: reported_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example: { "type": "Polygon", "coordinates": [[[36.80, -1.30], [36.85, -1.30], [36.85, -1.25], [36.80, -1.25], [36.80, -1.30]]] }
+ *     responses:
+ *       200:
+ *         description: GeoJSON FeatureCollection of incident points, with next_cursor
+ *       400:
+ *         description: Missing or invalid geometry or filters
+ */
+router.post("/incidents/within", authorize("analytics:read"), async (req, res) => {
+    try {
+        const geometry = req.body && req.body.type === "Feature" ? req.body.geometry : req.body;
+        if (!geometry || !GEOMETRY_TYPES.includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+            return res.status(400).json({ message: "Body must be a GeoJSON Polygon or MultiPolygon" });
+        }
+
+        const list = parseListQuery(req.query, INCIDENT_LIST);
+        if (list.error) return res.status(400).json({ message: list.error });
+
+        const incidents = await Incident.find({
+            $and: [list.filter, { location: { $geoWithin: { $geometry: { type: geometry.type, coordinates: geometry.coordinates } } } }]
+        })
+            .select("location status priority incident_type reported_time ambulance")
+            .sort(list.sort)
+            .limit(list.limit);
+        const { items, next_cursor } = pageOf(incidents, list);
+        if (next_cursor) res.set("X-Next-Cursor", next_cursor);
+
+        res.status(200).json({
+            type: "FeatureCollection",
+            features: items.map((incident) => ({
+                type: "Feature",
+                geometry: incident.location,
+                properties: {
+                    id: incident._id,
+                    status: incident.status,
+                    priority: incident.priority,
+                    incident_type: incident.incident_type,
+                    reported_time: incident.reported_time,
+                    ambulance: incident.ambulance
+                }
+            })),
+            next_cursor
+        });
+    } catch (error) {
+        // MongoDB rejects self-intersecting or unclosed polygons
+        if (error.code === 2 || /geo|polygon|loop/i.test(error.message)) {
+            return res.status(400).json({ message: "Invalid polygon", error: error.message });
+        }
+        console.error("Error querying incidents within polygon:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/analytics/response-times:
+ *   get:
+ *     summary: Median and 90th-percentile response times (Admins and dispatchers)
+ *     description: >
+ *       Call-to-dispatch runs from reported_time to the first move to "dispatched", call-to-scene to the first
+ *       move to "on-scene", both in seconds. Results are given overall and broken down by priority, incident_type,
+ *       ambulance, hospital (the ambulance's home base) and hour of day. Accepts the GET /api/incidents filters;
+ *       without reported_from/reported_to the last 30 days are used.
+ *     tags: [Analytics]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: reported_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: reported_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *         description: Comma-separated subset of priority, incident_type, ambulance, hospital, hour (default all)
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *           example: Africa/Nairobi
+ *         description: IANA time zone for the hour-of-day breakdown (default UTC or REPORT_TIMEZONE)
+ *       - in: query
+ *         name: priority_min
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: priority_max
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: incident_type
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Overall and grouped summaries with count, median_s and p90_s per measure
+ *       400:
+ *         description: Invalid filters, group_by or tz
+ */
+router.get("/response-times", authorize("analytics:read"), async (req, res) => {
+    try {
+        const dimensions = req.query.group_by
+            ? String(req.query.group_by).split(",").map((d) => d.trim()).filter(Boolean)
+            : DIMENSIONS;
+        const unknown = dimensions.filter((d) => !DIMENSIONS.includes(d));
+        if (unknown.length) {
+            return res.status(400).json({ message: `Unknown group_by: ${unknown.join(", ")}. Use: ${DIMENSIONS.join(", ")}` });
+        }
+
+        const timeZone = req.query.tz ? String(req.query.tz) : DEFAULT_TIMEZONE;
+        const hourOf = hourIn(timeZone);
+        if (!hourOf) return res.status(400).json({ message: `Unknown time zone: ${timeZone}` });
+
+        const query = withDefaultWindow(req.query);
+        const { error, filter } = parseFilters(query, INCIDENT_LIST.filters);
+        if (error) return res.status(400).json({ message: error });
+
+        // The fleet is small, so resolve every ambulance's home base up front
+        const ambulances = await Ambulance.find().select("license_plate home_hospital").lean();
+        const ambulanceById = new Map(ambulances.map((a) => [String(a._id), a]));
+
+        const report = createResponseTimeReport(dimensions);
+        const cursor = Incident.find(filter)
+            .select("reported_time status_history priority incident_type ambulance")
+            .lean()
+            .cursor();
+        for await (const incident of cursor) {
+            const ambulance = incident.ambulance ? ambulanceById.get(String(incident.ambulance)) : null;
+            report.add({
+                priority: incident.priority,
+                incident_type: incident.incident_type,
+                ambulance: incident.ambulance ? String(incident.ambulance) : null,
+                hospital: ambulance && ambulance.home_hospital ? String(ambulance.home_hospital) : null,
+                hour: hourOf(new Date(incident.reported_time))
+            }, measureIncident(incident));
+        }
+        const { overall, by } = report.report();
+
+        // Label ambulance and hospital groups so the report reads without further lookups
+        if (by.ambulance) {
+            for (const group of by.ambulance) {
+                const ambulance = ambulanceById.get(group.key);
+                group.license_plate = ambulance ? ambulance.license_plate : null;
+            }
+        }
+        if (by.hospital) {
+            const hospitals = await Hospital.find({ _id: { $in: by.hospital.map((g) => g.key) } }).select("name").lean();
+            const names = new Map(hospitals.map((h) => [String(h._id), h.name]));
+            for (const group of by.hospital) group.name = names.get(group.key) || null;
+        }
+
+        res.status(200).json({
+            range: { from: query.reported_from || null, to: query.reported_to || null },
+            time_zone: timeZone,
+            overall,
+            by
+        });
+    } catch (error) {
+        console.error("Error computing response times:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+module.exports = router;
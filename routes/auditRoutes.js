@@ -0,0 +1,90 @@
+const express = require("express");
+const router = express.Router();
+const AuditLog = require("../models/AuditLog");
+const { authorize } = require("../middleware/authMiddleware");
+const { parseListQuery, pageOf } = require("../utils/listQuery");
+
+const AUDIT_LIST = {
+    filters: {
+        actor: { type: "id" },
+        target_model: { type: "string" },
+        target_id: { type: "id" },
+        action: { type: "list" },
+        at: { type: "dateRange" }
+    },
+    sortable: ["at"],
+    defaultSort: "-at"
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Audit trail of administrative and dispatch changes
+ */
+
+/**
+ * @swagger
+ * /api/audit-logs:
+ *   get:
+ *     summary: Search the audit log (Admin only)
+ *     tags: [Audit]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User ID who made the change
+ *       - in: query
+ *         name: target_model
+ *         schema:
+ *           type: string
+ *           example: Incident
+ *       - in: query
+ *         name: target_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: at_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: at_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *     responses:
+ *       200:
+ *         description: Matching entries, newest first, and next_cursor
+ *       400:
+ *         description: Invalid filter
+ */
+router.get("/", authorize("audit:read"), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, AUDIT_LIST);
+        if (list.error) return res.status(400).json({ message: list.error });
+
+        const entries = await AuditLog.find(list.filter)
+            .populate("actor", "name email role")
+            .sort(list.sort)
+            .limit(list.limit);
+        const { items, next_cursor } = pageOf(entries, list);
+        if (next_cursor) res.set("X-Next-Cursor", next_cursor);
+
+        res.status(200).json({ entries: items, next_cursor });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+module.exports = router;
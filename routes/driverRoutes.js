@@ -2,9 +2,26 @@ const express = require("express");
 const router = express.Router();
 const Driver = require("../models/Driver");
 const User = require("../models/User");
-const Ambulance = require("../models/Ambulance"); 
-
-const { verifyAdmin,verifyToken } = require("../middleware/authMiddleware");
+const Incident = require("../models/Incident");
+
+const { authorize } = require("../middleware/authMiddleware");
+const { revokeAllSessions } = require("../utils/sessions");
+const { parseListQuery, pageOf } = require("../utils/listQuery");
+const { buildDriver } = require("../utils/recordBuilders");
+const { TERMINAL_STATUSES } = require("../utils/incidentLifecycle");
+const { withEta } = require("../utils/eta");
+const { acceptAssignment, passToNextAmbulance } = require("../utils/assignments");
+const { checkCrewAssignment, removeCrewProfiles } = require("../utils/crew");
+
+const DRIVER_LIST = {
+    filters: {
+        user: { type: "id", field: "user_id" },
+        assigned_ambulance: { type: "id" },
+        license_number: { type: "string" }
+    },
+    sortable: ["createdAt", "license_number"],
+    defaultSort: "-createdAt"
+};
 
 /**
  * @swagger
@@ -45,40 +62,18 @@ const { verifyAdmin,verifyToken } = require("../middleware/authMiddleware");
 // Create a driver
 
 // Create driver
-router.post("/create", verifyAdmin, async (req, res) => {
+router.post("/create", authorize("driver:write"), async (req, res) => {
   try {
     const { user_id, license_number, assigned_ambulance } = req.body;
 
-    // Validate the incoming data
-    if (!user_id || !license_number) {
-      return res.status(400).json({ message: "User ID and License Number are required" });
-    }
-
-    // Find the user by user_id
-    const user = await User.findById(user_id);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    // Check the user and the (optional) ambulance; the user's role becomes "driver"
+    const { error, status, doc: newDriver, user } = await buildDriver({ user_id, license_number, assigned_ambulance });
+    if (error) {
+      return res.status(status).json({ message: error });
     }
 
-    // Update the user's role to "driver"
-    user.role = "driver";
     await user.save(); // Save the updated user
-
-    // Check if the assigned ambulance exists (optional)
-    let ambulanceData = null;
-    if (assigned_ambulance) {
-      ambulanceData = await Ambulance.findById(assigned_ambulance);
-      if (!ambulanceData) {
-        return res.status(404).json({ message: "Ambulance not found" });
-      }
-    }
-
-    // Create a new driver document
-    const newDriver = new Driver({
-      user_id: user._id, // Reference to the updated user
-      license_number,
-      assigned_ambulance: ambulanceData ? ambulanceData._id : null // Optional ambulance
-    });
+    await revokeAllSessions(user._id, "role changed"); // Old tokens carry the old role
 
     // Save the new driver document to the database
     await newDriver.save();
@@ -116,22 +111,163 @@ router.post("/create", verifyAdmin, async (req, res) => {
  *                 type: string
  *               assigned_ambulance:
  *                 type: string
+ *                 nullable: true
+ *                 description: Ambulance ID, or null to unassign
  *     responses:
  *       200:
  *         description: Driver updated successfully
+ *       400:
+ *         description: The ambulance already has the most drivers allowed
  *       404:
- *         description: Driver not found
+ *         description: Driver or ambulance not found
  */
-router.get("/", verifyToken, async (req, res) => {
+router.get("/", authorize("driver:read"), async (req, res) => {
     try {
-        const drivers = await Driver.find().populate("user_id", "name email phone_number_1"); 
-        res.status(200).json(drivers);
+        const list = parseListQuery(req.query, DRIVER_LIST);
+        if (list.error) return res.status(400).json({ message: list.error });
+
+        const drivers = await Driver.find(list.filter)
+            .populate("user_id", "name email phone_number_1")
+            .sort(list.sort)
+            .limit(list.limit);
+        const { items, next_cursor } = pageOf(drivers, list);
+        if (next_cursor) res.set("X-Next-Cursor", next_cursor);
+
+        res.status(200).json(items);
     } catch (error) {
         console.error("Error fetching drivers:", error);
         res.status(500).json({ message: "Server error", error: error.message });
     }
 });
 
+// The logged-in driver's ambulance and its open incident (or null). Returns { error, status } when
+// the user has no driver profile or no ambulance.
+const findCurrentAssignment = async (userId) => {
+    const driver = await Driver.findOne({ user_id: userId }).select("assigned_ambulance");
+    if (!driver) return { error: "No driver profile for this user", status: 404 };
+    if (!driver.assigned_ambulance) return { error: "You are not assigned to an ambulance", status: 404 };
+
+    const incident = await Incident.findOne({ ambulance: driver.assigned_ambulance, status: { $nin: TERMINAL_STATUSES } })
+        .sort({ reported_time: -1 })
+        .populate({ path: "ambulance", select: "license_plate status location" });
+    return { ambulanceId: driver.assigned_ambulance, incident };
+};
+
+/**
+ * @swagger
+ * /api/drivers/me/assignment:
+ *   get:
+ *     summary: The logged-in driver's current assignment (Drivers only)
+ *     description: >
+ *       The open incident for the driver's assigned ambulance, with its ETA and the pending offer
+ *       (assignment.status "offered" must be accepted before assignment.expires_at).
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ incident } — null when the ambulance has no open incident"
+ *       404:
+ *         description: No driver profile or no assigned ambulance
+ */
+router.get("/me/assignment", authorize("assignment:respond"), async (req, res) => {
+    try {
+        const { error, status, incident } = await findCurrentAssignment(req.user.userId);
+        if (error) return res.status(status).json({ message: error });
+
+        res.status(200).json({ incident: incident ? withEta(incident) : null });
+    } catch (error) {
+        console.error("Error fetching assignment:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/drivers/me/assignment/accept:
+ *   post:
+ *     summary: Accept the dispatch offered to the driver's ambulance (Drivers only)
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Assignment accepted
+ *       404:
+ *         description: No driver profile, no assigned ambulance or no open incident
+ *       409:
+ *         description: No offer waiting to be accepted (already answered, or it timed out)
+ */
+router.post("/me/assignment/accept", authorize("assignment:respond"), async (req, res) => {
+    try {
+        const { error, status, ambulanceId, incident } = await findCurrentAssignment(req.user.userId);
+        if (error) return res.status(status).json({ message: error });
+        if (!incident) return res.status(404).json({ message: "Your ambulance has no open incident" });
+
+        const accepted = await acceptAssignment(incident._id, ambulanceId, req.user.userId);
+        if (!accepted) return res.status(409).json({ message: "There is no offer waiting to be accepted" });
+
+        res.status(200).json({ message: "Assignment accepted", incident: accepted });
+    } catch (error) {
+        console.error("Error accepting assignment:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/drivers/me/assignment/decline:
+ *   post:
+ *     summary: Decline the dispatch offered to the driver's ambulance (Drivers only)
+ *     description: >
+ *       Frees the ambulance and offers the incident to the next-best available ambulance. The dispatcher
+ *       is alerted; when no other ambulance is available the incident waits for them to assign one.
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Assignment declined; next_ambulance is the ambulance now offered the incident, or null
+ *       400:
+ *         description: Missing reason
+ *       404:
+ *         description: No driver profile, no assigned ambulance or no open incident
+ *       409:
+ *         description: No offer waiting to be answered (already accepted, or it timed out)
+ */
+router.post("/me/assignment/decline", authorize("assignment:respond"), async (req, res) => {
+    try {
+        const reason = req.body && req.body.reason ? String(req.body.reason).trim() : "";
+        if (!reason) return res.status(400).json({ message: "A reason is required to decline an assignment" });
+
+        const { error, status, ambulanceId, incident } = await findCurrentAssignment(req.user.userId);
+        if (error) return res.status(status).json({ message: error });
+        if (!incident) return res.status(404).json({ message: "Your ambulance has no open incident" });
+
+        const result = await passToNextAmbulance(incident._id, ambulanceId, "declined", { by: req.user.userId, reason });
+        if (!result) return res.status(409).json({ message: "There is no offer waiting to be answered" });
+
+        res.status(200).json({
+            message: "Assignment declined",
+            incidentId: result.incident._id,
+            next_ambulance: result.next ? result.next._id : null
+        });
+    } catch (error) {
+        console.error("Error declining assignment:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
 /**
  * @swagger
  * /api/drivers/{id}:
@@ -148,20 +284,31 @@ router.get("/", verifyToken, async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Driver role revoked, user reverted to regular user
+ *         description: Driver role revoked, user reverted to regular user; their upcoming shifts are cancelled
  *       404:
  *         description: Driver not found
+ *       409:
+ *         description: The driver is clocked in
  */
-router.delete("/:id", verifyAdmin, async (req, res) => {
+router.delete("/:id", authorize("driver:write"), async (req, res) => {
     try {
-        const driver = await Driver.findById(req.params.id).populate("user_id");
+        const driver = await Driver.findById(req.params.id);
         if (!driver) return res.status(404).json({ message: "Driver not found" });
 
-        // Revert the user's role to "user"
-        await User.findByIdAndUpdate(driver.user_id._id, { role: "user" });
+        // A profile whose user is gone has no shifts or role left to clean up
+        const user = driver.user_id ? await User.findById(driver.user_id).select("_id") : null;
+        if (!user) {
+            await Driver.deleteOne({ _id: driver._id });
+            return res.status(200).json({ message: "Driver removed; the user no longer exists" });
+        }
+
+        // Delete the driver document and cancel their upcoming shifts (refused while clocked in)
+        const removal = await removeCrewProfiles(user._id);
+        if (removal.error) return res.status(removal.status).json({ message: removal.error });
 
-        // Delete the driver document
-        await Driver.findByIdAndDelete(req.params.id);
+        // Revert the user's role to "user"
+        await User.findByIdAndUpdate(user._id, { role: "user" });
+        await revokeAllSessions(user._id, "role changed");
 
         res.status(200).json({ message: "Driver role revoked, user reverted to regular user" });
     } catch (error) {
@@ -173,16 +320,40 @@ router.delete("/:id", verifyAdmin, async (req, res) => {
  * @swagger
  * /api/drivers:
  *   get:
- *     summary: Get all drivers (Admin only)
+ *     summary: Get all drivers (Admins and dispatchers)
  *     tags: [Drivers]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: assigned_ambulance
+ *         schema:
+ *           type: string
+ *         description: Assigned ambulance ID
+ *       - in: query
+ *         name: license_number
+ *         schema:
+ *           type: string
+ *         description: Exact licence number
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
  *     responses:
  *       200:
- *         description: List of all drivers
+ *         description: A page of drivers; the next page's cursor is in X-Next-Cursor
+ *         headers:
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *       400:
+ *         description: Invalid filter, sort or cursor
  */
 // Driver Controller (PUT)
-router.put("/:id", verifyAdmin, async (req, res) => {
+router.put("/:id", authorize("driver:write"), async (req, res) => {
     const { license_number, assigned_ambulance } = req.body; // Extract data from the request body
 
     try {
@@ -193,9 +364,15 @@ router.put("/:id", verifyAdmin, async (req, res) => {
             return res.status(404).json({ message: "Driver not found" });
         }
 
+        // Crew composition rules (config/crew.js) apply to the new ambulance
+        if (assigned_ambulance) {
+            const crewError = await checkCrewAssignment("driver", assigned_ambulance, { exclude: driver._id });
+            if (crewError) return res.status(crewError.status).json({ message: crewError.error });
+        }
+
         // Update driver data
         driver.license_number = license_number || driver.license_number; // Only update if the field is provided
-        driver.assigned_ambulance = assigned_ambulance || driver.assigned_ambulance; // Only update if the field is provided
+        if (assigned_ambulance !== undefined) driver.assigned_ambulance = assigned_ambulance || null; // null unassigns
 
         // Save the updated driver
         await driver.save();
@@ -229,7 +406,7 @@ router.put("/:id", verifyAdmin, async (req, res) => {
  *         description: Driver not found
  */
 // Driver Controller (GET by ID)
-router.get("/:id", verifyToken, async (req, res) => {
+router.get("/:id", authorize("driver:read"), async (req, res) => {
     try {
         // Find the driver by ID and populate the user details
         const driver = await Driver.findById(req.params.id).populate("user_id", "name email phone_number_1");
@@ -0,0 +1,417 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Hospital = require("../models/Hospital");
+const Ambulance = require("../models/Ambulance");
+const Incident = require("../models/Incident");
+const { authorize } = require("../middleware/authMiddleware");
+const { normalizeCoordinates } = require("../utils/geo");
+const { DEFAULT_SEARCH_RADIUS_M, recommendHospitals } = require("../utils/hospitals");
+
+const CAPACITY_FIELDS = ["beds_total", "beds_available", "er_total", "er_available"];
+
+// Pick known capacity fields from a request body, rejecting negatives. Returns { error } or { capacity }.
+const parseCapacity = (input = {}) => {
+    const capacity = {};
+    for (const field of CAPACITY_FIELDS) {
+        if (input[field] == null) continue;
+        const value = Number(input[field]);
+        if (!Number.isInteger(value) || value < 0) return { error: `Invalid ${field}` };
+        capacity[field] = value;
+    }
+    return { capacity };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Hospital:
+ *       type: object
+ *       required:
+ *         - name
+ *         - location
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated ID of the hospital
+ *         name:
+ *           type: string
+ *         address:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         location:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               example: "Point"
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
+ *               example: [longitude, latitude]
+ *         specialties:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [cardiology, trauma]
+ *         capacity:
+ *           type: object
+ *           properties:
+ *             beds_total:
+ *               type: integer
+ *             beds_available:
+ *               type: integer
+ *             er_total:
+ *               type: integer
+ *             er_available:
+ *               type: integer
+ *         on_diversion:
+ *           type: boolean
+ *           description: The hospital is turning ambulances away
+ *         diversion_reason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Hospitals
+ *   description: Hospital registry, capacity and diversion status
+ */
+
+/**
+ * @swagger
+ * /api/hospitals:
+ *   post:
+ *     summary: Register a hospital (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Hospitals]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Hospital'
+ *     responses:
+ *       201:
+ *         description: Hospital created successfully
+ *       400:
+ *         description: Missing required fields, invalid data or duplicate name
+ */
+router.post("/", authorize("hospital:write"), async (req, res) => {
+    try {
+        const { name, address, phone, location, specialties, capacity, on_diversion, diversion_reason } = req.body;
+
+        if (!name || !location || !location.coordinates) {
+            return res.status(400).json({ message: "Missing required fields" });
+        }
+
+        const coordinates = normalizeCoordinates(location.coordinates);
+        if (!coordinates) {
+            return res.status(400).json({ message: "Invalid coordinates" });
+        }
+
+        const parsed = parseCapacity(capacity);
+        if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+        const existing = await Hospital.findOne({ name });
+        if (existing) return res.status(400).json({ message: "A hospital with this name already exists" });
+
+        const hospital = new Hospital({
+            name,
+            address,
+            phone,
+            location: { type: "Point", coordinates },
+            specialties: (specialties || []).map((s) => String(s).trim().toLowerCase()),
+            capacity: parsed.capacity,
+            on_diversion: Boolean(on_diversion),
+            diversion_reason
+        });
+
+        await hospital.save();
+        res.status(201).json({ message: "Hospital created successfully", hospital });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hospitals:
+ *   get:
+ *     summary: Get all hospitals
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Hospitals]
+ *     parameters:
+ *       - in: query
+ *         name: specialty
+ *         schema:
+ *           type: string
+ *         description: Only hospitals with this specialty
+ *       - in: query
+ *         name: on_diversion
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of hospitals
+ */
+router.get("/", authorize("hospital:read"), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.specialty) filter.specialties = String(req.query.specialty).toLowerCase();
+        if (req.query.on_diversion !== undefined) filter.on_diversion = req.query.on_diversion === "true";
+
+        const hospitals = await Hospital.find(filter).sort({ name: 1 });
+        res.status(200).json({ message: "Hospitals retrieved successfully", hospitals });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hospitals/recommend/{incidentId}:
+ *   get:
+ *     summary: Recommend destination hospitals for an incident (Dispatchers and Admins)
+ *     description: >
+ *       Ranks nearby hospitals by whether they are on diversion, whether they have a specialty needed
+ *       for the incident type, whether an ER bay is free, and then by straight-line distance.
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Hospitals]
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *       - in: query
+ *         name: maxDistance
+ *         schema:
+ *           type: number
+ *           default: 50000
+ *         description: Search radius in metres
+ *     responses:
+ *       200:
+ *         description: Ranked hospitals with distance_m and the reasons behind their rank
+ *       403:
+ *         description: Only dispatchers and admins can request recommendations
+ *       404:
+ *         description: Incident not found
+ */
+router.get("/recommend/:incidentId", authorize("hospital:recommend"), async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.incidentId);
+        if (!incident) return res.status(404).json({ message: "Incident not found" });
+
+        const limit = parseInt(req.query.limit, 10) || 5;
+        const maxDistance = parseFloat(req.query.maxDistance) || DEFAULT_SEARCH_RADIUS_M;
+
+        const result = await recommendHospitals(incident, { limit, maxDistance });
+        res.status(200).json({ incidentId: incident._id, incident_type: incident.incident_type, ...result });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hospitals/{id}:
+ *   get:
+ *     summary: Get a hospital by ID
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Hospitals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hospital found
+ *       404:
+ *         description: Hospital not found
+ */
+router.get("/:id", authorize("hospital:read"), async (req, res) => {
+    try {
+        const hospital = await Hospital.findById(req.params.id);
+        if (!hospital) return res.status(404).json({ message: "Hospital not found" });
+        res.status(200).json(hospital);
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hospitals/{id}:
+ *   put:
+ *     summary: Update a hospital (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Hospitals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Hospital'
+ *     responses:
+ *       200:
+ *         description: Hospital updated successfully
+ *       400:
+ *         description: Invalid data
+ *       404:
+ *         description: Hospital not found
+ */
+router.put("/:id", authorize("hospital:write"), async (req, res) => {
+    try {
+        const hospital = await Hospital.findById(req.params.id);
+        if (!hospital) return res.status(404).json({ message: "Hospital not found" });
+
+        const { name, address, phone, location, specialties, capacity, on_diversion, diversion_reason } = req.body;
+
+        if (location && location.coordinates) {
+            const coordinates = normalizeCoordinates(location.coordinates);
+            if (!coordinates) return res.status(400).json({ message: "Invalid coordinates" });
+            hospital.location = { type: "Point", coordinates };
+        }
+
+        const parsed = parseCapacity(capacity);
+        if (parsed.error) return res.status(400).json({ message: parsed.error });
+        for (const [field, value] of Object.entries(parsed.capacity)) hospital.set(`capacity.${field}`, value);
+
+        if (name) hospital.name = name;
+        if (address !== undefined) hospital.address = address;
+        if (phone !== undefined) hospital.phone = phone;
+        if (specialties) hospital.specialties = specialties.map((s) => String(s).trim().toLowerCase());
+        if (on_diversion !== undefined) hospital.on_diversion = Boolean(on_diversion);
+        if (diversion_reason !== undefined) hospital.diversion_reason = diversion_reason;
+
+        await hospital.save();
+        res.status(200).json({ message: "Hospital updated successfully", hospital });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/status:
+ *   patch:
+ *     summary: Update a hospital's capacity or diversion status (Dispatchers and Admins)
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Hospitals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               beds_available:
+ *                 type: integer
+ *               er_available:
+ *                 type: integer
+ *               on_diversion:
+ *                 type: boolean
+ *               diversion_reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Hospital status updated
+ *       400:
+ *         description: Invalid data
+ *       404:
+ *         description: Hospital not found
+ */
+router.patch("/:id/status", authorize("hospital:status"), async (req, res) => {
+    try {
+        const hospital = await Hospital.findById(req.params.id);
+        if (!hospital) return res.status(404).json({ message: "Hospital not found" });
+
+        const { beds_available, er_available, on_diversion, diversion_reason } = req.body;
+
+        const parsed = parseCapacity({ beds_available, er_available });
+        if (parsed.error) return res.status(400).json({ message: parsed.error });
+        for (const [field, value] of Object.entries(parsed.capacity)) hospital.set(`capacity.${field}`, value);
+
+        if (on_diversion !== undefined) {
+            hospital.on_diversion = Boolean(on_diversion);
+            hospital.diversion_reason = hospital.on_diversion ? diversion_reason : undefined;
+        }
+
+        await hospital.save();
+        res.status(200).json({ message: "Hospital status updated", hospital });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hospitals/{id}:
+ *   delete:
+ *     summary: Delete a hospital (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Hospitals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hospital deleted successfully
+ *       400:
+ *         description: Ambulances are still based at this hospital
+ *       404:
+ *         description: Hospital not found
+ */
+router.delete("/:id", authorize("hospital:write"), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Hospital not found" });
+
+        const basedHere = await Ambulance.countDocuments({ home_hospital: req.params.id });
+        if (basedHere > 0) {
+            return res.status(400).json({ message: `${basedHere} ambulance(s) are still based at this hospital` });
+        }
+
+        const hospital = await Hospital.findByIdAndDelete(req.params.id);
+        if (!hospital) return res.status(404).json({ message: "Hospital not found" });
+
+        res.status(200).json({ message: "Hospital deleted successfully" });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require("express");
+const router = express.Router();
+const { authorize } = require("../middleware/authMiddleware");
+const { MAX_IMPORT_ROWS, IMPORTERS, runImport } = require("../utils/bulkImport");
+
+// CSV files are sent as the raw request body
+const csvBody = express.text({ type: ["text/csv", "text/plain"], limit: "2mb" });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Imports
+ *   description: Bulk creation of users, ambulances, drivers and medics from CSV
+ */
+
+/**
+ * @swagger
+ * /api/imports/{entity}:
+ *   post:
+ *     summary: Import users, ambulances, drivers or medics from a CSV file (Admin only)
+ *     description: >
+ *       The first row names the columns. Each row is checked with the same rules as the matching single-create
+ *       endpoint, plus duplicates within the file. With dry_run=true nothing is written and every row's errors are
+ *       reported; otherwise the rows are only created if all of them are valid, in one transaction.
+ *
+ *       Columns — users: name, role, email, password, phone_number_1, phone_number_2.
+ *       ambulances: license_plate, status, latitude, longitude, home_hospital or home_hospital_name.
+ *       drivers: user_id or user_email, license_number, assigned_ambulance or assigned_ambulance_plate.
+ *       medics: user_id or user_email, specialty, assigned_ambulance or assigned_ambulance_plate.
+ *     tags: [Imports]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [users, ambulances, drivers, medics]
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *         description: Validate only
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "license_plate,status,latitude,longitude,home_hospital_name\nKDA 123A,available,-1.2921,36.8219,Kenyatta National Hospital\n"
+ *     responses:
+ *       200:
+ *         description: Dry run result with per-row errors
+ *       201:
+ *         description: All rows created
+ *       400:
+ *         description: Unreadable file, or rows failed validation (nothing was created)
+ *       404:
+ *         description: Unknown entity
+ */
+router.post("/:entity", authorize("import:write"), csvBody, async (req, res) => {
+    try {
+        const { entity } = req.params;
+        if (!IMPORTERS[entity]) {
+            return res.status(404).json({ message: `Unknown import type. Use one of: ${Object.keys(IMPORTERS).join(", ")}` });
+        }
+        if (typeof req.body !== "string" || !req.body.trim()) {
+            return res.status(400).json({ message: `Send the CSV file as a text/csv body (at most ${MAX_IMPORT_ROWS} rows)` });
+        }
+
+        const dryRun = String(req.query.dry_run) === "true";
+        const { error, total, errors, created } = await runImport(entity, req.body, { dryRun });
+        if (error) return res.status(400).json({ message: error });
+
+        if (dryRun) {
+            return res.status(200).json({
+                message: errors.length ? `${errors.length} of ${total} rows have errors` : `All ${total} rows are valid`,
+                dry_run: true,
+                total,
+                valid: total - errors.length,
+                errors
+            });
+        }
+        if (errors.length) {
+            return res.status(400).json({ message: `${errors.length} of ${total} rows have errors; nothing was imported`, total, errors });
+        }
+
+        res.status(201).json({ message: `Imported ${created.length} ${entity}`, total, created });
+    } catch (error) {
+        console.error("Import error:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+module.exports = router;
@@ -2,8 +2,63 @@ const express = require("express");
 const router = express.Router();
 const Incident = require("../models/Incident");
 const User = require("../models/User");
-const { verifyAdmin, verifyToken } = require("../middleware/authMiddleware");// Assuming you have a User model
+const { authorize } = require("../middleware/authMiddleware");
+const { hasPermission } = require("../config/permissions");
 const Ambulance = require("../models/Ambulance"); 
+const { DEFAULT_RECOMMENDATION_LIMIT, findNearestAvailableAmbulances, claimAmbulance, releaseAmbulance } = require("../utils/dispatch");
+const { CREW_STATUSES, TERMINAL_STATUSES, canTransition, recordTransition } = require("../utils/incidentLifecycle");
+const { publish } = require("../utils/events");
+const { estimateEta, withEta, withEtas } = require("../utils/eta");
+const { parseFilters, parseSort, parseListQuery, pageOf } = require("../utils/listQuery");
+const { INCIDENT_LIST } = require("../utils/incidentQuery");
+const { EXPORT_POPULATE, EXPORT_FORMATS } = require("../utils/incidentExport");
+const { getTriageProtocol, assessTriage } = require("../utils/triage");
+const { INCIDENT_TYPES } = require("../config/incidentTypes");
+const { findLikelyDuplicates } = require("../utils/duplicates");
+const { offerAssignment, announceOffer } = require("../utils/assignments");
+const { requiredCapabilities, parseCapabilities } = require("../utils/equipment");
+const { isQueued, cachedQueue, queuePosition } = require("../utils/dispatchQueue");
+const dispatchConfig = require("../config/dispatch");
+const { isAssignedCrew } = require("../utils/crew");
+
+// Ambulance fields shown alongside incidents, with the name of its home hospital
+const AMBULANCE_SUMMARY = { path: "ambulance", select: "license_plate status location home_hospital", populate: { path: "home_hospital", select: "name" } };
+
+// Resolve once the response can take more data, or the client has gone away
+const waitForDrain = (res) => new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+});
+
+// Check a dispatcher's priority override. Returns an error message or null.
+const validateOverride = (priority, reason) => {
+    if (!Number.isInteger(Number(priority)) || Number(priority) < 1 || Number(priority) > 5) {
+      return "priority must be a whole number from 1 to 5";
+    }
+    if (!reason || !String(reason).trim()) {
+      return "priority_reason is required when overriding the triage priority";
+    }
+    return null;
+};
+
+// Push the incident's latest status change to the live dispatch board
+const publishStatusChange = (incident) => {
+    const { from, to, changed_by, note } = incident.status_history[incident.status_history.length - 1];
+    publish("incident.status", {
+      incidentId: incident._id,
+      from,
+      to,
+      changed_by,
+      note,
+      priority: incident.priority,
+      ambulance: incident.ambulance
+    });
+};
 
 /**
  * @swagger
@@ -36,24 +91,49 @@ const Ambulance = require("../models/Ambulance");
  *                       type: number
  *               incident_type:
  *                 type: string
+ *               triage:
+ *                 type: object
+ *                 description: Answers to GET /api/incidents/triage?incident_type=..., keyed by question id
+ *                 example: { "conscious": true, "breathing": true, "bleeding": "severe" }
  *               priority:
+ *                 type: integer
+ *                 description: Dispatchers only — replaces the triage priority; needs priority_reason
+ *               priority_reason:
  *                 type: string
  *     responses:
  *       201:
- *         description: Incident reported successfully
+ *         description: Incident reported successfully, with the priority derived from the triage answers
  *       400:
- *         description: Missing required fields or invalid coordinates
+ *         description: Missing required fields, invalid coordinates or incomplete triage answers
  */
 // Route to create a new incident
 
-router.post("/create", verifyToken, async (req, res) => {
+router.post("/create", authorize("incident:create"), async (req, res) => {
     try {
-      const { location, incident_type, priority, ambulanceId } = req.body;
+      const { location, incident_type, triage: answers, priority, priority_reason, ambulanceId } = req.body;
   
       // Check if required fields are provided
-      if (!location || !location.coordinates || !incident_type || !priority) {
+      if (!location || !location.coordinates || !incident_type) {
         return res.status(400).json({ message: "Missing required fields" });
       }
+
+      // The priority comes from the triage answers, never from the caller
+      const { error: triageError, triage } = assessTriage(incident_type, answers);
+      if (triageError) {
+        return res.status(400).json({ message: triageError });
+      }
+
+      // Dispatchers taking a call may still set it themselves, on the record
+      let override = null;
+      if (priority !== undefined && hasPermission(req.user.role, "incident:prioritize")) {
+        const overrideError = validateOverride(priority, priority_reason);
+        if (overrideError) {
+          return res.status(400).json({ message: overrideError });
+        }
+        if (Number(priority) !== triage.derived_priority) {
+          override = { from: triage.derived_priority, to: Number(priority), reason: priority_reason, changed_by: req.user.userId };
+        }
+      }
   
       let [lat, lng] = location.coordinates;
   
@@ -93,12 +173,32 @@ router.post("/create", verifyToken, async (req, res) => {
         phone: user.phone_number_1, // Assuming the user model has phone_number_1
         location: correctedLocation,
         incident_type,
-        priority,
-        ambulance: ambulance ? ambulance._id : null // Associate the ambulance if it's provided
+        priority: override ? override.to : triage.derived_priority,
+        triage,
+        priority_overrides: override ? [override] : [],
+        ambulance: ambulance ? ambulance._id : null, // Associate the ambulance if it's provided
+        status_history: [{ from: null, to: "pending", changed_by: req.user.userId }]
       });
+
+      // Flag other open reports that look like the same event; a failed check must not lose the report
+      try {
+        const duplicates = await findLikelyDuplicates(newIncident);
+        newIncident.possible_duplicates = duplicates.map(({ incident, distance_m, minutes_apart }) => ({ incident: incident._id, distance_m, minutes_apart }));
+      } catch (duplicateError) {
+        console.error("Duplicate check failed:", duplicateError.message);
+      }
   
       // Save the new incident to the database
       await newIncident.save();
+
+      publish("incident.created", {
+        incidentId: newIncident._id,
+        incident_type: newIncident.incident_type,
+        priority: newIncident.priority,
+        location: newIncident.location,
+        reported_time: newIncident.reported_time,
+        possible_duplicates: newIncident.possible_duplicates
+      });
   
       // Respond with a success message and the created incident
       res.status(201).json({ message: "Incident reported successfully", incident: newIncident });
@@ -107,26 +207,247 @@ router.post("/create", verifyToken, async (req, res) => {
       res.status(500).json({ message: "Server error", error: error.message });
     }
   });
-  router.get("/", verifyToken, async (req, res) => {
+/**
+ * @swagger
+ * /api/incidents:
+ *   get:
+ *     summary: List incidents with filters and cursor pagination (Staff)
+ *     tags: [Incidents]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses
+ *       - in: query
+ *         name: priority_min
+ *         schema:
+ *           type: integer
+ *         description: Lowest priority number to include
+ *       - in: query
+ *         name: priority_max
+ *         schema:
+ *           type: integer
+ *         description: Highest priority number to include
+ *       - in: query
+ *         name: incident_type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated incident types
+ *       - in: query
+ *         name: ambulance
+ *         schema:
+ *           type: string
+ *         description: Assigned ambulance ID
+ *       - in: query
+ *         name: reporter
+ *         schema:
+ *           type: string
+ *         description: Reporting user ID
+ *       - in: query
+ *         name: reported_from
+ *         schema:
+ *           type: string
+ *         description: Reported at or after (date-time)
+ *       - in: query
+ *         name: reported_to
+ *         schema:
+ *           type: string
+ *         description: Reported at or before (date-time)
+ *       - $ref: '#/components/parameters/bbox'
+ *       - $ref: '#/components/parameters/near'
+ *       - $ref: '#/components/parameters/radius'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *     responses:
+ *       200:
+ *         description: A page of incidents (newest first by default) and next_cursor
+ *         headers:
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ */
+  router.get("/", authorize("incident:read"), async (req, res) => {
     try {
-      const user = await User.findById(req.user.userId);
-      if (!user) {
-        return res.status(404).json({ message: "User not found" });
+      const list = parseListQuery(req.query, INCIDENT_LIST);
+      if (list.error) {
+        return res.status(400).json({ message: list.error });
       }
-  
+
       // Fetch incidents and populate 'user' with 'name' and 'phone_number_1'
-      const incidents = await Incident.find()
+      const incidents = await Incident.find(list.filter)
         .populate("user", "name phone_number_1")  // Include 'name' and 'phone_number_1'
-        .populate("ambulance", "license_plate status hospital_name")
-        .sort({ reported_time: -1 });
+        .populate(AMBULANCE_SUMMARY)
+        .sort(list.sort)
+        .limit(list.limit);
+
+      const { items, next_cursor } = pageOf(incidents, list);
+      if (next_cursor) res.set("X-Next-Cursor", next_cursor);
   
-      res.status(200).json({ incidents });
+      res.status(200).json({ incidents: withEtas(items), next_cursor });
     } catch (error) {
       console.error("Error fetching incidents:", error);
       res.status(500).json({ message: "Server error", error: error.message });
     }
   });
   
+/**
+ * @swagger
+ * /api/incidents/triage:
+ *   get:
+ *     summary: Get the triage questions to ask for an incident type
+ *     description: >
+ *       Send the answers as `triage` when reporting with POST /api/incidents/create; the priority is derived
+ *       from them. Unknown incident types get the general question set.
+ *     tags: [Incidents]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: incident_type
+ *         schema:
+ *           type: string
+ *         description: Omit to get every configured type
+ *     responses:
+ *       200:
+ *         description: Questions with id, text, type (boolean, choice or number), options and required
+ */
+router.get("/triage", authorize("incident:create"), async (req, res) => {
+    const questionsFor = (incidentType) => ({ incident_type: incidentType, questions: getTriageProtocol(incidentType).questions });
+
+    if (req.query.incident_type) {
+      return res.status(200).json(questionsFor(String(req.query.incident_type)));
+    }
+    res.status(200).json({ incident_types: Object.keys(INCIDENT_TYPES).map(questionsFor) });
+  });
+
+/**
+ * @swagger
+ * /api/incidents/export:
+ *   get:
+ *     summary: Download incidents as CSV or GeoJSON (Admins and dispatchers)
+ *     description: >
+ *       Streams every incident matching the GET /api/incidents filters (no pagination). CSV has one flat row per
+ *       incident with reporter, ambulance, coordinates and status timestamps; GeoJSON is a FeatureCollection of points
+ *       with the same fields as properties.
+ *     tags: [Incidents]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, geojson]
+ *           default: csv
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: priority_min
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: priority_max
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: incident_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reported_from
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reported_to
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/bbox'
+ *       - $ref: '#/components/parameters/near'
+ *       - $ref: '#/components/parameters/radius'
+ *       - $ref: '#/components/parameters/sort'
+ *     responses:
+ *       200:
+ *         description: The export file
+ *         content:
+ *           text/csv: {}
+ *           application/geo+json: {}
+ *       400:
+ *         description: Invalid format, filter or sort
+ */
+router.get("/export", authorize("incident:export"), async (req, res) => {
+    const format = EXPORT_FORMATS[req.query.format || "csv"];
+    if (!format) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+    }
+
+    const { error, filter } = parseFilters(req.query, INCIDENT_LIST.filters);
+    if (error) return res.status(400).json({ message: error });
+    const { error: sortError, sort } = parseSort(req.query, INCIDENT_LIST);
+    if (sortError) return res.status(400).json({ message: sortError });
+
+    // Read one batch at a time so a year of incidents never sits in memory
+    const cursor = Incident.find(filter).populate(EXPORT_POPULATE).sort(sort).lean().cursor();
+    res.on("close", () => cursor.close().catch(() => {}));
+
+    try {
+      res.status(200);
+      res.set("Content-Type", format.contentType);
+      res.set("Content-Disposition", `attachment; filename="incidents-${new Date().toISOString().slice(0, 10)}.${format.extension}"`);
+      res.write(format.header);
+
+      let first = true;
+      for await (const incident of cursor) {
+        if (res.destroyed) break;
+        const chunk = (first ? "" : format.separator) + format.row(incident);
+        first = false;
+        // Wait for the client to catch up rather than buffering the rest of the export
+        if (!res.write(chunk)) await waitForDrain(res);
+      }
+      res.end(format.footer);
+    } catch (error) {
+      console.error("Error exporting incidents:", error);
+      // Once rows have gone out the status can't change; cut the download short so it isn't mistaken for complete
+      if (res.headersSent) return res.destroy(error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  });
+
+/**
+ * @swagger
+ * /api/incidents/queue:
+ *   get:
+ *     summary: Incidents waiting for an ambulance, in dispatch order (Dispatchers only)
+ *     description: >
+ *       Pending and acknowledged incidents, and dispatched ones left without an ambulance after every crew declined.
+ *       Calls sent to the front come first; the rest are ordered by effective_priority (priority made one level more
+ *       urgent per QUEUE_AGING_MINUTES waited, down to QUEUE_AGING_FLOOR), then by how long they have waited.
+ *       With QUEUE_AUTO_DISPATCH=true, the head of the queue is offered to the nearest free ambulance once it has
+ *       waited QUEUE_AUTO_DISPATCH_AFTER_SECONDS, unless it is held or flagged as a likely duplicate of an open
+ *       incident. The list may be a few seconds old.
+ *     tags: [Incidents]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The queue, each incident with position, effective_priority, waited_minutes and queue_override
+ */
+router.get("/queue", authorize("incident:approve"), async (req, res) => {
+    try {
+        const queue = await cachedQueue();
+        res.status(200).json({ queue, auto_dispatch: dispatchConfig.queueAutoDispatch });
+    } catch (error) {
+        console.error("Error fetching dispatch queue:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
 /**
  * @swagger
  * /api/incidents/view:
@@ -145,7 +466,8 @@ router.post("/create", verifyToken, async (req, res) => {
  * @swagger
  * /api/incidents/{id}:
  *   get:
- *     summary: Get a specific incident by ID (Admin only)
+ *     summary: Get a specific incident by ID (reporter or staff)
+ *     description: Includes an `eta` object while the assigned ambulance is on its way.
  *     tags: [Incidents]
  *     security:
  *       - BearerAuth: []
@@ -161,31 +483,55 @@ router.post("/create", verifyToken, async (req, res) => {
  *       404:
  *         description: Incident not found
  */
-router.get("/user", verifyToken, async (req, res) => {
+router.get("/user", authorize("incident:read-own"), async (req, res) => {
     try {
-      // Get the logged-in user's details
-      const user = await User.findById(req.user.userId);
-      if (!user) {
-        return res.status(404).json({ message: "User not found" });
+      const list = parseListQuery(req.query, INCIDENT_LIST);
+      if (list.error) {
+        return res.status(400).json({ message: list.error });
       }
-  
+
       // Fetch incidents created by the logged-in user
-      const incidents = await Incident.find({ user: req.user.userId })
-        .populate("ambulance", "license_plate status hospital_name") // Populate ambulance details
-        .sort({ reported_time: -1 }); // Sort incidents by reported time (descending)
+      const incidents = await Incident.find({ $and: [list.filter, { user: req.user.userId }] })
+        .populate(AMBULANCE_SUMMARY) // Populate ambulance details
+        .sort(list.sort) // Newest first unless ?sort= says otherwise
+        .limit(list.limit);
+      const { items, next_cursor } = pageOf(incidents, list);
   
       // If no incidents are found
-      if (incidents.length === 0) {
+      if (items.length === 0 && !req.query.cursor) {
         return res.status(404).json({ message: "No incidents found for this user" });
       }
+      if (next_cursor) res.set("X-Next-Cursor", next_cursor);
   
       // Return the incidents
-      res.status(200).json({ incidents });
+      res.status(200).json({ incidents: withEtas(items), next_cursor });
     } catch (error) {
       console.error("Error fetching incidents:", error);
       res.status(500).json({ message: "Server error", error: error.message });
     }
   });
+
+router.get("/:id", authorize("incident:read-own"), async (req, res) => {
+    try {
+      const incident = await Incident.findById(req.params.id)
+        .populate("user", "name phone_number_1")
+        .populate(AMBULANCE_SUMMARY);
+      if (!incident) {
+        return res.status(404).json({ message: "Incident not found" });
+      }
+
+      // Without incident:read, users may only see incidents they reported
+      const reporterId = incident.user ? incident.user._id.toString() : null;
+      if (!hasPermission(req.user.role, "incident:read") && reporterId !== req.user.userId) {
+        return res.status(403).json({ message: "Access denied." });
+      }
+
+      res.status(200).json({ incident: withEta(incident) });
+    } catch (error) {
+      console.error("Error fetching incident:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  });
   
 
 /**
@@ -208,16 +554,133 @@ router.get("/user", verifyToken, async (req, res) => {
  *       404:
  *         description: Incident not found
  */
+/**
+ * @swagger
+ * /api/incidents/{incidentId}/recommendations:
+ *   get:
+ *     summary: Rank the nearest available ambulances for an incident (Dispatchers only)
+ *     description: >
+ *       Ambulances equipped with every capability the incident type needs (config/incidentTypes.js), plus any
+ *       passed in `capabilities`, come first; within each group the nearest come first.
+ *     tags: [Incidents]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: Maximum number of ambulances to return
+ *       - in: query
+ *         name: maxDistance
+ *         schema:
+ *           type: number
+ *         description: Only consider ambulances within this many metres
+ *       - in: query
+ *         name: capabilities
+ *         schema:
+ *           type: string
+ *         description: Extra comma-separated capabilities needed, e.g. bariatric
+ *       - in: query
+ *         name: capable_only
+ *         schema:
+ *           type: boolean
+ *         description: Leave out ambulances missing any required capability
+ *     responses:
+ *       200:
+ *         description: >
+ *           Available ambulances (distance_m in metres, capability_match and missing_capabilities), each with an ETA,
+ *           and the required_capabilities
+ *       400:
+ *         description: Unknown capability
+ *       403:
+ *         description: Only dispatchers can view recommendations
+ *       404:
+ *         description: Incident not found
+ */
+router.get("/:incidentId/recommendations", authorize("incident:approve"), async (req, res) => {
+    try {
+      const incident = await Incident.findById(req.params.incidentId);
+      if (!incident) {
+        return res.status(404).json({ message: "Incident not found" });
+      }
+
+      const limit = parseInt(req.query.limit, 10) || DEFAULT_RECOMMENDATION_LIMIT;
+      const maxDistance = parseFloat(req.query.maxDistance) || undefined;
+      const extra = parseCapabilities(req.query.capabilities);
+      if (extra.error) {
+        return res.status(400).json({ message: extra.error });
+      }
+      const capabilities = [...new Set([...requiredCapabilities(incident), ...extra.capabilities])];
+
+      const nearest = await findNearestAvailableAmbulances(incident.location.coordinates, {
+        limit,
+        maxDistance,
+        capabilities,
+        requireCapabilities: req.query.capable_only === "true"
+      });
+      const recommendations = nearest.map((candidate) => ({
+        ...candidate,
+        eta: estimateEta(candidate.ambulance.location.coordinates, incident.location.coordinates, incident.priority)
+      }));
+
+      res.status(200).json({ incidentId: incident._id, required_capabilities: capabilities, recommendations });
+    } catch (error) {
+      console.error("Error recommending ambulances:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  });
+
+/**
+ * @swagger
+ * /api/incidents/{incidentId}/approve:
+ *   post:
+ *     summary: Approve an incident and optionally assign an ambulance (Dispatchers only)
+ *     description: >
+ *       The assigned ambulance's crew must accept within DISPATCH_ACK_TIMEOUT_SECONDS or the incident is offered
+ *       to the next-best ambulance. Dispatched incidents left without an ambulance (every crew declined) can be
+ *       approved again to assign one.
+ *     tags: [Incidents]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ambulanceId:
+ *                 type: string
+ *                 description: Assign this ambulance (must be available)
+ *               autoAssign:
+ *                 type: boolean
+ *                 description: Assign the nearest available ambulance, preferring ones equipped for the incident type
+ *     responses:
+ *       200:
+ *         description: Incident approved and dispatched
+ *       400:
+ *         description: Incident already dispatched, or a reassignment without an ambulance
+ *       409:
+ *         description: Requested ambulance is not available, or no ambulance is available
+ */
 // Route to approve and dispatch an ambulance to an incident
 
-router.post("/:incidentId/approve", verifyToken, async (req, res) => {
+router.post("/:incidentId/approve", authorize("incident:approve"), async (req, res) => {
+    let ambulance = null; // The claimed ambulance, given back if the incident can't be saved
     try {
-      // Ensure the logged-in user is a dispatcher
-      const user = await User.findById(req.user.userId);
-      if (!user || user.role !== "dispatcher") {
-        return res.status(403).json({ message: "Only dispatchers can approve incidents" });
-      }
-  
       const { incidentId } = req.params;
   
       // Find the incident
@@ -226,16 +689,54 @@ router.post("/:incidentId/approve", verifyToken, async (req, res) => {
         return res.status(404).json({ message: "Incident not found" });
       }
   
-      // Check if the incident is already dispatched
-      if (incident.status === "dispatched") {
-        return res.status(400).json({ message: "This incident is already dispatched" });
+      // Only pending or acknowledged incidents can be dispatched, plus dispatched ones whose crews all declined
+      const reassigning = incident.status === "dispatched" && !incident.ambulance;
+      if (!reassigning && !canTransition(incident.status, "dispatched")) {
+        return res.status(400).json({ message: `Cannot dispatch an incident that is ${incident.status}` });
       }
   
+      const { ambulanceId, autoAssign, note } = req.body || {};
+      if (reassigning && !ambulanceId && !autoAssign) {
+        return res.status(400).json({ message: "ambulanceId or autoAssign is required to reassign a dispatched incident" });
+      }
+
+      // Claim the chosen ambulance, or walk the ranked list until one can be claimed
+      if (ambulanceId) {
+        ambulance = await claimAmbulance(ambulanceId);
+        if (!ambulance) {
+          return res.status(409).json({ message: "Ambulance not found, not available, due for maintenance or without a full crew on shift" });
+        }
+      } else if (autoAssign) {
+        const recommendations = await findNearestAvailableAmbulances(incident.location.coordinates, {
+          capabilities: requiredCapabilities(incident)
+        });
+        for (const { ambulance: candidate } of recommendations) {
+          ambulance = await claimAmbulance(candidate._id);
+          if (ambulance) break;
+        }
+        if (!ambulance) {
+          return res.status(409).json({ message: "No available ambulances to assign" });
+        }
+      }
+
       // Update the incident status to "dispatched"
-      incident.status = "dispatched";
+      if (!reassigning) recordTransition(incident, "dispatched", req.user.userId, note);
+      if (ambulance) offerAssignment(incident, ambulance._id);
   
       // Save the updated incident
-      await incident.save();
+      try {
+        await incident.save();
+      } catch (error) {
+        if (ambulance) await releaseAmbulance(ambulance._id);
+        ambulance = null;
+        throw error;
+      }
+
+      if (!reassigning) publishStatusChange(incident);
+      if (ambulance) {
+        publish("ambulance.status", { ambulanceId: ambulance._id, status: ambulance.status });
+        announceOffer(incident, ambulance, req.user.userId);
+      }
   
       res.status(200).json({
         message: "Incident approved and dispatched successfully",
@@ -247,20 +748,92 @@ router.post("/:incidentId/approve", verifyToken, async (req, res) => {
     }
   });
 
+/**
+ * @swagger
+ * /api/incidents/{id}:
+ *   patch:
+ *     summary: Move an incident to its next lifecycle status
+ *     description: >
+ *       pending → acknowledged → dispatched → en-route → on-scene → transporting → at-hospital → resolved.
+ *       Open incidents can also be cancelled, and pending/acknowledged ones denied. Dispatching goes through
+ *       POST /api/incidents/{incidentId}/approve, which assigns the ambulance, and merging through POST /api/incidents/{id}/merge.
+ *       Drivers and medics may only move the incident their ambulance is on, and only to en-route, on-scene,
+ *       transporting, at-hospital or resolved.
+ *     tags: [Incidents]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Incident status updated
+ *       400:
+ *         description: Missing status or illegal transition
+ *       403:
+ *         description: Crew setting a dispatcher-only status or moving another ambulance's incident
+ *       404:
+ *         description: Incident not found
+ */
 // PATCH to update incident status
-router.patch('/:id', verifyToken, async (req, res) => {
+router.patch('/:id', authorize("incident:update-status"), async (req, res) => {
     try {
-        const { status } = req.body;
-        const updated = await Incident.findByIdAndUpdate(
-            req.params.id,
-            { status },
-            { new: true }
-        );
+        const { status, note } = req.body;
+        if (!status) {
+            return res.status(400).json({ message: "Status is required" });
+        }
 
+        if (status === "merged") {
+            return res.status(400).json({ message: "Use POST /api/incidents/:id/merge to merge duplicate reports" });
+        }
+        if (status === "dispatched") {
+            return res.status(400).json({ message: "Use POST /api/incidents/:incidentId/approve to dispatch an ambulance" });
+        }
+
+        const updated = await Incident.findById(req.params.id);
         if (!updated) {
             return res.status(404).json({ message: "Incident not found" });
         }
 
+        // Crew report their own call's progress; everything else is a dispatcher's decision
+        if (!hasPermission(req.user.role, "incident:update-any-status")) {
+            if (!CREW_STATUSES.includes(status)) {
+                return res.status(403).json({ message: `Only dispatchers can set an incident to ${status}` });
+            }
+            if (!updated.ambulance || !(await isAssignedCrew(req.user, updated.ambulance))) {
+                return res.status(403).json({ message: "Access denied. This incident isn't assigned to your ambulance." });
+            }
+        }
+
+        if (!canTransition(updated.status, status)) {
+            return res.status(400).json({ message: `Cannot move incident from ${updated.status} to ${status}` });
+        }
+
+        recordTransition(updated, status, req.user.userId, note);
+        await updated.save();
+
+        publishStatusChange(updated);
+
+        // Closing the incident frees its ambulance for the next call, unless it was taken off duty meanwhile
+        if (TERMINAL_STATUSES.includes(status) && updated.ambulance && (await releaseAmbulance(updated.ambulance))) {
+            publish("ambulance.status", { ambulanceId: updated.ambulance, status: "available" });
+        }
+
         res.status(200).json(updated);
     } catch (err) {
         console.error("Error updating incident:", err.message);
@@ -268,15 +841,406 @@ router.patch('/:id', verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/incidents/{id}/priority:
+ *   patch:
+ *     summary: Override an incident's priority with a reason (Dispatchers only)
+ *     description: The triage answers and derived priority are kept; each override is appended to priority_overrides.
+ *     tags: [Incidents]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [priority, reason]
+ *             properties:
+ *               priority:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Priority updated
+ *       400:
+ *         description: Invalid priority, missing reason, unchanged priority or closed incident
+ *       404:
+ *         description: Incident not found
+ */
+router.patch("/:id/priority", authorize("incident:prioritize"), async (req, res) => {
+    try {
+        const { priority, reason } = req.body || {};
+        const overrideError = validateOverride(priority, reason);
+        if (overrideError) {
+            return res.status(400).json({ message: overrideError });
+        }
+
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ message: "Incident not found" });
+        }
+        if (TERMINAL_STATUSES.includes(incident.status)) {
+            return res.status(400).json({ message: `Cannot change the priority of an incident that is ${incident.status}` });
+        }
+        if (incident.priority === Number(priority)) {
+            return res.status(400).json({ message: `Incident is already priority ${incident.priority}` });
+        }
+
+        incident.priority_overrides.push({ from: incident.priority, to: Number(priority), reason: String(reason).trim(), changed_by: req.user.userId });
+        incident.priority = Number(priority);
+        await incident.save();
+
+        publish("incident.priority", {
+            incidentId: incident._id,
+            ...incident.priority_overrides[incident.priority_overrides.length - 1].toObject()
+        });
+
+        res.status(200).json({ message: "Priority updated", incident });
+    } catch (err) {
+        console.error("Error overriding priority:", err.message);
+        res.status(500).json({ message: "Server error", error: err.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/incidents/{id}/queue:
+ *   patch:
+ *     summary: Override an incident's place in the dispatch queue (Dispatchers only)
+ *     description: >
+ *       "front" puts the incident ahead of every other waiting call and lets it be auto-dispatched straight away, even
+ *       when it is flagged as a likely duplicate; "hold" keeps it in the queue but never auto-dispatches it; "clear"
+ *       returns it to its normal place.
+ *     tags: [Incidents]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [front, hold, clear]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Override saved; `queue` is the incident's new position
+ *       400:
+ *         description: Invalid action or the incident isn't waiting for an ambulance
+ *       404:
+ *         description: Incident not found
+ */
+router.patch("/:id/queue", authorize("incident:approve"), async (req, res) => {
+    try {
+        const { action, reason } = req.body || {};
+        if (!["front", "hold", "clear"].includes(action)) {
+            return res.status(400).json({ message: "action must be one of: front, hold, clear" });
+        }
+
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ message: "Incident not found" });
+        }
+        if (!isQueued(incident)) {
+            return res.status(400).json({ message: `Incident is ${incident.status} and not waiting for an ambulance` });
+        }
+
+        incident.queue_override = action === "clear"
+            ? undefined
+            : { action, reason: reason ? String(reason).trim() : undefined, changed_by: req.user.userId, changed_at: new Date() };
+        await incident.save();
+
+        publish("incident.queue", { incidentId: incident._id, action, reason, changed_by: req.user.userId, priority: incident.priority });
+
+        res.status(200).json({ message: "Queue override saved", incident, queue: await queuePosition(incident._id) });
+    } catch (error) {
+        console.error("Error overriding queue position:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/incidents/{id}/queue-position:
+ *   get:
+ *     summary: Where an incident is in the dispatch queue (reporter or staff)
+ *     tags: [Incidents]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: >
+ *           queued, and while queued its position (1 is next), the total waiting and its effective_priority
+ *       404:
+ *         description: Incident not found
+ */
+router.get("/:id/queue-position", authorize("incident:read-own"), async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id).select("user status");
+        if (!incident) {
+            return res.status(404).json({ message: "Incident not found" });
+        }
+
+        // Without incident:read, users may only see incidents they reported
+        if (!hasPermission(req.user.role, "incident:read") && String(incident.user) !== req.user.userId) {
+            return res.status(403).json({ message: "Access denied." });
+        }
+
+        const position = await queuePosition(incident._id);
+        res.status(200).json({ incidentId: incident._id, status: incident.status, queued: Boolean(position), ...position });
+    } catch (error) {
+        console.error("Error fetching queue position:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/incidents/{id}/duplicates:
+ *   get:
+ *     summary: Open incidents that are likely reports of the same event (Dispatchers only)
+ *     description: >
+ *       Checked now, in both directions: open incidents of a compatible type within the configured radius and
+ *       time window. `flagged` lists what was detected when the incident was reported.
+ *     tags: [Incidents]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Candidates, nearest first, with distance_m and minutes_apart
+ *       404:
+ *         description: Incident not found
+ */
+router.get("/:id/duplicates", authorize("incident:approve"), async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ message: "Incident not found" });
+        }
+
+        const candidates = await findLikelyDuplicates(incident);
+        res.status(200).json({
+            incidentId: incident._id,
+            flagged: incident.possible_duplicates,
+            candidates
+        });
+    } catch (err) {
+        console.error("Error finding duplicates:", err.message);
+        res.status(500).json({ message: "Server error", error: err.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/incidents/{id}/merge:
+ *   post:
+ *     summary: Fold duplicate reports into this (master) incident (Dispatchers only)
+ *     description: >
+ *       Each duplicate must be pending or acknowledged. It moves to status "merged" with duplicate_of pointing
+ *       here, and its reporter, phone and report time are added to the master's merged_reports (along with any
+ *       reports it had absorbed itself). If a duplicate was more urgent, the master takes its priority.
+ *     tags: [Incidents]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The master incident
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [duplicates]
+ *             properties:
+ *               duplicates:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Duplicates merged; returns the master incident
+ *       400:
+ *         description: No duplicates given, master is closed, or a duplicate can't be merged
+ *       404:
+ *         description: Master or a duplicate not found
+ */
+router.post("/:id/merge", authorize("incident:approve"), async (req, res) => {
+    try {
+        const { duplicates, note } = req.body || {};
+        const ids = Array.isArray(duplicates) ? [...new Set(duplicates.map(String))] : [];
+        if (!ids.length) {
+            return res.status(400).json({ message: "duplicates must be a non-empty array of incident IDs" });
+        }
+        if (ids.includes(req.params.id)) {
+            return res.status(400).json({ message: "An incident can't be merged into itself" });
+        }
+
+        const master = await Incident.findById(req.params.id);
+        if (!master) {
+            return res.status(404).json({ message: "Incident not found" });
+        }
+        if (TERMINAL_STATUSES.includes(master.status)) {
+            return res.status(400).json({ message: `Cannot merge into an incident that is ${master.status}` });
+        }
+
+        // Check every duplicate before changing any of them
+        const reports = await Incident.find({ _id: { $in: ids } });
+        if (reports.length !== ids.length) {
+            const found = new Set(reports.map((r) => String(r._id)));
+            return res.status(404).json({ message: "Incidents not found", missing: ids.filter((id) => !found.has(id)) });
+        }
+        const blocked = reports.filter((r) => !canTransition(r.status, "merged"));
+        if (blocked.length) {
+            return res.status(400).json({
+                message: "Only pending or acknowledged incidents can be merged",
+                incidents: blocked.map((r) => ({ id: r._id, status: r.status }))
+            });
+        }
+
+        const priorityBefore = master.priority;
+        for (const report of reports) {
+            master.merged_reports.push(
+                {
+                    incident: report._id,
+                    user: report.user,
+                    phone: report.phone,
+                    incident_type: report.incident_type,
+                    reported_time: report.reported_time,
+                    merged_by: req.user.userId
+                },
+                ...report.merged_reports.map((earlier) => earlier.toObject()) // Reports it had absorbed itself
+            );
+
+            // The master answers for the most urgent of its reports
+            if (report.priority < master.priority) {
+                master.priority_overrides.push({
+                    from: master.priority,
+                    to: report.priority,
+                    reason: `Merged with more urgent report ${report._id}`,
+                    changed_by: req.user.userId
+                });
+                master.priority = report.priority;
+            }
+
+            report.duplicate_of = master._id;
+            report.merged_reports = [];
+            recordTransition(report, "merged", req.user.userId, note || `Merged into ${master._id}`);
+        }
+        master.possible_duplicates = master.possible_duplicates.filter((d) => !ids.includes(String(d.incident)));
+
+        await master.save();
+        for (const report of reports) {
+            await report.save();
+            publishStatusChange(report);
+        }
+        // Reports merged into a duplicate earlier now point at the master
+        await Incident.updateMany({ duplicate_of: { $in: ids } }, { duplicate_of: master._id });
+
+        if (master.priority !== priorityBefore) {
+            publish("incident.priority", {
+                incidentId: master._id,
+                ...master.priority_overrides[master.priority_overrides.length - 1].toObject()
+            });
+        }
+
+        res.status(200).json({ message: `Merged ${reports.length} report(s)`, incident: master });
+    } catch (err) {
+        console.error("Error merging incidents:", err.message);
+        res.status(500).json({ message: "Server error", error: err.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/incidents/{id}/timeline:
+ *   get:
+ *     summary: Get the status history of an incident
+ *     tags: [Incidents]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status transitions, oldest first, with who made each change and when
+ *       404:
+ *         description: Incident not found
+ */
+router.get("/:id/timeline", authorize("incident:read-own"), async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id)
+            .select("user status status_history reported_time")
+            .populate("status_history.changed_by", "name role");
+
+        if (!incident) {
+            return res.status(404).json({ message: "Incident not found" });
+        }
+
+        // Without incident:read, users may only see incidents they reported
+        if (!hasPermission(req.user.role, "incident:read") && String(incident.user) !== req.user.userId) {
+            return res.status(403).json({ message: "Access denied." });
+        }
+
+        res.status(200).json({
+            incidentId: incident._id,
+            status: incident.status,
+            reported_time: incident.reported_time,
+            timeline: incident.status_history
+        });
+    } catch (error) {
+        console.error("Error fetching incident timeline:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
   // Route to revoke an incident and deny the request
-router.post("/:incidentId/revoke", verifyToken, async (req, res) => {
+router.post("/:incidentId/revoke", authorize("incident:approve"), async (req, res) => {
     try {
-      // Ensure the logged-in user is a dispatcher
-      const user = await User.findById(req.user.userId);
-      if (!user || user.role !== "dispatcher") {
-        return res.status(403).json({ message: "Only dispatchers can revoke incidents" });
-      }
-  
       const { incidentId } = req.params;
   
       // Find the incident
@@ -285,16 +1249,18 @@ router.post("/:incidentId/revoke", verifyToken, async (req, res) => {
         return res.status(404).json({ message: "Incident not found" });
       }
   
-      // Check if the incident is already revoked
-      if (incident.status === "request-denied") {
-        return res.status(400).json({ message: "This incident has already been revoked" });
+      // Only incidents that haven't been dispatched yet can be denied
+      if (!canTransition(incident.status, "denied")) {
+        return res.status(400).json({ message: `Cannot revoke an incident that is ${incident.status}` });
       }
   
-      // Update the incident status to "request-denied"
-      incident.status = "request-denied";
+      // Update the incident status to "denied"
+      recordTransition(incident, "denied", req.user.userId, req.body && req.body.reason);
   
       // Save the updated incident
       await incident.save();
+
+      publishStatusChange(incident);
   
       res.status(200).json({
         message: "Incident request revoked successfully",
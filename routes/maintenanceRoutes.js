@@ -0,0 +1,378 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Ambulance = require("../models/Ambulance");
+const MaintenanceRecord = require("../models/MaintenanceRecord");
+const { MAINTENANCE_TYPES } = require("../models/MaintenanceRecord");
+const { authorize } = require("../middleware/authMiddleware");
+const maintenanceConfig = require("../config/maintenance");
+const { parseListQuery, pageOf } = require("../utils/listQuery");
+const { startService, completeService, cancelService, maintenanceReport } = require("../utils/maintenance");
+
+const MAINTENANCE_LIST = {
+    filters: {
+        ambulance: { type: "id" },
+        type: { type: "list" },
+        status: { type: "list" },
+        due: { type: "dateRange", field: "due_date" },
+        completed: { type: "dateRange", field: "completed_at" }
+    },
+    sortable: ["due_date", "completed_at", "createdAt"],
+    defaultSort: "-createdAt"
+};
+
+const optionalNumber = (value) => (value === undefined || value === null || value === "" ? undefined : Number(value));
+
+// Validate the body of a new maintenance record. Returns { error, status } or { record }.
+const buildRecord = async (body, createdBy) => {
+    const { ambulance, type, due_date, due_odometer_km, ends_at, interval_days, interval_km, notes } = body;
+    if (!ambulance || !type) return { status: 400, error: "ambulance and type are required" };
+    if (!MAINTENANCE_TYPES.includes(type)) return { status: 400, error: `type must be one of: ${MAINTENANCE_TYPES.join(", ")}` };
+    if (!mongoose.isValidObjectId(ambulance) || !(await Ambulance.exists({ _id: ambulance }))) {
+        return { status: 404, error: "Ambulance not found" };
+    }
+
+    const dates = {};
+    for (const [field, value] of [["due_date", due_date], ["ends_at", ends_at]]) {
+        if (!value) continue;
+        dates[field] = new Date(value);
+        if (Number.isNaN(dates[field].getTime())) return { status: 400, error: `Invalid ${field}` };
+    }
+    if (dates.ends_at && dates.due_date && dates.ends_at <= dates.due_date) {
+        return { status: 400, error: "ends_at must be after due_date" };
+    }
+
+    const numbers = {};
+    for (const [field, value, min] of [["due_odometer_km", due_odometer_km, 0], ["interval_days", interval_days, 1], ["interval_km", interval_km, 1]]) {
+        const number = optionalNumber(value);
+        if (number === undefined) continue;
+        if (!(number >= min)) return { status: 400, error: `${field} must be a number of ${min} or more` };
+        numbers[field] = number;
+    }
+
+    if (!dates.due_date && numbers.due_odometer_km === undefined) {
+        return { status: 400, error: "due_date or due_odometer_km is required" };
+    }
+
+    return { record: { ambulance, type, notes, ...dates, ...numbers, created_by: createdBy } };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Maintenance
+ *   description: Scheduled maintenance and service history for the fleet
+ */
+
+/**
+ * @swagger
+ * /api/maintenance:
+ *   post:
+ *     summary: Schedule maintenance for an ambulance (Admin only)
+ *     description: >
+ *       The work falls due on due_date or once the ambulance's odometer reaches due_odometer_km, whichever comes first.
+ *       From then on the ambulance isn't offered for new calls; it moves to "maintenance" as soon as it's free and back
+ *       to "available" when the work is completed or ends_at passes. With interval_days or interval_km, completing the
+ *       work schedules the next one.
+ *     tags: [Maintenance]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ambulance, type]
+ *             properties:
+ *               ambulance:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [service, inspection, repair, tyres, bodywork, equipment, other]
+ *               due_date:
+ *                 type: string
+ *                 format: date-time
+ *               due_odometer_km:
+ *                 type: number
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Planned return to service
+ *               interval_days:
+ *                 type: integer
+ *               interval_km:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Maintenance scheduled
+ *       400:
+ *         description: Missing or invalid fields
+ *       404:
+ *         description: Ambulance not found
+ */
+router.post("/", authorize("maintenance:write"), async (req, res) => {
+    try {
+        const { error, status, record } = await buildRecord(req.body || {}, req.user.userId);
+        if (error) return res.status(status).json({ message: error });
+
+        const created = await MaintenanceRecord.create(record);
+        res.status(201).json({ message: "Maintenance scheduled", record: created });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/maintenance:
+ *   get:
+ *     summary: Maintenance records and service history (Admins and dispatchers)
+ *     tags: [Maintenance]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ambulance
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated types
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses (scheduled, in-service, completed, cancelled)
+ *       - in: query
+ *         name: due_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: due_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: completed_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: completed_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *     responses:
+ *       200:
+ *         description: A page of records and next_cursor
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ */
+router.get("/", authorize("maintenance:read"), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, MAINTENANCE_LIST);
+        if (list.error) return res.status(400).json({ message: list.error });
+
+        const records = await MaintenanceRecord.find(list.filter)
+            .populate("ambulance", "license_plate status odometer_km")
+            .sort(list.sort)
+            .limit(list.limit);
+        const { items, next_cursor } = pageOf(records, list);
+        if (next_cursor) res.set("X-Next-Cursor", next_cursor);
+
+        res.status(200).json({ records: items, next_cursor });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/maintenance/report:
+ *   get:
+ *     summary: Fleet maintenance report (Admins and dispatchers)
+ *     description: Work under way, overdue work (due but the ambulance has been on a call) and work falling due soon.
+ *     tags: [Maintenance]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: within_days
+ *         schema:
+ *           type: integer
+ *           default: 14
+ *         description: Upcoming means due within this many days (MAINTENANCE_UPCOMING_DAYS)
+ *       - in: query
+ *         name: within_km
+ *         schema:
+ *           type: number
+ *           default: 1000
+ *         description: Or within this many km (MAINTENANCE_UPCOMING_KM)
+ *     responses:
+ *       200:
+ *         description: in_service, overdue and upcoming lists
+ *       400:
+ *         description: Invalid within_days or within_km
+ */
+router.get("/report", authorize("maintenance:read"), async (req, res) => {
+    try {
+        const days = optionalNumber(req.query.within_days);
+        const km = optionalNumber(req.query.within_km);
+        const upcomingDays = days === undefined ? maintenanceConfig.upcomingDays : days;
+        const upcomingKm = km === undefined ? maintenanceConfig.upcomingKm : km;
+        if (!(upcomingDays >= 0) || !(upcomingKm >= 0)) {
+            return res.status(400).json({ message: "within_days and within_km must be numbers of 0 or more" });
+        }
+
+        res.status(200).json(await maintenanceReport({ upcomingDays, upcomingKm }));
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/maintenance/{id}/start:
+ *   post:
+ *     summary: Take the ambulance out of service now and start the work (Admin only)
+ *     tags: [Maintenance]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Maintenance started; the ambulance is in "maintenance"
+ *       400:
+ *         description: Maintenance isn't scheduled
+ *       404:
+ *         description: Record not found
+ *       409:
+ *         description: The ambulance is on a call
+ */
+router.post("/:id/start", authorize("maintenance:write"), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Maintenance record not found" });
+
+        const { error, status, record } = await startService(req.params.id);
+        if (error) return res.status(status).json({ message: error });
+
+        res.status(200).json({ message: "Maintenance started", record });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/maintenance/{id}/complete:
+ *   post:
+ *     summary: Record the work as done and return the ambulance to service (Admin only)
+ *     tags: [Maintenance]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               odometer_km:
+ *                 type: number
+ *                 description: Reading at the time of the work; also updates the ambulance's odometer
+ *               cost:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Maintenance completed; `next` is the next occurrence of repeating work
+ *       400:
+ *         description: Invalid reading or cost, or already completed or cancelled
+ *       404:
+ *         description: Record not found
+ */
+router.post("/:id/complete", authorize("maintenance:write"), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Maintenance record not found" });
+
+        const { notes } = req.body || {};
+        const odometerKm = optionalNumber((req.body || {}).odometer_km);
+        const cost = optionalNumber((req.body || {}).cost);
+        if (odometerKm !== undefined && !(odometerKm >= 0)) {
+            return res.status(400).json({ message: "odometer_km must be a number of 0 or more" });
+        }
+        if (cost !== undefined && !(cost >= 0)) {
+            return res.status(400).json({ message: "cost must be a number of 0 or more" });
+        }
+
+        const { error, status, record, next } = await completeService(req.params.id, {
+            by: req.user.userId,
+            odometer_km: odometerKm,
+            cost,
+            notes
+        });
+        if (error) return res.status(status).json({ message: error });
+
+        res.status(200).json({ message: "Maintenance completed", record, next });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/maintenance/{id}/cancel:
+ *   post:
+ *     summary: Cancel scheduled or under-way maintenance (Admin only)
+ *     tags: [Maintenance]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Maintenance cancelled; an ambulance in service is returned to "available"
+ *       400:
+ *         description: Already completed or cancelled
+ *       404:
+ *         description: Record not found
+ */
+router.post("/:id/cancel", authorize("maintenance:write"), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Maintenance record not found" });
+
+        const { error, status, record } = await cancelService(req.params.id);
+        if (error) return res.status(status).json({ message: error });
+
+        res.status(200).json({ message: "Maintenance cancelled", record });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,24 @@
 const express = require("express");
 const router = express.Router();
 const Medic = require("../models/Medic");
-const User = require("../models/User");
-const Ambulance = require("../models/Ambulance");
-const { verifyAdmin } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authMiddleware");
+const { revokeAllSessions } = require("../utils/sessions");
+const { parseListQuery, pageOf } = require("../utils/listQuery");
+const { buildMedic } = require("../utils/recordBuilders");
+const { checkCrewAssignment } = require("../utils/crew");
+
+const MEDIC_LIST = {
+    filters: {
+        user: { type: "id" },
+        assigned_ambulance: { type: "id" },
+        specialty: { type: "string" }
+    },
+    sortable: ["name"],
+    defaultSort: "name"
+};
+
+// Assigned ambulance fields shown alongside medics, with the name of its home hospital
+const ASSIGNED_AMBULANCE = { path: "assigned_ambulance", select: "license_plate home_hospital", populate: { path: "home_hospital", select: "name" } };
 
 /**
  * @swagger
@@ -41,24 +56,14 @@ const { verifyAdmin } = require("../middleware/authMiddleware");
  *       404:
  *         description: User not found
  */
-router.post("/", verifyAdmin, async (req, res) => {
+router.post("/", authorize("medic:write"), async (req, res) => {
     try {
         const { user_id, specialty, assigned_ambulance } = req.body;
-        const user = await User.findById(user_id);
-        if (!user) return res.status(404).json({ message: "User not found" });
-        if (user.role === "medic") return res.status(400).json({ message: "User is already a medic" });
+        const { error, status, doc: medic, user } = await buildMedic({ user_id, specialty, assigned_ambulance });
+        if (error) return res.status(status).json({ message: error });
 
-        user.role = "medic";
         await user.save();
-
-        const medic = new Medic({
-            user: user._id,
-            name: user.name,
-            phone: user.phone_number_1,
-            specialty,
-            assigned_ambulance: assigned_ambulance || null,
-            role: user.role
-        });
+        await revokeAllSessions(user._id, "role changed"); // Old tokens carry the old role
         await medic.save();
         res.status(201).json({ message: "Medic created successfully", medic });
     } catch (error) {
@@ -70,16 +75,52 @@ router.post("/", verifyAdmin, async (req, res) => {
  * @swagger
  * /api/medics:
  *   get:
- *     summary: Get all medics
+ *     summary: Get all medics (Admins and dispatchers)
  *     tags: [Medics]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: assigned_ambulance
+ *         schema:
+ *           type: string
+ *         description: Assigned ambulance ID
+ *       - in: query
+ *         name: specialty
+ *         schema:
+ *           type: string
+ *         description: Exact specialty
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
  *     responses:
  *       200:
- *         description: List of all medics
+ *         description: A page of medics; the next page's cursor is in X-Next-Cursor
+ *         headers:
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *       400:
+ *         description: Invalid filter, sort or cursor
  */
-router.get("/", async (req, res) => {
+router.get("/", authorize("medic:read"), async (req, res) => {
     try {
-        const medics = await Medic.find().populate("user", "name email phone_number_1 role").populate("assigned_ambulance", "license_plate hospital_name");
-        res.status(200).json(medics);
+        const list = parseListQuery(req.query, MEDIC_LIST);
+        if (list.error) return res.status(400).json({ message: list.error });
+
+        const medics = await Medic.find(list.filter)
+            .populate("user", "name email phone_number_1 role")
+            .populate(ASSIGNED_AMBULANCE)
+            .sort(list.sort)
+            .limit(list.limit);
+        const { items, next_cursor } = pageOf(medics, list);
+        if (next_cursor) res.set("X-Next-Cursor", next_cursor);
+
+        res.status(200).json(items);
     } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
     }
@@ -103,9 +144,9 @@ router.get("/", async (req, res) => {
  *       404:
  *         description: Medic not found
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", authorize("medic:read"), async (req, res) => {
     try {
-        const medic = await Medic.findById(req.params.id).populate("user", "name email phone_number_1 role").populate("assigned_ambulance", "license_plate hospital_name");
+        const medic = await Medic.findById(req.params.id).populate("user", "name email phone_number_1 role").populate(ASSIGNED_AMBULANCE);
         if (!medic) return res.status(404).json({ message: "Medic not found" });
         res.status(200).json(medic);
     } catch (error) {
@@ -138,20 +179,28 @@ router.get("/:id", async (req, res) => {
  *                 type: string
  *               assigned_ambulance:
  *                 type: string
+ *                 nullable: true
+ *                 description: Ambulance ID, or null to unassign
  *     responses:
  *       200:
  *         description: Medic updated successfully
+ *       400:
+ *         description: The ambulance already has the most medics allowed
  *       404:
- *         description: Medic not found
+ *         description: Medic or ambulance not found
  */
-router.put("/:id", verifyAdmin, async (req, res) => {
+router.put("/:id", authorize("medic:write"), async (req, res) => {
     try {
         const { specialty, assigned_ambulance } = req.body;
         const medic = await Medic.findById(req.params.id);
         if (!medic) return res.status(404).json({ message: "Medic not found" });
 
         if (specialty) medic.specialty = specialty;
-        if (assigned_ambulance) medic.assigned_ambulance = assigned_ambulance;
+        if (assigned_ambulance) {
+            const crewError = await checkCrewAssignment("medic", assigned_ambulance, { exclude: medic._id });
+            if (crewError) return res.status(crewError.status).json({ message: crewError.error });
+        }
+        if (assigned_ambulance !== undefined) medic.assigned_ambulance = assigned_ambulance || null;
 
         await medic.save();
         res.status(200).json({ message: "Medic updated successfully", medic });
@@ -0,0 +1,172 @@
+const express = require("express");
+const router = express.Router();
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { authorize } = require("../middleware/authMiddleware");
+const { hasPermission } = require("../config/permissions");
+const { NOTIFICATION_CHANNELS, defaultChannels } = require("../config/notifications");
+const { parseListQuery, pageOf } = require("../utils/listQuery");
+
+const NOTIFICATION_LIST = {
+    filters: {
+        user: { type: "id" },
+        incident: { type: "id" },
+        channel: { type: "list" },
+        status: { type: "list" },
+        event: { type: "list" },
+        sent: { type: "dateRange", field: "sent_at" }
+    },
+    sortable: ["sent_at"],
+    defaultSort: "-sent_at"
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: Incident notifications to reporters, crews and dispatchers
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Notifications delivery log
+ *     description: Users see their own notifications; admins see everyone's and can filter by user.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Recipient user ID (admins only)
+ *       - in: query
+ *         name: incident
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [push, sms, email]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [sent, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           example: incident.status:dispatched
+ *       - in: query
+ *         name: sent_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: sent_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first, and next_cursor
+ *       400:
+ *         description: Invalid filter
+ */
+router.get("/", authorize("notification:read"), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, NOTIFICATION_LIST);
+        if (list.error) return res.status(400).json({ message: list.error });
+
+        // Without notification:read-all, users only see what was sent to them
+        const filter = hasPermission(req.user.role, "notification:read-all")
+            ? list.filter
+            : { $and: [list.filter, { user: req.user.userId }] };
+
+        const notifications = await Notification.find(filter)
+            .populate("user", "name email role")
+            .sort(list.sort)
+            .limit(list.limit);
+        const { items, next_cursor } = pageOf(notifications, list);
+        if (next_cursor) res.set("X-Next-Cursor", next_cursor);
+
+        res.status(200).json({ notifications: items, next_cursor });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get your notification channels
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Chosen channels (the default applies until you choose), and every available channel
+ *   put:
+ *     summary: Choose your notification channels
+ *     description: An empty list turns notifications off.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [channels]
+ *             properties:
+ *               channels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [push, sms, email]
+ *     responses:
+ *       200:
+ *         description: Channels saved
+ *       400:
+ *         description: Unknown channel
+ */
+router.get("/preferences", authorize(), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select("notification_channels");
+        res.status(200).json({
+            channels: user.notification_channels || defaultChannels,
+            is_default: !user.notification_channels,
+            available: NOTIFICATION_CHANNELS
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+router.put("/preferences", authorize(), async (req, res) => {
+    try {
+        const { channels } = req.body || {};
+        if (!Array.isArray(channels) || channels.some((c) => !NOTIFICATION_CHANNELS.includes(c))) {
+            return res.status(400).json({ message: `channels must be a list of: ${NOTIFICATION_CHANNELS.join(", ")}` });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.user.userId,
+            { notification_channels: [...new Set(channels)] },
+            { new: true }
+        ).select("notification_channels");
+        res.status(200).json({ message: "Notification preferences saved", channels: user.notification_channels });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+module.exports = router;
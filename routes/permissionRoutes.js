@@ -0,0 +1,31 @@
+const express = require("express");
+const router = express.Router();
+const { authorize } = require("../middleware/authMiddleware");
+const { ROLES, PERMISSIONS, permissionsByRole } = require("../config/permissions");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Permissions
+ *   description: Role-based permission matrix
+ */
+
+/**
+ * @swagger
+ * /api/permissions:
+ *   get:
+ *     summary: Get the effective permission matrix (Admin only)
+ *     tags: [Permissions]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles holding each permission, and permissions held by each role
+ *       403:
+ *         description: Access denied
+ */
+router.get("/", authorize("permission:read"), (req, res) => {
+    res.status(200).json({ roles: ROLES, permissions: PERMISSIONS, by_role: permissionsByRole() });
+});
+
+module.exports = router;
@@ -0,0 +1,464 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Shift = require("../models/Shift");
+const { SHIFT_STATUSES } = require("../models/Shift");
+const User = require("../models/User");
+const Ambulance = require("../models/Ambulance");
+const dispatchConfig = require("../config/dispatch");
+const { authorize } = require("../middleware/authMiddleware");
+const { hasPermission } = require("../config/permissions");
+
+// Statuses that still occupy a crew member's time
+const OPEN_SHIFT_STATUSES = ["planned", "published", "active"];
+
+const isValidDate = (date) => !Number.isNaN(date.getTime());
+
+// Malformed ids in the path mean there is no such shift
+const findShift = (id) => (mongoose.isValidObjectId(id) ? Shift.findById(id) : null);
+
+// Validate a shift request and check for clashes. Returns { error, status } or { shift }.
+const buildShift = async ({ crew_member, role, ambulance, start, end }, createdBy) => {
+    if (!crew_member || !role || !ambulance || !start || !end) {
+        return { status: 400, error: "crew_member, role, ambulance, start and end are required" };
+    }
+    if (!["driver", "medic"].includes(role)) return { status: 400, error: "Role must be driver or medic" };
+    if (!mongoose.isValidObjectId(crew_member)) return { status: 400, error: "Invalid crew_member" };
+    if (!mongoose.isValidObjectId(ambulance)) return { status: 400, error: "Invalid ambulance" };
+
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    if (!isValidDate(startDate) || !isValidDate(endDate) || startDate >= endDate) {
+        return { status: 400, error: "Invalid shift times" };
+    }
+
+    const user = await User.findById(crew_member);
+    if (!user) return { status: 404, error: "Crew member not found" };
+    if (user.role !== role) return { status: 400, error: `User is not a ${role}` };
+
+    if (!(await Ambulance.exists({ _id: ambulance }))) return { status: 404, error: "Ambulance not found" };
+
+    const clash = await Shift.exists({
+        crew_member,
+        status: { $in: OPEN_SHIFT_STATUSES },
+        start: { $lt: endDate },
+        end: { $gt: startDate }
+    });
+    if (clash) return { status: 400, error: "Crew member already has a shift in this period" };
+
+    return { shift: { crew_member, role, ambulance, start: startDate, end: endDate, created_by: createdBy } };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shifts
+ *   description: Crew shift scheduling, rosters and clock-in/out
+ */
+
+/**
+ * @swagger
+ * /api/shifts:
+ *   post:
+ *     summary: Plan one or more shifts (Admin only)
+ *     description: Send a single shift or a batch under `shifts`. New shifts are "planned" until the roster is published.
+ *     tags: [Shifts]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               crew_member:
+ *                 type: string
+ *                 description: User ID of a driver or medic
+ *               role:
+ *                 type: string
+ *                 enum: [driver, medic]
+ *               ambulance:
+ *                 type: string
+ *               start:
+ *                 type: string
+ *                 format: date-time
+ *               end:
+ *                 type: string
+ *                 format: date-time
+ *               shifts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Shifts planned
+ *       400:
+ *         description: Invalid shift (malformed ids or times) or clashing with an existing one
+ *       404:
+ *         description: Crew member or ambulance not found
+ */
+router.post("/", authorize("shift:write"), async (req, res) => {
+    try {
+        const requests = Array.isArray(req.body.shifts) ? req.body.shifts : [req.body];
+
+        const shifts = [];
+        for (const [index, request] of requests.entries()) {
+            const { error, status, shift } = await buildShift(request || {}, req.user.userId);
+            if (error) return res.status(status).json({ message: error, index });
+
+            // Shifts in the same batch must not clash with each other either
+            const clash = shifts.find((s) => s.crew_member === shift.crew_member && s.start < shift.end && s.end > shift.start);
+            if (clash) return res.status(400).json({ message: "Crew member already has a shift in this period", index });
+
+            shifts.push(shift);
+        }
+
+        const created = await Shift.insertMany(shifts);
+        res.status(201).json({ message: "Shifts planned successfully", shifts: created });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/shifts/publish:
+ *   post:
+ *     summary: Publish the planned roster for a period (Admin only)
+ *     tags: [Shifts]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from, to]
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *               ambulance:
+ *                 type: string
+ *                 description: Only publish shifts on this ambulance
+ *     responses:
+ *       200:
+ *         description: Number of shifts published
+ *       400:
+ *         description: Invalid period or ambulance id
+ */
+router.post("/publish", authorize("shift:write"), async (req, res) => {
+    try {
+        const { from, to, ambulance } = req.body;
+        const fromDate = new Date(from);
+        const toDate = new Date(to);
+        if (!from || !to || !isValidDate(fromDate) || !isValidDate(toDate) || fromDate > toDate) {
+            return res.status(400).json({ message: "Valid from and to dates are required" });
+        }
+        if (ambulance && !mongoose.isValidObjectId(ambulance)) {
+            return res.status(400).json({ message: "Invalid ambulance" });
+        }
+
+        const filter = { status: "planned", start: { $gte: fromDate, $lt: toDate } };
+        if (ambulance) filter.ambulance = ambulance;
+
+        const result = await Shift.updateMany(filter, { status: "published" });
+        res.status(200).json({ message: "Roster published", published: result.modifiedCount });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/shifts:
+ *   get:
+ *     summary: Get the roster
+ *     description: Admins and dispatchers see every shift; crew members see their own published shifts.
+ *     tags: [Shifts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: ambulance
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: crew_member
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shifts ordered by start time
+ *       400:
+ *         description: Invalid date, id or status
+ */
+router.get("/", authorize("shift:read"), async (req, res) => {
+    try {
+        const { from, to, ambulance, crew_member, status } = req.query;
+        for (const [name, value] of [["from", from], ["to", to]]) {
+            if (value && !isValidDate(new Date(value))) return res.status(400).json({ message: `Invalid ${name} date` });
+        }
+        for (const [name, value] of [["ambulance", ambulance], ["crew_member", crew_member]]) {
+            if (value && !mongoose.isValidObjectId(value)) return res.status(400).json({ message: `Invalid ${name}` });
+        }
+        if (status && !SHIFT_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `status must be one of: ${SHIFT_STATUSES.join(", ")}` });
+        }
+
+        const filter = {};
+        if (from || to) {
+            filter.start = {};
+            if (from) filter.start.$gte = new Date(from);
+            if (to) filter.start.$lt = new Date(to);
+        }
+        if (ambulance) filter.ambulance = ambulance;
+        if (crew_member) filter.crew_member = crew_member;
+        if (status) filter.status = status;
+
+        // Crew only see their own shifts, and not ones still being planned
+        if (!hasPermission(req.user.role, "shift:read-all")) {
+            if (status === "planned") return res.status(200).json({ shifts: [] });
+            filter.crew_member = req.user.userId;
+            filter.status = status || { $ne: "planned" };
+        }
+
+        const shifts = await Shift.find(filter)
+            .populate("crew_member", "name phone_number_1")
+            .populate("ambulance", "license_plate")
+            .sort({ start: 1 });
+        res.status(200).json({ shifts });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}:
+ *   put:
+ *     summary: Reschedule a shift that hasn't started (Admin only)
+ *     tags: [Shifts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ambulance:
+ *                 type: string
+ *               start:
+ *                 type: string
+ *                 format: date-time
+ *               end:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Shift updated
+ *       400:
+ *         description: Shift already started, invalid times or ambulance id, or clash
+ *       404:
+ *         description: Shift not found
+ */
+router.put("/:id", authorize("shift:write"), async (req, res) => {
+    try {
+        const shift = await findShift(req.params.id);
+        if (!shift) return res.status(404).json({ message: "Shift not found" });
+        if (!["planned", "published"].includes(shift.status)) {
+            return res.status(400).json({ message: `Cannot change a shift that is ${shift.status}` });
+        }
+
+        const ambulance = req.body.ambulance || shift.ambulance;
+        const start = req.body.start ? new Date(req.body.start) : shift.start;
+        const end = req.body.end ? new Date(req.body.end) : shift.end;
+        if (!isValidDate(start) || !isValidDate(end) || start >= end) {
+            return res.status(400).json({ message: "Invalid shift times" });
+        }
+        if (!mongoose.isValidObjectId(ambulance)) {
+            return res.status(400).json({ message: "Invalid ambulance" });
+        }
+        if (req.body.ambulance && !(await Ambulance.exists({ _id: ambulance }))) {
+            return res.status(404).json({ message: "Ambulance not found" });
+        }
+
+        const clash = await Shift.exists({
+            _id: { $ne: shift._id },
+            crew_member: shift.crew_member,
+            status: { $in: OPEN_SHIFT_STATUSES },
+            start: { $lt: end },
+            end: { $gt: start }
+        });
+        if (clash) return res.status(400).json({ message: "Crew member already has a shift in this period" });
+
+        shift.ambulance = ambulance;
+        shift.start = start;
+        shift.end = end;
+        await shift.save();
+        res.status(200).json({ message: "Shift updated successfully", shift });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}:
+ *   delete:
+ *     summary: Cancel a shift that hasn't started (Admin only)
+ *     tags: [Shifts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shift cancelled
+ *       400:
+ *         description: Shift already started
+ *       404:
+ *         description: Shift not found
+ */
+router.delete("/:id", authorize("shift:write"), async (req, res) => {
+    try {
+        const shift = await findShift(req.params.id);
+        if (!shift) return res.status(404).json({ message: "Shift not found" });
+        if (!["planned", "published"].includes(shift.status)) {
+            return res.status(400).json({ message: `Cannot cancel a shift that is ${shift.status}` });
+        }
+
+        shift.status = "cancelled";
+        await shift.save();
+        res.status(200).json({ message: "Shift cancelled", shift });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}/clock-in:
+ *   post:
+ *     summary: Clock in to your published shift
+ *     tags: [Shifts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Clocked in; the shift is now active
+ *       400:
+ *         description: Shift not published or outside its clock-in window
+ *       403:
+ *         description: Not your shift
+ *       404:
+ *         description: Shift not found
+ */
+router.post("/:id/clock-in", authorize("shift:clock"), async (req, res) => {
+    try {
+        const shift = await findShift(req.params.id);
+        if (!shift) return res.status(404).json({ message: "Shift not found" });
+        if (shift.crew_member.toString() !== req.user.userId) {
+            return res.status(403).json({ message: "You can only clock in to your own shift" });
+        }
+        if (shift.status !== "published") {
+            return res.status(400).json({ message: `Cannot clock in to a shift that is ${shift.status}` });
+        }
+
+        const now = new Date();
+        const opensAt = new Date(shift.start.getTime() - dispatchConfig.clockInEarlyMinutes * 60 * 1000);
+        if (now < opensAt || now > shift.end) {
+            return res.status(400).json({ message: "This shift is not open for clock-in right now" });
+        }
+
+        shift.status = "active";
+        shift.clock_in_at = now;
+        await shift.save();
+        res.status(200).json({ message: "Clocked in", shift });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}/clock-out:
+ *   post:
+ *     summary: Clock out of your active shift
+ *     tags: [Shifts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Clocked out; the shift is completed
+ *       400:
+ *         description: Shift is not active
+ *       403:
+ *         description: Not your shift
+ *       404:
+ *         description: Shift not found
+ */
+router.post("/:id/clock-out", authorize("shift:clock"), async (req, res) => {
+    try {
+        const shift = await findShift(req.params.id);
+        if (!shift) return res.status(404).json({ message: "Shift not found" });
+        if (shift.crew_member.toString() !== req.user.userId) {
+            return res.status(403).json({ message: "You can only clock out of your own shift" });
+        }
+        if (shift.status !== "active") {
+            return res.status(400).json({ message: "You are not clocked in to this shift" });
+        }
+
+        shift.status = "completed";
+        shift.clock_out_at = new Date();
+        await shift.save();
+        res.status(200).json({ message: "Clocked out", shift });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const smsConfig = require("../config/sms");
+const { handleSms, handleUssd } = require("../utils/smsReports");
+const { sendSms } = require("../utils/sms");
+
+// Gateways post either JSON or classic HTML-form bodies
+router.use(express.urlencoded({ extended: false }));
+
+if (!smsConfig.webhookSecret) {
+    console.warn("SMS_WEBHOOK_SECRET is not set; the SMS and USSD webhooks will refuse every request.");
+}
+
+// Only the configured gateway may post reports. Without a secret nobody can: an open webhook would let
+// anyone create incidents. The secret only travels in a header, never the URL, which gets logged.
+const verifyWebhook = (req, res, next) => {
+    if (!smsConfig.webhookSecret) {
+        return res.status(503).json({ message: "SMS webhooks are not configured" });
+    }
+    const given = Buffer.from(String(req.get("X-Webhook-Secret") || ""));
+    const expected = Buffer.from(smsConfig.webhookSecret);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({ message: "Invalid webhook secret" });
+    }
+    next();
+};
+
+// Field names differ between gateways; accept the common ones
+const pickField = (body, names) => {
+    const name = names.find((n) => body[n] !== undefined && body[n] !== "");
+    return name ? String(body[name]).trim() : undefined;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: SMS
+ *   description: Emergency reports from phones without the app (SMS and USSD gateway webhooks)
+ */
+
+/**
+ * @swagger
+ * /api/sms/inbound:
+ *   post:
+ *     summary: Receive an SMS from the gateway
+ *     description: >
+ *       Understands "SOS <what happened> AT <lat>,<lng>" or "AT <area>", "STATUS [ref]" and "CANCEL <ref>".
+ *       A report creates an anonymous incident tied to the sender's number. The reply is sent back through the
+ *       outbound SMS transport and also returned in the response. Authenticated with the X-Webhook-Secret header.
+ *     tags: [SMS]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from, text]
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 description: Sender's number (also accepted as phoneNumber, msisdn or From)
+ *               text:
+ *                 type: string
+ *                 description: Message (also accepted as message or Body)
+ *             example: { "from": "+254712345678", "text": "SOS road accident at -1.2921,36.8219" }
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Message handled; `reply` is the text sent back
+ *       400:
+ *         description: Missing sender or text
+ *       401:
+ *         description: Invalid webhook secret
+ *       503:
+ *         description: SMS_WEBHOOK_SECRET is not set, so the webhook is closed
+ */
+router.post("/inbound", verifyWebhook, async (req, res) => {
+    try {
+        const from = pickField(req.body || {}, ["from", "phoneNumber", "msisdn", "From"]);
+        const text = pickField(req.body || {}, ["text", "message", "Body"]);
+        if (!from || text === undefined) {
+            return res.status(400).json({ message: "from and text are required" });
+        }
+
+        const reply = await handleSms({ from, text });
+
+        // The report is already saved; a failed reply must not make the gateway retry and duplicate it
+        try {
+            await sendSms({ to: from, text: reply });
+        } catch (smsError) {
+            console.error("SMS reply error:", smsError.message);
+        }
+
+        res.status(200).json({ reply });
+    } catch (error) {
+        console.error("Inbound SMS error:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/sms/ussd:
+ *   post:
+ *     summary: Drive a USSD menu session
+ *     description: >
+ *       Gateway callback in the common sessionId/phoneNumber/text format, where text holds the caller's choices
+ *       so far joined with "*". The menu asks what happened, the area (from config/sms.js) and the required
+ *       triage questions, then creates an anonymous incident. Responds in text/plain starting with "CON"
+ *       (expects more input) or "END". Authenticated with the X-Webhook-Secret header.
+ *     tags: [SMS]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [phoneNumber]
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *               serviceCode:
+ *                 type: string
+ *               phoneNumber:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Menu text for the caller's screen
+ *         content:
+ *           text/plain: {}
+ *       400:
+ *         description: Missing phone number
+ *       401:
+ *         description: Invalid webhook secret
+ *       503:
+ *         description: SMS_WEBHOOK_SECRET is not set, so the webhook is closed
+ */
+router.post("/ussd", verifyWebhook, async (req, res) => {
+    try {
+        const phoneNumber = pickField(req.body || {}, ["phoneNumber", "msisdn", "from"]);
+        if (!phoneNumber) {
+            return res.status(400).type("text/plain").send("END Missing phone number");
+        }
+
+        const reply = await handleUssd({ phoneNumber, text: pickField(req.body, ["text"]) || "" });
+        res.status(200).type("text/plain").send(reply);
+    } catch (error) {
+        console.error("USSD error:", error);
+        // Callers still need to be told to try again
+        res.status(200).type("text/plain").send("END Sorry, something went wrong. Please dial again or call the emergency line.");
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require("express");
+const router = express.Router();
+const { authorize } = require("../middleware/authMiddleware");
+const { dispatchEvents, EVENT_TYPES } = require("../utils/events");
+const { signTicket } = require("../utils/sessions");
+const authConfig = require("../config/auth");
+
+const STREAM_TICKET = "stream";
+
+// Which events each role may receive on the dispatch board. Dispatchers run the calls and get everything;
+// admins oversee them and get the incident lifecycle and fleet status, without the per-second GPS feed and
+// queue reordering that only matter to whoever is dispatching (tracks are at GET /api/ambulances/:id/track).
+const ROLE_EVENTS = {
+    admin: EVENT_TYPES.filter((type) => !["ambulance.location", "incident.queue"].includes(type)),
+    dispatcher: EVENT_TYPES
+};
+
+const HEARTBEAT_INTERVAL_MS = 25000; // Keeps proxies from closing idle connections
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stream
+ *   description: Live dispatch board (Server-Sent Events)
+ */
+
+/**
+ * @swagger
+ * /api/stream/ticket:
+ *   post:
+ *     summary: Get a short-lived ticket for opening the dispatch stream (Admins and dispatchers)
+ *     description: >
+ *       EventSource can't send an Authorization header, and an access token in the URL would end up in logs.
+ *       The ticket only opens /api/stream/dispatch, and only within STREAM_TICKET_TTL_SECONDS (default 60).
+ *     tags: [Stream]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: ticket and expiresIn (seconds)
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Role not allowed on the dispatch board
+ */
+router.post("/ticket", authorize("stream:dispatch"), (req, res) => {
+    const ttl = authConfig.streamTicketTtlSeconds;
+    res.status(200).json({ ticket: signTicket(req.user, STREAM_TICKET, ttl), expiresIn: ttl });
+});
+
+/**
+ * @swagger
+ * /api/stream/dispatch:
+ *   get:
+ *     summary: Subscribe to live incident and ambulance events (Admins and dispatchers)
+ *     description: >
+ *       Opens a text/event-stream. Each message has an event name (incident.created, incident.status,
+ *       incident.priority, incident.assignment, incident.queue, ambulance.status, ambulance.location) and a JSON body.
+ *       Dispatchers receive every event; admins receive all but incident.queue and ambulance.location. Browsers
+ *       using EventSource pass a ticket from POST /api/stream/ticket as the ticket query parameter instead of the
+ *       Authorization header.
+ *     tags: [Stream]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ticket
+ *         schema:
+ *           type: string
+ *         description: Stream ticket, for clients that cannot set headers
+ *       - in: query
+ *         name: events
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event names to receive (defaults to all the role may see)
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *       401:
+ *         description: Missing or invalid token or ticket
+ *       403:
+ *         description: Role not allowed on the dispatch board
+ */
+router.get("/dispatch", authorize("stream:dispatch", { ticket: STREAM_TICKET }), (req, res) => {
+    const allowed = ROLE_EVENTS[req.user.role] || [];
+    const requested = req.query.events ? String(req.query.events).split(",").map((e) => e.trim()) : allowed;
+    const subscribed = requested.filter((type) => allowed.includes(type));
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    res.write(`event: ready\ndata: ${JSON.stringify({ events: subscribed })}\n\n`);
+
+    const onEvent = (event) => {
+        if (!subscribed.includes(event.type)) return;
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    dispatchEvents.on("event", onEvent);
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL_MS);
+
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        dispatchEvents.off("event", onEvent);
+    });
+});
+
+module.exports = router;
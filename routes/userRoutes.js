@@ -2,8 +2,51 @@ const express = require("express");
 const router = express.Router();
 const User = require("../models/User"); 
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
-const { verifyAdmin , verifyToken } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authMiddleware");
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require("../utils/sessions");
+const { issueToken, consumeToken } = require("../utils/authTokens");
+const { sendMail } = require("../utils/mailer");
+const { parseListQuery, pageOf } = require("../utils/listQuery");
+const { buildUser } = require("../utils/recordBuilders");
+const { removeCrewProfiles } = require("../utils/crew");
+const authConfig = require("../config/auth");
+const mailConfig = require("../config/mail");
+const { ROLES } = require("../config/permissions");
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const USER_LIST = {
+    filters: {
+        role: { type: "list" },
+        email: { type: "string" },
+        email_verified: { type: "boolean" }
+    },
+    sortable: ["name", "email"],
+    defaultSort: "name"
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueToken(user._id, "email-verification");
+    await sendMail({
+        to: user.email,
+        subject: "Confirm your email address",
+        text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n` +
+            `${mailConfig.appUrl}/verify-email?token=${token}\n\n` +
+            `The link expires in ${authConfig.emailVerificationTtlHours} hours.`
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueToken(user._id, "password-reset");
+    await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.name},\n\nReset your password by opening this link:\n` +
+            `${mailConfig.appUrl}/reset-password?token=${token}\n\n` +
+            `The link expires in ${authConfig.passwordResetTtlMinutes} minutes and can only be used once. ` +
+            "If you didn't ask for this, ignore this email."
+    });
+};
 
 /**
  * @swagger
@@ -17,6 +60,7 @@ const { verifyAdmin , verifyToken } = require("../middleware/authMiddleware");
  * /users/register:
  *   post:
  *     summary: Register a new user
+ *     description: Public sign-ups always get the "user" role; an admin assigns staff roles with PUT /users/{id}/role.
  *     tags: [Users]
  *     requestBody:
  *       required: true
@@ -24,12 +68,10 @@ const { verifyAdmin , verifyToken } = require("../middleware/authMiddleware");
  *         application/json:
  *           schema:
  *             type: object
- *             required: [name, role, email, password, phone_number_1]
+ *             required: [name, email, password, phone_number_1]
  *             properties:
  *               name:
  *                 type: string
- *               role:
- *                 type: string
  *               email:
  *                 type: string
  *               password:
@@ -40,7 +82,7 @@ const { verifyAdmin , verifyToken } = require("../middleware/authMiddleware");
  *                 type: string
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully; a verification link is emailed
  *       400:
  *         description: Validation error
  *       500:
@@ -48,30 +90,20 @@ const { verifyAdmin , verifyToken } = require("../middleware/authMiddleware");
  */
 router.post("/register", async (req, res) => {
     try {
-        const { name, role, email, password, phone_number_1, phone_number_2 } = req.body;
-
-        if (!name || !role || !email || !password || !phone_number_1) {
-            return res.status(400).json({ message: "All required fields must be filled" });
-        }
+        // Nobody picks their own role when signing up
+        const { error, status, doc: newUser } = await buildUser({ ...req.body, role: "user" });
+        if (error) return res.status(status).json({ message: error });
 
-        const existingUser = await User.findOne({ email });
-        if (existingUser) return res.status(400).json({ message: "Email already in use" });
-
-        const existingPhone1 = await User.findOne({ phone_number_1 });
-        if (existingPhone1) return res.status(400).json({ message: "Primary phone number already in use" });
+        await newUser.save();
 
-        if (phone_number_2) {
-            const existingPhone2 = await User.findOne({ phone_number_2 });
-            if (existingPhone2) return res.status(400).json({ message: "Secondary phone number already in use" });
+        // The account exists either way; a failed email can be re-sent from /resend-verification
+        try {
+            await sendVerificationEmail(newUser);
+        } catch (mailError) {
+            console.error("Verification email error:", mailError.message);
         }
 
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
-
-        const newUser = new User({ name, role, email, password: hashedPassword, phone_number_1, phone_number_2 });
-        await newUser.save();
-
-        res.status(201).json({ message: "User registered successfully", user: newUser });
+        res.status(201).json({ message: "User registered successfully. Check your email to verify your address.", user: newUser });
     } catch (error) {
         console.error("Registration error:", error);
         res.status(500).json({ message: "Server error", error: error.message });
@@ -98,7 +130,7 @@ router.post("/register", async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful; returns a short-lived accessToken and a refreshToken
  *       400:
  *         description: Invalid email or password
  *       500:
@@ -118,9 +150,273 @@ router.post("/login", async (req, res) => {
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) return res.status(400).json({ message: "Invalid email or password" });
 
-        const token = jwt.sign({ userId: user._id, role: user.role }, process.env.JWT_SECRET || "secretkey", { expiresIn: "24h" });
+        if (authConfig.requireEmailVerification && !user.email_verified) {
+            return res.status(403).json({ message: "Please verify your email address before logging in" });
+        }
+
+        const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
 
-        res.status(200).json({ message: "Login successful", token, user: { id: user._id, name: user.name, role: user.role, email: user.email } });
+        res.status(200).json({
+            message: "Login successful",
+            token: accessToken, // Kept for existing clients; same as accessToken
+            accessToken,
+            refreshToken,
+            expiresIn,
+            user: { id: user._id, name: user.name, role: user.role, email: user.email, email_verified: user.email_verified }
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /users/verify-email:
+ *   post:
+ *     summary: Confirm an email address with the token from the verification email
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token invalid, expired or already used
+ */
+router.post("/verify-email", async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token) return res.status(400).json({ message: "Token is required" });
+
+        const userId = await consumeToken(token, "email-verification");
+        if (!userId) return res.status(400).json({ message: "Invalid or expired verification link" });
+
+        const user = await User.findByIdAndUpdate(userId, { email_verified: true, email_verified_at: new Date() });
+        if (!user) return res.status(400).json({ message: "Invalid or expired verification link" });
+
+        res.status(200).json({ message: "Email verified successfully" });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /users/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     description: Always answers the same way so it can't be used to find out which emails are registered.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: A link was sent if the account exists and is unverified
+ */
+router.post("/resend-verification", async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) return res.status(400).json({ message: "Email is required" });
+
+        const user = await User.findOne({ email });
+        if (user && !user.email_verified) await sendVerificationEmail(user);
+
+        res.status(200).json({ message: "If that account needs verifying, a new link has been sent" });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /users/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Always answers the same way so it can't be used to find out which emails are registered.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: A reset link was sent if the account exists
+ */
+router.post("/forgot-password", async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) return res.status(400).json({ message: "Email is required" });
+
+        const user = await User.findOne({ email });
+        if (user) await sendPasswordResetEmail(user);
+
+        res.status(200).json({ message: "If that account exists, a password reset link has been sent" });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /users/reset-password:
+ *   post:
+ *     summary: Set a new password with the token from the reset email
+ *     description: The token works once. All existing sessions are logged out.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Token invalid, expired or already used, or password too short
+ */
+router.post("/reset-password", async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!token || !password) return res.status(400).json({ message: "Token and password are required" });
+        if (typeof token !== "string" || typeof password !== "string") {
+            return res.status(400).json({ message: "Token and password must be strings" });
+        }
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        const userId = await consumeToken(token, "password-reset");
+        if (!userId) return res.status(400).json({ message: "Invalid or expired reset link" });
+
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(password, salt);
+
+        const user = await User.findById(userId);
+        if (!user) return res.status(400).json({ message: "Invalid or expired reset link" });
+
+        user.password = hashedPassword;
+        // Receiving the reset email also proves the address is real
+        if (!user.email_verified) {
+            user.email_verified = true;
+            user.email_verified_at = new Date();
+        }
+        await user.save();
+
+        await revokeAllSessions(user._id, "password reset");
+
+        res.status(200).json({ message: "Password reset successfully. Please log in with your new password." });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /users/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: Refresh tokens are single-use. Presenting one that was already used revokes its session.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ */
+router.post("/refresh", async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ message: "Refresh token is required" });
+        }
+
+        const tokens = await rotateSession(refreshToken, req);
+        if (!tokens) {
+            return res.status(401).json({ message: "Invalid or expired refresh token. Please log in again." });
+        }
+
+        res.status(200).json({ message: "Token refreshed", token: tokens.accessToken, ...tokens });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /users/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Session revoked; its access and refresh tokens stop working
+ */
+router.post("/logout", authorize(), async (req, res) => {
+    try {
+        await revokeSession(req.user.sid, "logout");
+        res.status(200).json({ message: "Logged out successfully" });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /users/logout-all:
+ *   post:
+ *     summary: Log out of every session on every device
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+router.post("/logout-all", authorize(), async (req, res) => {
+    try {
+        await revokeAllSessions(req.user.userId, "logout all");
+        res.status(200).json({ message: "Logged out of all sessions" });
     } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
     }
@@ -134,16 +430,44 @@ router.post("/login", async (req, res) => {
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Comma-separated roles
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: email_verified
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
  *     responses:
  *       200:
- *         description: List of users
+ *         description: A page of users; the next page's cursor is in X-Next-Cursor
+ *         headers:
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *       400:
+ *         description: Invalid filter, sort or cursor
  *       500:
  *         description: Server error
  */
-router.get("/", verifyAdmin, async (req, res) => {
+router.get("/", authorize("user:read"), async (req, res) => {
     try {
-        const users = await User.find().select("-password");
-        res.status(200).json(users);
+        const list = parseListQuery(req.query, USER_LIST);
+        if (list.error) return res.status(400).json({ message: list.error });
+
+        const users = await User.find(list.filter).select("-password").sort(list.sort).limit(list.limit);
+        const { items, next_cursor } = pageOf(users, list);
+        if (next_cursor) res.set("X-Next-Cursor", next_cursor);
+
+        res.status(200).json(items);
     } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
     }
@@ -154,6 +478,7 @@ router.get("/", verifyAdmin, async (req, res) => {
  * /users/{id}:
  *   delete:
  *     summary: Delete a user by ID
+ *     description: Also removes their driver or medic profile and cancels their upcoming shifts.
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -166,18 +491,30 @@ router.get("/", verifyAdmin, async (req, res) => {
  *         description: User deleted successfully
  *       404:
  *         description: User not found
+ *       409:
+ *         description: The user is clocked in on a shift
  *       500:
  *         description: Server error
  */
 // DELETE /api/users/:id
-router.delete("/:id", verifyAdmin, async (req, res) => {
+router.delete("/:id", authorize("user:write"), async (req, res) => {
     try {
-        const user = await User.findByIdAndDelete(req.params.id);
+        const user = await User.findById(req.params.id);
 
         if (!user) {
             return res.status(404).json({ message: "User not found" });
         }
 
+        // Crew profiles and upcoming shifts go with the user; refused while they are clocked in
+        const removal = await removeCrewProfiles(user._id);
+        if (removal.error) {
+            return res.status(removal.status).json({ message: removal.error });
+        }
+
+        await User.findByIdAndDelete(user._id);
+
+        await revokeAllSessions(user._id, "user deleted");
+
         res.status(200).json({ message: "User deleted successfully" });
     } catch (error) {
         console.error("Error deleting user:", error);
@@ -214,30 +551,47 @@ router.delete("/:id", verifyAdmin, async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: User role updated successfully
+ *         description: User role updated successfully (a driver or medic moved to another role loses their crew profile)
  *       400:
  *         description: Invalid input
  *       404:
  *         description: User not found
+ *       409:
+ *         description: The user is clocked in on a shift
  *       500:
  *         description: Server error
  */
-router.put("/:id/role", verifyAdmin, async (req, res) => {
+router.put("/:id/role", authorize("user:write"), async (req, res) => {
     try {
         const { role } = req.body;
 
         if (!role) {
             return res.status(400).json({ message: "Role is required" });
         }
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ message: "Invalid role provided" });
+        }
 
         const user = await User.findById(req.params.id);
         if (!user) {
             return res.status(404).json({ message: "User not found" });
         }
 
+        // Leaving the crew removes the driver or medic profile, so it no longer counts towards an ambulance
+        if (["driver", "medic"].includes(user.role) && role !== user.role) {
+            const removal = await removeCrewProfiles(user._id);
+            if (removal.error) {
+                return res.status(removal.status).json({ message: removal.error });
+            }
+        }
+
+        const roleChanged = user.role !== role;
         user.role = role;
         await user.save();
 
+        // Tokens carry permissions for the old role; make the user log in again
+        if (roleChanged) await revokeAllSessions(user._id, "role changed");
+
         res.status(200).json({ message: "User role updated successfully", user });
     } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
@@ -246,16 +600,25 @@ router.put("/:id/role", verifyAdmin, async (req, res) => {
 
 
 // Update all user details (admin only)
-router.put("/:id", verifyAdmin, async (req, res) => {
+router.put("/:id", authorize("user:write"), async (req, res) => {
     try {
-        const updates = req.body;
+        const { token_version, ...updates } = req.body; // token_version is managed by the session code
 
         // Optionally: validate that role, if present, is valid
-        const validRoles = ["admin", "dispatcher", "user", "driver", "medic"];
-        if (updates.role && !validRoles.includes(updates.role)) {
+        if (updates.role && !ROLES.includes(updates.role)) {
             return res.status(400).json({ message: "Invalid role provided" });
         }
 
+        if (updates.role) {
+            const current = await User.findById(req.params.id).select("role");
+            if (current && ["driver", "medic"].includes(current.role) && updates.role !== current.role) {
+                const removal = await removeCrewProfiles(current._id);
+                if (removal.error) {
+                    return res.status(removal.status).json({ message: removal.error });
+                }
+            }
+        }
+
         const updatedUser = await User.findByIdAndUpdate(
             req.params.id,
             updates,
@@ -266,6 +629,8 @@ router.put("/:id", verifyAdmin, async (req, res) => {
             return res.status(404).json({ message: "User not found" });
         }
 
+        if (updates.role) await revokeAllSessions(updatedUser._id, "role changed");
+
         res.status(200).json({ message: "User updated successfully", user: updatedUser });
     } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
@@ -0,0 +1,26 @@
+// Bring an existing database up to date with the current models: `npm run migrate`.
+// Each migration in scripts/migrations is safe to run again, so the whole list runs every time.
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+const run = async () => {
+    await connectDB();
+    const files = fs.readdirSync(MIGRATIONS_DIR).filter((file) => file.endsWith(".js")).sort();
+    for (const file of files) {
+        const { description, up } = require(path.join(MIGRATIONS_DIR, file));
+        const result = await up();
+        console.log(`${file}: ${description}`, result);
+    }
+};
+
+run()
+    .catch((error) => {
+        console.error("Migration failed:", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,11 @@
+const Incident = require("../../models/Incident");
+
+// Before the incident lifecycle, revoking a request set status "request-denied"; that value is now
+// "denied" and the old one fails validation on the next save.
+module.exports = {
+    description: "Rename incident status request-denied to denied",
+    up: async () => {
+        const { modifiedCount } = await Incident.updateMany({ status: "request-denied" }, { $set: { status: "denied" } });
+        return { renamed: modifiedCount };
+    }
+};
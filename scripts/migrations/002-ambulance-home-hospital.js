@@ -0,0 +1,39 @@
+const Ambulance = require("../../models/Ambulance");
+const Hospital = require("../../models/Hospital");
+
+// Ambulances used to name their base in free text (hospital_name); they now reference a Hospital through
+// home_hospital. Each name is linked to the hospital of that name, which is created when the registry
+// doesn't have it yet, placed where the first of its ambulances is (admins should check its details).
+// hospital_name is removed once linked, so only unlinked ambulances are looked at on a second run.
+module.exports = {
+    description: "Link ambulances' hospital_name to home_hospital",
+    up: async () => {
+        // The field is no longer in the schema, so read the raw documents
+        const ambulances = await Ambulance.collection
+            .find({ hospital_name: { $exists: true } })
+            .project({ hospital_name: 1, home_hospital: 1, location: 1 })
+            .toArray();
+
+        let linked = 0;
+        const created = [];
+        for (const ambulance of ambulances) {
+            const name = String(ambulance.hospital_name || "").trim();
+            const update = { $unset: { hospital_name: "" } };
+
+            if (name && !ambulance.home_hospital) {
+                let hospital = await Hospital.findOne({ name }).select("_id");
+                if (!hospital) {
+                    hospital = await Hospital.create({
+                        name,
+                        location: { type: "Point", coordinates: ambulance.location.coordinates }
+                    });
+                    created.push(name);
+                }
+                update.$set = { home_hospital: hospital._id };
+                linked += 1;
+            }
+            await Ambulance.collection.updateOne({ _id: ambulance._id }, update);
+        }
+        return { linked, created_hospitals: created };
+    }
+};
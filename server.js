@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const connectDB = require('./config/db');
+const { requestContext } = require('./utils/requestContext');
 const { swaggerUi, specs } = require("./swagger"); // Import Swagger
 require('dotenv').config();
 
@@ -11,12 +12,32 @@ const driverRoutes = require('./routes/driverRoutes');
 const medicRoutes = require('./routes/medicRoutes');
 const ambulanceRoutes = require('./routes/ambulanceRoutes');
 const incidentRoutes = require('./routes/incidentRoutes');
+const hospitalRoutes = require('./routes/hospitalRoutes');
+const shiftRoutes = require('./routes/shiftRoutes');
+const streamRoutes = require('./routes/streamRoutes');
+const permissionRoutes = require('./routes/permissionRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const importRoutes = require('./routes/importRoutes');
+const smsRoutes = require('./routes/smsRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const { startNotifications } = require('./utils/notifications');
+const { startAssignmentTimeouts } = require('./utils/assignments');
+const maintenanceRoutes = require('./routes/maintenanceRoutes');
+const { startMaintenanceScheduler } = require('./utils/maintenance');
+const { startDispatchQueue } = require('./utils/dispatchQueue');
+const { loadRoadGraph } = require('./utils/eta');
+const { startShiftSweeper } = require('./utils/roster');
 
 const app = express();
 
+// Credentials that travel in query strings (stream tickets, tokens, secrets) are kept out of the request log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&](?:ticket|token|secret)=)[^&]*/gi, '$1[redacted]'));
+
 // Middleware
 app.use(express.json());
 app.use(morgan('dev')); // Logs requests
+app.use(requestContext); // Lets the audit log see who made each change
 app.use(
   cors({
     origin: process.env.CLIENT_URL || '*', // 🔒 Replace '*' with frontend URL in production
@@ -27,6 +48,24 @@ app.use(
 // Connect to Database
 connectDB();
 
+// Read the ETA road graph now rather than on the first request that needs it
+loadRoadGraph();
+
+// Tell reporters, crews and dispatchers about incident events
+startNotifications();
+
+// Offer dispatches nobody accepted in time to the next-best ambulance
+startAssignmentTimeouts();
+
+// Clock out crew who stayed clocked in past the end of their shift
+startShiftSweeper();
+
+// Move ambulances into and out of scheduled maintenance
+startMaintenanceScheduler();
+
+// Offer queued incidents to ambulances as they become available
+startDispatchQueue();
+
 // Swagger Documentation Route
 app.use("/api/docs", swaggerUi.serve, swaggerUi.setup(specs));
 
@@ -36,6 +75,16 @@ app.use('/api/drivers', driverRoutes);
 app.use('/api/medics', medicRoutes);
 app.use('/api/ambulances', ambulanceRoutes);
 app.use('/api/incidents', incidentRoutes);
+app.use('/api/hospitals', hospitalRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/stream', streamRoutes); // Live dispatch board (Server-Sent Events)
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/audit-logs', auditRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/sms', smsRoutes); // SMS/USSD gateway webhooks (no JWT; shared secret)
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
 
 // Global Error Handling Middleware
 app.use((err, req, res, next) => {
@@ -16,6 +16,20 @@ const options = {
                 description: "Local server",
             },
         ],
+        // Shared list parameters (see utils/listQuery.js)
+        components: {
+            parameters: {
+                limit: { in: "query", name: "limit", schema: { type: "integer", default: 50, maximum: 200 }, description: "Page size" },
+                cursor: { in: "query", name: "cursor", schema: { type: "string" }, description: "next_cursor from the previous page" },
+                sort: { in: "query", name: "sort", schema: { type: "string" }, description: "Field to sort by; prefix with - for descending" },
+                bbox: { in: "query", name: "bbox", schema: { type: "string" }, description: "minLng,minLat,maxLng,maxLat" },
+                near: { in: "query", name: "near", schema: { type: "string" }, description: "lng,lat (use with radius)" },
+                radius: { in: "query", name: "radius", schema: { type: "number" }, description: "Metres around near" },
+            },
+            headers: {
+                "X-Next-Cursor": { schema: { type: "string" }, description: "Cursor for the next page; absent on the last page" },
+            },
+        },
     },
     apis: ["./routes/*.js"], // Path to your API route files
 };
@@ -0,0 +1,156 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { id, query, captureEvents } = require("./helpers/models");
+const { stubFleet } = require("./helpers/fleet");
+const Incident = require("../models/Incident");
+const dispatchConfig = require("../config/dispatch");
+const { offerAssignment, passToNextAmbulance, acceptAssignment, sweepExpiredOffers } = require("../utils/assignments");
+
+// An incident offered to `ambulance`, as passToNextAmbulance reads it back after closing the offer
+const offeredIncident = (ambulance, outcome) => {
+    const incident = Incident.hydrate({
+        _id: id(),
+        phone: "0700000000",
+        location: { type: "Point", coordinates: [0, 0] },
+        incident_type: "road accident",
+        priority: 2,
+        status: "dispatched",
+        ambulance,
+        assignment: { ambulance, status: outcome, offered_at: new Date() },
+        assignment_history: []
+    });
+    return incident;
+};
+
+const stubClosedOffer = (t, incident) => {
+    const closed = t.mock.method(Incident, "findOneAndUpdate", () => query(incident));
+    const saved = t.mock.method(incident, "save", async () => incident);
+    return { closed, saved };
+};
+
+describe("utils/assignments", () => {
+    it("offers an incident until the acknowledgement timeout", () => {
+        const incident = {};
+        const ambulance = id();
+        offerAssignment(incident, ambulance);
+
+        assert.equal(incident.ambulance, ambulance);
+        assert.equal(incident.assignment.status, "offered");
+        assert.equal(incident.assignment.expires_at - incident.assignment.offered_at, dispatchConfig.acknowledgeTimeoutSeconds * 1000);
+    });
+
+    describe("passToNextAmbulance", () => {
+        it("frees the declining ambulance and offers the call to the next one that hasn't turned it down", async (t) => {
+            const [declining, earlier, next] = [id(), id(), id()];
+            const { fleet, claims, releases } = stubFleet(t, {
+                ambulances: [
+                    { _id: declining, status: "on-duty", license_plate: "KAA 001", distance: 10 },
+                    { _id: earlier, distance: 20 },
+                    { _id: next, distance: 30 }
+                ]
+            });
+            const incident = offeredIncident(declining, "declined");
+            incident.assignment_history.push({ ambulance: earlier, status: "timed-out" });
+            const { closed, saved } = stubClosedOffer(t, incident);
+            const events = captureEvents(t);
+            const by = id();
+
+            const result = await passToNextAmbulance(incident._id, declining, "declined", { by, reason: "Flat tyre" });
+
+            // Only an open offer to this ambulance is closed
+            const [filter, update] = closed.mock.calls[0].arguments;
+            assert.deepEqual(filter, { _id: incident._id, status: "dispatched", "assignment.status": "offered", "assignment.ambulance": declining });
+            assert.equal(update.$set["assignment.reason"], "Flat tyre");
+
+            assert.equal(result.next._id, next);
+            assert.deepEqual(releases, [declining]);
+            assert.deepEqual(claims, [next]);
+            assert.equal(fleet[1].status, "available"); // Turned it down before, so not asked again
+            assert.equal(String(incident.ambulance), String(next));
+            assert.equal(incident.assignment.status, "offered");
+            assert.deepEqual(incident.assignment_history.map((offer) => offer.status), ["timed-out", "declined"]);
+            assert.equal(saved.mock.callCount(), 1);
+
+            const assignments = events.filter((event) => event.type === "incident.assignment").map((event) => event.data);
+            assert.deepEqual(assignments.map((data) => [data.outcome, data.license_plate, data.changed_by]), [
+                ["declined", "KAA 001", by],
+                ["offered", undefined, null]
+            ]);
+            assert.equal(assignments[0].next_ambulance, next);
+        });
+
+        it("leaves the incident dispatched without an ambulance when none is left", async (t) => {
+            const declining = id();
+            stubFleet(t, { ambulances: [{ _id: declining, status: "on-duty" }] });
+            const incident = offeredIncident(declining, "timed-out");
+            stubClosedOffer(t, incident);
+
+            const result = await passToNextAmbulance(incident._id, declining, "timed-out");
+
+            assert.equal(result.next, null);
+            assert.equal(incident.ambulance, null);
+            assert.equal(incident.assignment, undefined);
+            assert.equal(incident.status, "dispatched");
+        });
+
+        it("gives the next ambulance back when the incident can't be saved", async (t) => {
+            const [declining, next] = [id(), id()];
+            const { fleet } = stubFleet(t, { ambulances: [{ _id: declining, status: "on-duty" }, { _id: next }] });
+            const incident = offeredIncident(declining, "declined");
+            t.mock.method(Incident, "findOneAndUpdate", () => query(incident));
+            t.mock.method(incident, "save", async () => {
+                throw new Error("write conflict");
+            });
+
+            await assert.rejects(passToNextAmbulance(incident._id, declining, "declined"), /write conflict/);
+            assert.deepEqual(fleet.map((ambulance) => ambulance.status), ["available", "available"]);
+        });
+
+        it("does nothing when the offer was already answered", async (t) => {
+            const ambulance = id();
+            const { releases } = stubFleet(t, { ambulances: [{ _id: ambulance, status: "on-duty" }] });
+            t.mock.method(Incident, "findOneAndUpdate", () => query(null));
+
+            assert.equal(await passToNextAmbulance(id(), ambulance, "timed-out"), null);
+            assert.deepEqual(releases, []);
+        });
+    });
+
+    describe("acceptAssignment", () => {
+        it("accepts an open offer and announces it", async (t) => {
+            const [ambulance, userId] = [id(), id()];
+            stubFleet(t, { ambulances: [{ _id: ambulance, status: "on-duty", license_plate: "KAA 002" }] });
+            const incident = offeredIncident(ambulance, "accepted");
+            const accepted = t.mock.method(Incident, "findOneAndUpdate", () => query(incident));
+            const events = captureEvents(t);
+
+            assert.equal(await acceptAssignment(incident._id, ambulance, userId), incident);
+            assert.equal(accepted.mock.calls[0].arguments[1].$set["assignment.responded_by"], userId);
+            assert.deepEqual(events.map((event) => [event.type, event.data.outcome, event.data.license_plate]),
+                [["incident.assignment", "accepted", "KAA 002"]]);
+        });
+
+        it("returns null when the offer isn't open any more", async (t) => {
+            t.mock.method(Incident, "findOneAndUpdate", () => query(null));
+            const events = captureEvents(t);
+
+            assert.equal(await acceptAssignment(id(), id(), id()), null);
+            assert.deepEqual(events, []);
+        });
+    });
+
+    it("passes on offers whose acknowledgement window ran out", async (t) => {
+        const ambulance = id();
+        stubFleet(t, { ambulances: [{ _id: ambulance, status: "on-duty" }] });
+        const incident = offeredIncident(ambulance, "timed-out");
+        t.mock.method(Incident, "find", () => query([{ _id: incident._id, assignment: { ambulance } }]));
+        const closed = t.mock.method(Incident, "findOneAndUpdate", () => query(incident));
+        t.mock.method(incident, "save", async () => incident);
+
+        await sweepExpiredOffers();
+
+        assert.equal(closed.mock.calls[0].arguments[1].$set["assignment.status"], "timed-out");
+        assert.match(closed.mock.calls[0].arguments[1].$set["assignment.reason"], /^Not accepted within \d+ seconds$/);
+        assert.equal(incident.ambulance, null);
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { id, query } = require("./helpers/models");
+const Ambulance = require("../models/Ambulance");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+
+// Query writes resolve to `results` without a database; returns the audit entries written
+const stubWrites = (t, results) => {
+    t.mock.method(mongoose.Query.prototype, "_findOneAndUpdate", async () => results.findOneAndUpdate);
+    t.mock.method(mongoose.Query.prototype, "_updateOne", async () => results.updateOne);
+    return t.mock.method(AuditLog, "create", async (entry) => entry);
+};
+
+// The plugin writes its entry after the update resolves
+const logged = async (create) => {
+    await new Promise(setImmediate);
+    return create.mock.calls.map((call) => call.arguments[0]);
+};
+
+describe("models/plugins/audit", () => {
+    it("logs query updates with the filter and the update, without reading the document", async (t) => {
+        const ambulance = id();
+        const create = stubWrites(t, { findOneAndUpdate: { _id: ambulance, status: "on-duty" } });
+        const find = t.mock.method(Ambulance, "find", () => query([]));
+
+        await Ambulance.findOneAndUpdate({ _id: ambulance, status: "available" }, { $set: { status: "on-duty" } }, { new: true });
+
+        assert.equal(find.mock.callCount(), 0);
+        const [entry] = await logged(create);
+        assert.deepEqual([entry.action, entry.target_model, entry.target_id], ["update", "Ambulance", ambulance]);
+        assert.deepEqual(entry.filter, { _id: String(ambulance), status: "available" });
+        assert.deepEqual(entry.update, { $set: { status: "on-duty" } });
+    });
+
+    it("skips query updates that change only ignored fields or nothing", async (t) => {
+        const create = stubWrites(t, { updateOne: { matchedCount: 1, modifiedCount: 0 } });
+
+        await Ambulance.updateOne({ _id: id() }, { $set: { location: { type: "Point", coordinates: [0, 0] } } });
+        await Ambulance.updateOne({ _id: id() }, { $set: { status: "available" } });
+
+        assert.deepEqual(await logged(create), []);
+    });
+
+    it("diffs user query updates against the document as it was", async (t) => {
+        const user = id();
+        const create = stubWrites(t, { updateOne: { matchedCount: 1, modifiedCount: 1 } });
+        const find = t.mock.method(User, "find", () => query([{ _id: user, role: "user", password: "old" }]));
+        t.mock.method(User, "findById", () => query({ _id: user, role: "dispatcher", password: "new" }));
+
+        await User.updateOne({ _id: user }, { $set: { role: "dispatcher", password: "new" } });
+
+        assert.equal(find.mock.callCount(), 1);
+        const [entry] = await logged(create);
+        assert.deepEqual(entry.diff, {
+            role: { before: "user", after: "dispatcher" },
+            password: { before: "[redacted]", after: "[redacted]" }
+        });
+    });
+
+    it("doesn't read users back for session revocations", async (t) => {
+        const create = stubWrites(t, { updateOne: { matchedCount: 1, modifiedCount: 1 } });
+        const find = t.mock.method(User, "find", () => query([]));
+
+        await User.updateOne({ _id: id() }, { $inc: { token_version: 1 } });
+
+        assert.equal(find.mock.callCount(), 0);
+        assert.deepEqual(await logged(create), []);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { id, query } = require("./helpers/models");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const authConfig = require("../config/auth");
+const { authorize } = require("../middleware/authMiddleware");
+const { signTicket } = require("../utils/sessions");
+
+const account = (fields) => ({ _id: id(), role: "dispatcher", token_version: 0, ...fields });
+
+const accessToken = (user, claims) =>
+    jwt.sign({ userId: user._id, role: user.role, sid: id(), tv: 0, ...claims }, authConfig.jwtSecret);
+
+// Runs the middleware on a request with `headers` and `queryString`; resolves to the response it sent,
+// or to { next: true, user } when it let the request through
+const run = (middleware, { headers = {}, queryString = {} } = {}) => new Promise((resolve) => {
+    const req = { header: (name) => headers[name], query: queryString };
+    const res = {
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            resolve({ status: this.statusCode, body });
+        }
+    };
+    middleware(req, res, () => resolve({ next: true, user: req.user }));
+});
+
+const stubAccount = (t, user, { sessionActive = true } = {}) => {
+    t.mock.method(User, "findById", () => query(user));
+    return t.mock.method(Session, "exists", async () => (sessionActive ? { _id: id() } : null));
+};
+
+describe("middleware/authMiddleware", () => {
+    describe("permissions", () => {
+        it("names the permissions a role is missing", async (t) => {
+            const user = account({ role: "dispatcher" });
+            stubAccount(t, user);
+            const token = accessToken(user);
+
+            const result = await run(authorize(["incident:read", "user:write"]), { headers: { Authorization: `Bearer ${token}` } });
+
+            assert.deepEqual([result.status, result.body.missing_permissions], [403, ["user:write"]]);
+        });
+
+        it("refuses to guard a route with a permission nobody defined", () => {
+            assert.throws(() => authorize("incident:teleport"), /Unknown permission: incident:teleport/);
+        });
+    });
+
+    describe("sessions", () => {
+        it("lets a token for a live session through with the stored role", async (t) => {
+            const user = account({ role: "admin" });
+            stubAccount(t, user);
+
+            const result = await run(authorize(), { headers: { Authorization: `Bearer ${accessToken(user, { role: "user" })}` } });
+
+            assert.equal(result.next, true);
+            assert.deepEqual([result.user.userId, result.user.role], [String(user._id), "admin"]);
+        });
+
+        it("refuses tokens whose session was revoked or whose user logged out everywhere", async (t) => {
+            const user = account({ token_version: 1 });
+            const active = stubAccount(t, user, { sessionActive: false });
+
+            for (const claims of [{ tv: 1 }, { tv: 0 }, { tv: 1, sid: undefined }]) {
+                const result = await run(authorize(), { headers: { Authorization: `Bearer ${accessToken(user, claims)}` } });
+                assert.deepEqual([result.status, result.body.message], [401, "Session revoked. Please log in again."]);
+            }
+            assert.equal(active.mock.callCount(), 1); // Only the token with the current version checks its session
+        });
+    });
+
+    describe("tickets", () => {
+        const streamOnly = () => authorize("stream:dispatch", { ticket: "stream" });
+
+        it("opens the route a ticket was issued for from the query string", async (t) => {
+            const user = account();
+            stubAccount(t, user);
+            const ticket = signTicket({ userId: user._id, role: user.role, sid: id(), tv: 0 }, "stream", 60);
+
+            const result = await run(streamOnly(), { queryString: { ticket } });
+
+            assert.equal(result.next, true);
+            assert.equal(result.user.purpose, "stream");
+        });
+
+        it("takes neither access tokens in the URL nor tickets anywhere else", async (t) => {
+            const user = account();
+            stubAccount(t, user);
+            const ticket = signTicket({ userId: user._id, role: user.role, sid: id(), tv: 0 }, "stream", 60);
+
+            const attempts = [
+                [streamOnly(), { queryString: { ticket: accessToken(user) } }],
+                [streamOnly(), { queryString: { ticket: signTicket({ userId: user._id, sid: id(), tv: 0 }, "export", 60) } }],
+                [streamOnly(), { headers: { Authorization: `Bearer ${ticket}` } }],
+                [authorize(), { queryString: { ticket } }]
+            ];
+            for (const [middleware, request] of attempts) assert.equal((await run(middleware, request)).status, 401);
+        });
+    });
+});
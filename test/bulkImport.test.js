@@ -0,0 +1,100 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { id, query, stubSave } = require("./helpers/models");
+const User = require("../models/User");
+const Ambulance = require("../models/Ambulance");
+const Hospital = require("../models/Hospital");
+const { parseCsv } = require("../utils/csv");
+const { runImport } = require("../utils/bulkImport");
+
+const KNH = { _id: id(), name: "Kenyatta National Hospital" };
+
+// Hospitals looked up by name or id, and no licence plate or user taken yet
+const stubLookups = (t) => {
+    t.mock.method(Hospital, "findOne", (filter) => query(filter.name === KNH.name ? { _id: KNH._id } : null));
+    t.mock.method(Hospital, "findById", (value) => query(String(value) === String(KNH._id) ? KNH : null));
+    t.mock.method(Ambulance, "exists", async () => null);
+    t.mock.method(User, "exists", async () => null);
+};
+
+// Transactions run their callback without a session; returns the mock
+const stubTransaction = (t) => t.mock.method(mongoose.connection, "transaction", async (run) => run(null));
+
+describe("utils/bulkImport", () => {
+    describe("parseCsv", () => {
+        it("reads quoted fields, CRLF line endings and a byte-order mark, skipping blank lines", () => {
+            const { rows } = parseCsv('\uFEFFname,notes\r\n"Smith, J","said ""hi""\nthen left"\r\n\r\nLee,\n');
+
+            assert.deepEqual(rows, [["name", "notes"], ["Smith, J", 'said "hi"\nthen left'], ["Lee", ""]]);
+        });
+
+        it("reports an unterminated quote", () => {
+            assert.deepEqual(parseCsv('name\n"Smith'), { error: "Unterminated quoted field" });
+        });
+    });
+
+    describe("runImport", () => {
+        it("checks every row of a dry run and writes nothing", async (t) => {
+            stubLookups(t);
+            const transaction = stubTransaction(t);
+            const csv = [
+                "License_Plate,status,latitude,longitude,home_hospital_name",
+                "KDA 123A,available,-1.2921,36.8219,Kenyatta National Hospital",
+                "KDA 123A,available,-1.2921,36.8219,",
+                "KDB 456B,parked,-1.2921,36.8219,",
+                "KDC 789C,available,-1.2921,36.8219,Atlantis General"
+            ].join("\n");
+
+            const { total, errors, created } = await runImport("ambulances", csv, { dryRun: true });
+
+            assert.equal(total, 4);
+            assert.deepEqual(errors, [
+                { row: 3, message: 'Duplicate license_plate "KDA 123A" (also in row 2)' },
+                { row: 4, message: "Invalid status value" },
+                { row: 5, message: 'No hospital with name "Atlantis General"' }
+            ]);
+            assert.deepEqual(created, []);
+            assert.equal(transaction.mock.callCount(), 0);
+        });
+
+        it("creates every row in one transaction when all of them are valid", async (t) => {
+            stubLookups(t);
+            const transaction = stubTransaction(t);
+            const save = stubSave(t, Ambulance);
+            const csv = "license_plate,status,latitude,longitude,home_hospital_name\n" +
+                "KDA 123A,available,-1.2921,36.8219,Kenyatta National Hospital\n" +
+                "KDB 456B,maintenance,-1.3133,36.7876,\n";
+
+            const { errors, created } = await runImport("ambulances", csv);
+
+            assert.deepEqual(errors, []);
+            assert.equal(transaction.mock.callCount(), 1);
+            const saved = save.mock.calls.map((call) => call.this);
+            assert.deepEqual(created, saved.map((ambulance) => ambulance._id));
+            assert.deepEqual(saved.map((ambulance) => [ambulance.license_plate, String(ambulance.home_hospital)]),
+                [["KDA 123A", String(KNH._id)], ["KDB 456B", "null"]]);
+            // Latitude and longitude columns become a GeoJSON point
+            assert.deepEqual(saved[1].location.coordinates, [36.7876, -1.3133]);
+        });
+
+        it("creates nothing when any row is invalid", async (t) => {
+            stubLookups(t);
+            const transaction = stubTransaction(t);
+            const csv = "name,role,email,password,phone_number_1\n" +
+                "Ann,user,ann@example.com,long-enough,0700000001\n" +
+                "Bob,user,,long-enough,0700000002\n";
+
+            const { errors, created } = await runImport("users", csv);
+
+            assert.deepEqual(errors, [{ row: 3, message: "All required fields must be filled" }]);
+            assert.deepEqual(created, []);
+            assert.equal(transaction.mock.callCount(), 0);
+        });
+
+        it("rejects files with unknown columns or no data", async () => {
+            assert.match((await runImport("users", "name,email,shoe_size\nAnn,ann@example.com,6\n")).error, /^Unknown columns: shoe_size/);
+            assert.equal((await runImport("users", "name,email\n")).error, "The file needs a header row and at least one data row");
+        });
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { id } = require("./helpers/models");
+const { stubFleet } = require("./helpers/fleet");
+const { findNearestAvailableAmbulances, claimAmbulance, releaseAmbulance } = require("../utils/dispatch");
+
+const TRAUMA_KIT = [{ item: "trauma_dressing", quantity: 10 }, { item: "tourniquet", quantity: 2 }];
+
+describe("utils/dispatch", () => {
+    describe("findNearestAvailableAmbulances", () => {
+        it("ranks free ambulances by distance", async (t) => {
+            const [near, busy, far] = [id(), id(), id()];
+            const { aggregate } = stubFleet(t, {
+                ambulances: [
+                    { _id: near, distance: 400.4 },
+                    { _id: busy, distance: 500, status: "on-duty" },
+                    { _id: far, distance: 2500 }
+                ]
+            });
+
+            const ranked = await findNearestAvailableAmbulances([36.8, -1.3], { maxDistance: 3000 });
+
+            assert.deepEqual(ranked.map((r) => [r.rank, r.ambulance._id, r.distance_m]), [[1, near, 400], [2, far, 2500]]);
+            const { $geoNear } = aggregate.mock.calls[0].arguments[0][0];
+            assert.deepEqual($geoNear.near, { type: "Point", coordinates: [36.8, -1.3] });
+            assert.equal($geoNear.maxDistance, 3000);
+        });
+
+        it("leaves out ambulances without a full crew on shift", async (t) => {
+            const [crewed, uncrewed] = [id(), id()];
+            stubFleet(t, { ambulances: [{ _id: uncrewed, distance: 100 }, { _id: crewed, distance: 900 }], crewed: [crewed] });
+
+            const ranked = await findNearestAvailableAmbulances([0, 0]);
+
+            assert.deepEqual(ranked.map((r) => [r.rank, r.ambulance._id]), [[1, crewed]]);
+        });
+
+        it("leaves out ambulances with maintenance due or under way", async (t) => {
+            const [free, serviced] = [id(), id()];
+            stubFleet(t, { ambulances: [{ _id: serviced, distance: 100 }, { _id: free, distance: 900 }], inMaintenance: [serviced] });
+
+            const ranked = await findNearestAvailableAmbulances([0, 0]);
+
+            assert.deepEqual(ranked.map((r) => [r.rank, r.ambulance._id]), [[1, free]]);
+        });
+
+        it("returns at most `limit` ambulances", async (t) => {
+            stubFleet(t, { ambulances: [{ _id: id() }, { _id: id() }, { _id: id() }] });
+
+            assert.equal((await findNearestAvailableAmbulances([0, 0], { limit: 2 })).length, 2);
+        });
+
+        it("puts ambulances equipped for the call first, keeping distance order within each group", async (t) => {
+            const [bare, equipped, alsoBare] = [id(), id(), id()];
+            stubFleet(t, {
+                ambulances: [
+                    { _id: bare, distance: 100 },
+                    { _id: equipped, distance: 900, inventory: TRAUMA_KIT },
+                    { _id: alsoBare, distance: 1200 }
+                ]
+            });
+
+            const ranked = await findNearestAvailableAmbulances([0, 0], { capabilities: ["trauma"] });
+
+            assert.deepEqual(ranked.map((r) => r.ambulance._id), [equipped, bare, alsoBare]);
+            assert.deepEqual(ranked.map((r) => r.rank), [1, 2, 3]);
+            assert.deepEqual(ranked[1].missing_capabilities, ["trauma"]);
+        });
+
+        it("only returns equipped ambulances when capabilities are required", async (t) => {
+            const [bare, equipped] = [id(), id()];
+            stubFleet(t, { ambulances: [{ _id: bare, distance: 100 }, { _id: equipped, distance: 900, inventory: TRAUMA_KIT }] });
+
+            const ranked = await findNearestAvailableAmbulances([0, 0], { capabilities: ["trauma"], requireCapabilities: true });
+
+            assert.deepEqual(ranked.map((r) => [r.rank, r.ambulance._id]), [[1, equipped]]);
+        });
+
+        it("searches a wider pool than the limit when ranking by equipment", async (t) => {
+            const { aggregate } = stubFleet(t);
+
+            await findNearestAvailableAmbulances([0, 0], { limit: 2 });
+            await findNearestAvailableAmbulances([0, 0], { limit: 2, capabilities: ["oxygen"] });
+
+            assert.deepEqual(aggregate.mock.calls.map((call) => call.arguments[0][1].$limit), [2, 25]);
+        });
+    });
+
+    describe("claimAmbulance", () => {
+        it("moves a free ambulance on duty once", async (t) => {
+            const ambulance = id();
+            const { claims } = stubFleet(t, { ambulances: [{ _id: ambulance }] });
+
+            assert.equal((await claimAmbulance(ambulance)).status, "on-duty");
+            assert.equal(await claimAmbulance(ambulance), null);
+            assert.deepEqual(claims, [ambulance]);
+        });
+
+        it("refuses ambulances without a full crew on shift", async (t) => {
+            const ambulance = id();
+            const { claims } = stubFleet(t, { ambulances: [{ _id: ambulance }], crewed: [] });
+
+            assert.equal(await claimAmbulance(ambulance), null);
+            assert.deepEqual(claims, []);
+        });
+
+        it("refuses ambulances due for or in maintenance", async (t) => {
+            const ambulance = id();
+            const { claims } = stubFleet(t, { ambulances: [{ _id: ambulance }], inMaintenance: [ambulance] });
+
+            assert.equal(await claimAmbulance(ambulance), null);
+            assert.deepEqual(claims, []);
+        });
+    });
+
+    describe("releaseAmbulance", () => {
+        it("frees an ambulance on duty but leaves any other status alone", async (t) => {
+            const [claimed, maintenance] = [id(), id()];
+            const { fleet } = stubFleet(t, {
+                ambulances: [{ _id: claimed, status: "on-duty" }, { _id: maintenance, status: "maintenance" }]
+            });
+
+            assert.equal((await releaseAmbulance(claimed)).status, "available");
+            assert.equal(await releaseAmbulance(maintenance), null);
+            assert.deepEqual(fleet.map((ambulance) => ambulance.status), ["available", "maintenance"]);
+        });
+    });
+});
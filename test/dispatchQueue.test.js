@@ -0,0 +1,191 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { id, query, captureEvents } = require("./helpers/models");
+const { stubFleet } = require("./helpers/fleet");
+const Incident = require("../models/Incident");
+const dispatchConfig = require("../config/dispatch");
+const { publish } = require("../utils/events");
+const {
+    effectivePriority,
+    isQueued,
+    loadQueue,
+    queuePosition,
+    autoDispatchable,
+    hasOpenDuplicates,
+    sweepQueue
+} = require("../utils/dispatchQueue");
+
+const NOW = new Date("2026-01-01T12:00:00Z");
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * 60000);
+
+const waiting = (fields) => ({
+    _id: id(),
+    incident_type: "fall",
+    status: "pending",
+    priority: 3,
+    reported_time: NOW,
+    location: { type: "Point", coordinates: [0, 0] },
+    possible_duplicates: [],
+    ...fields
+});
+
+// Incident.find answers the queue query; findOneAndUpdate hands the call to the ambulance as autoDispatch asks
+const stubIncidents = (t, incidents) => {
+    const find = t.mock.method(Incident, "find", () => query(incidents));
+    const dispatched = t.mock.method(Incident, "findOneAndUpdate", (filter, update) => {
+        const incident = incidents.find((candidate) => candidate._id === filter._id);
+        return query({ ...incident, ...update.$set });
+    });
+    return { find, dispatched };
+};
+
+describe("utils/dispatchQueue", () => {
+    beforeEach(() => publish("incident.status", {})); // Drop the cached queue between tests
+
+    it("ages priority by one level per queueAgingMinutes, down to the floor", () => {
+        const { queueAgingMinutes: step, queueAgingFloor: floor } = dispatchConfig;
+        assert.equal(effectivePriority({ priority: 4, reported_time: minutesAgo(step - 1) }, NOW), 4);
+        assert.equal(effectivePriority({ priority: 4, reported_time: minutesAgo(step) }, NOW), 3);
+        assert.equal(effectivePriority({ priority: 5, reported_time: minutesAgo(step * 100) }, NOW), floor);
+        assert.equal(effectivePriority({ priority: 1, reported_time: minutesAgo(step * 100) }, NOW), 1);
+    });
+
+    it("queues waiting incidents and dispatched ones left without an ambulance", () => {
+        assert.equal(isQueued({ status: "pending" }), true);
+        assert.equal(isQueued({ status: "acknowledged" }), true);
+        assert.equal(isQueued({ status: "dispatched", ambulance: null }), true);
+        assert.equal(isQueued({ status: "dispatched", ambulance: id() }), false);
+        assert.equal(isQueued({ status: "en-route", ambulance: null }), false);
+    });
+
+    it("auto-dispatches calls that waited long enough or were sent to the front, never held ones", () => {
+        const after = dispatchConfig.queueAutoDispatchAfterSeconds * 1000;
+        const reported_time = new Date(NOW.getTime() - after);
+        assert.equal(autoDispatchable({ reported_time }, NOW), true);
+        assert.equal(autoDispatchable({ reported_time: new Date(NOW.getTime() - after + 1) }, NOW), false);
+        assert.equal(autoDispatchable({ reported_time: NOW, queue_override: { action: "front" } }, NOW), true);
+        assert.equal(autoDispatchable({ reported_time, queue_override: { action: "hold" } }, NOW), false);
+    });
+
+    it("orders the queue: front first, then effective priority, then longest wait", async (t) => {
+        const incidents = [
+            waiting({ priority: 2, reported_time: minutesAgo(1) }),
+            waiting({ priority: 2, reported_time: minutesAgo(5) }),
+            waiting({ priority: 5, reported_time: minutesAgo(2), queue_override: { action: "front", changed_at: minutesAgo(1) } }),
+            waiting({ priority: 1, reported_time: minutesAgo(0) }),
+            waiting({ priority: 4, reported_time: minutesAgo(3), queue_override: { action: "front", changed_at: minutesAgo(2) } })
+        ];
+        stubIncidents(t, incidents);
+
+        const queue = await loadQueue(NOW);
+
+        assert.deepEqual(queue.map((entry) => entry._id), [4, 2, 3, 1, 0].map((index) => incidents[index]._id));
+        assert.deepEqual(queue.map((entry) => entry.position), [1, 2, 3, 4, 5]);
+        assert.deepEqual(queue[3].waited_minutes, 5);
+    });
+
+    it("caches queue positions until an incident changes", async (t) => {
+        const [first, second] = [waiting({ priority: 1 }), waiting({ priority: 2 })];
+        const { find } = stubIncidents(t, [second, first]);
+
+        assert.deepEqual(await queuePosition(second._id), { position: 2, total: 2, effective_priority: 2 });
+        assert.equal((await queuePosition(first._id)).position, 1);
+        assert.equal(await queuePosition(id()), null);
+        assert.equal(find.mock.callCount(), 1);
+
+        publish("incident.created", {});
+        await queuePosition(first._id);
+        assert.equal(find.mock.callCount(), 2);
+    });
+
+    describe("hasOpenDuplicates", () => {
+        it("checks flagged reports that are still open", async (t) => {
+            const flagged = id();
+            const exists = t.mock.method(Incident, "exists", async () => ({ _id: flagged }));
+
+            assert.equal(await hasOpenDuplicates({ possible_duplicates: [{ incident: flagged }] }), true);
+            const [filter] = exists.mock.calls[0].arguments;
+            assert.deepEqual(filter._id, { $in: [flagged] });
+            assert.ok(filter.status.$nin.includes("merged"));
+        });
+
+        it("skips the lookup for unflagged calls and calls sent to the front", async (t) => {
+            const exists = t.mock.method(Incident, "exists", async () => ({ _id: id() }));
+
+            assert.equal(await hasOpenDuplicates({ possible_duplicates: [] }), false);
+            assert.equal(await hasOpenDuplicates({ possible_duplicates: [{ incident: id() }], queue_override: { action: "front" } }), false);
+            assert.equal(exists.mock.callCount(), 0);
+        });
+    });
+
+    describe("sweepQueue", () => {
+        const overdue = minutesAgo(dispatchConfig.queueAutoDispatchAfterSeconds / 60 + 1);
+
+        it("offers the head of the queue to the nearest free ambulance", async (t) => {
+            const [near, far] = [id(), id()];
+            const { claims } = stubFleet(t, { ambulances: [{ _id: near, distance: 100 }, { _id: far, distance: 200 }] });
+            const head = waiting({ priority: 1, reported_time: overdue });
+            const { dispatched } = stubIncidents(t, [head]);
+            const events = captureEvents(t);
+
+            assert.equal(await sweepQueue(NOW), 1);
+
+            assert.deepEqual(claims, [near]);
+            const [filter, update] = dispatched.mock.calls[0].arguments;
+            assert.deepEqual(filter, { _id: head._id, status: "pending", ambulance: null });
+            assert.equal(update.$set.status, "dispatched");
+            assert.equal(update.$push.status_history.note, "Dispatched automatically from the queue");
+            assert.deepEqual(events.map((event) => event.type), ["incident.status", "ambulance.status", "incident.assignment"]);
+        });
+
+        it("stops at a head that hasn't waited long enough instead of dispatching the calls behind it", async (t) => {
+            const { claims } = stubFleet(t, { ambulances: [{ _id: id() }] });
+            stubIncidents(t, [waiting({ priority: 1, reported_time: NOW }), waiting({ priority: 4, reported_time: overdue })]);
+
+            assert.equal(await sweepQueue(NOW), 0);
+            assert.deepEqual(claims, []);
+        });
+
+        it("stops at a head flagged as a possible duplicate of an open incident", async (t) => {
+            const { claims } = stubFleet(t, { ambulances: [{ _id: id() }] });
+            stubIncidents(t, [
+                waiting({ priority: 1, reported_time: overdue, possible_duplicates: [{ incident: id() }] }),
+                waiting({ priority: 3, reported_time: overdue })
+            ]);
+            t.mock.method(Incident, "exists", async () => ({ _id: id() }));
+
+            assert.equal(await sweepQueue(NOW), 0);
+            assert.deepEqual(claims, []);
+        });
+
+        it("stops once no ambulance can be found for the head", async (t) => {
+            const ambulance = id();
+            const { claims } = stubFleet(t, { ambulances: [{ _id: ambulance }] });
+            const [first, second, third] = [1, 2, 3].map((priority) => waiting({ priority, reported_time: overdue }));
+            stubIncidents(t, [third, second, first]);
+
+            assert.equal(await sweepQueue(NOW), 1);
+            assert.deepEqual(claims, [ambulance]);
+        });
+
+        it("passes over held calls and skips ambulances that already declined", async (t) => {
+            const [declined, other] = [id(), id()];
+            const { claims } = stubFleet(t, { ambulances: [{ _id: declined, distance: 10 }, { _id: other, distance: 20 }] });
+            const held = waiting({ priority: 1, reported_time: overdue, queue_override: { action: "hold" } });
+            const next = waiting({
+                priority: 2,
+                status: "dispatched",
+                ambulance: null,
+                reported_time: overdue,
+                assignment_history: [{ ambulance: declined, status: "declined" }]
+            });
+            const { dispatched } = stubIncidents(t, [held, next]);
+
+            assert.equal(await sweepQueue(NOW), 1);
+            assert.deepEqual(claims, [other]);
+            const [filter, update] = dispatched.mock.calls[0].arguments;
+            assert.equal(filter._id, next._id);
+            assert.equal(update.$set.status, undefined); // Already dispatched; only the ambulance changes
+        });
+    });
+});
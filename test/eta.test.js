@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const etaConfig = require("../config/eta");
+const { haversineDistance } = require("../utils/geo");
+const { loadRoadGraph, estimateEta, withEta, withEtas } = require("../utils/eta");
+
+// A one-way loop: A to B to C ~1.1 km apart along the equator, and a slip road from C back to A at 20 km/h
+const GRAPH = {
+    nodes: [{ id: "A", lng: 0, lat: 0 }, { id: "B", lng: 0.01, lat: 0 }, { id: "C", lng: 0.02, lat: 0 }],
+    edges: [
+        { from: "A", to: "B", oneway: true },
+        { from: "B", to: "C", oneway: true },
+        { from: "C", to: "A", speed_kmh: 20, oneway: true }
+    ]
+};
+const LEG = haversineDistance([0, 0], [0.01, 0]);
+
+const normalSpeed = () => etaConfig.speedsKmh.normal / 3.6; // m/s
+const slowPriority = () => etaConfig.lightsAndSirensMaxPriority + 1;
+
+describe("utils/eta", () => {
+    let graphFile;
+    before(() => {
+        graphFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "eta-")), "roads.json");
+        fs.writeFileSync(graphFile, JSON.stringify(GRAPH));
+        etaConfig.roadGraphFile = graphFile;
+        assert.equal(loadRoadGraph().nodes.length, 3);
+    });
+    after(() => fs.rmSync(path.dirname(graphFile), { recursive: true, force: true }));
+
+    it("routes over the road graph between the nearest nodes", () => {
+        const eta = estimateEta([0, 0], [0.02, 0], slowPriority());
+
+        assert.equal(eta.method, "road-graph");
+        assert.equal(eta.lights_and_sirens, false);
+        assert.equal(eta.distance_m, Math.round(2 * LEG));
+        assert.equal(eta.eta_seconds, Math.round((2 * LEG) / normalSpeed()));
+    });
+
+    it("follows one-way roads at their own speed", () => {
+        const eta = estimateEta([0.02, 0], [0, 0], slowPriority());
+
+        assert.equal(eta.distance_m, Math.round(haversineDistance([0.02, 0], [0, 0])));
+        assert.equal(eta.eta_seconds, Math.round(haversineDistance([0.02, 0], [0, 0]) / (20 / 3.6)));
+    });
+
+    it("drives faster with lights and sirens", () => {
+        const urgent = estimateEta([0, 0], [0.02, 0], 1);
+
+        assert.equal(urgent.lights_and_sirens, true);
+        assert.ok(urgent.eta_seconds < estimateEta([0, 0], [0.02, 0], slowPriority()).eta_seconds);
+    });
+
+    it("falls back to a straight line for positions too far from any road", () => {
+        const eta = estimateEta([0, 0], [0.01, 1], slowPriority());
+
+        assert.equal(eta.method, "straight-line");
+        assert.equal(eta.distance_m, Math.round(haversineDistance([0, 0], [0.01, 1]) * etaConfig.detourFactor));
+    });
+
+    it("only estimates for incidents with an ambulance on its way", () => {
+        const incident = (status, ambulance) => ({
+            status,
+            priority: slowPriority(),
+            location: { coordinates: [0.02, 0] },
+            ambulance
+        });
+        const located = { location: { coordinates: [0, 0] } };
+
+        assert.equal(withEta(incident("en-route", located)).eta.method, "road-graph");
+        assert.ok(withEta(incident("dispatched", located)).eta.estimated_arrival instanceof Date);
+        assert.equal(withEta(incident("on-scene", located)).eta, null);
+        assert.equal(withEta(incident("dispatched", null)).eta, null);
+        assert.equal(withEta(incident("dispatched", {})).eta, null);
+    });
+
+    it("routes at most listRoadGraphLimit incidents of a list over the graph", (t) => {
+        const { listRoadGraphLimit } = etaConfig;
+        etaConfig.listRoadGraphLimit = 1;
+        t.after(() => {
+            etaConfig.listRoadGraphLimit = listRoadGraphLimit;
+        });
+        const incidents = [0.01, 0.02].map((lng) => ({
+            status: "en-route",
+            priority: slowPriority(),
+            location: { coordinates: [lng, 0] },
+            ambulance: { location: { coordinates: [0, 0] } }
+        }));
+
+        assert.deepEqual(withEtas(incidents).map((incident) => incident.eta.method), ["road-graph", "straight-line"]);
+    });
+});
@@ -0,0 +1,52 @@
+const Ambulance = require("../../models/Ambulance");
+const MaintenanceRecord = require("../../models/MaintenanceRecord");
+const Shift = require("../../models/Shift");
+const { id, query } = require("./models");
+
+// Stand-ins for the models behind utils/dispatch.js, so dispatch can be exercised without a database.
+
+const has = (ids, value) => ids.some((candidate) => String(candidate) === String(value));
+
+/**
+ * Fake fleet for one test. `ambulances` are { _id, license_plate, distance, inventory, status }, nearest
+ * first; they are fully crewed unless left out of `crewed`, and out of maintenance unless listed in
+ * `inMaintenance`. Statuses change as ambulances are claimed and released; `claims` and `releases`
+ * record the ids, in order.
+ */
+const stubFleet = (t, { ambulances = [], crewed, inMaintenance = [] } = {}) => {
+    const fleet = ambulances.map((ambulance) => ({ status: "available", inventory: [], distance: 0, ...ambulance }));
+    const crewedIds = crewed || fleet.map((ambulance) => ambulance._id);
+    const claims = [];
+    const releases = [];
+    const byId = (value) => fleet.find((ambulance) => String(ambulance._id) === String(value));
+
+    t.mock.method(Shift, "aggregate", async () => crewedIds.map((_id) => ({ _id })));
+    t.mock.method(Shift, "find", (filter) =>
+        query(has(crewedIds, filter.ambulance) ? [{ role: "driver" }, { role: "medic" }] : [{ role: "driver" }]));
+    t.mock.method(MaintenanceRecord, "find", (filter) =>
+        query(filter.status === "in-service" ? inMaintenance.map((ambulance) => ({ ambulance })) : []));
+    t.mock.method(MaintenanceRecord, "exists", async (filter) => (has(inMaintenance, filter.ambulance) ? { _id: id() } : null));
+
+    const aggregate = t.mock.method(Ambulance, "aggregate", async ([{ $geoNear }, { $limit }]) => {
+        const { status, _id } = $geoNear.query;
+        return fleet
+            .filter((ambulance) => ambulance.status === status && !has(_id.$nin, ambulance._id) &&
+                (!_id.$in || has(_id.$in, ambulance._id)))
+            .filter((ambulance) => !$geoNear.maxDistance || ambulance.distance <= $geoNear.maxDistance)
+            .slice(0, $limit)
+            .map((ambulance) => ({ ...ambulance }));
+    });
+
+    t.mock.method(Ambulance, "findOneAndUpdate", (filter, update) => {
+        const ambulance = byId(filter._id);
+        if (!ambulance || ambulance.status !== filter.status) return query(null);
+        ambulance.status = update.status;
+        (update.status === "on-duty" ? claims : releases).push(ambulance._id);
+        return query({ _id: ambulance._id, license_plate: ambulance.license_plate, status: ambulance.status });
+    });
+    t.mock.method(Ambulance, "findById", (value) => query(byId(value) ? { _id: value, license_plate: byId(value).license_plate } : null));
+
+    return { fleet, claims, releases, aggregate };
+};
+
+module.exports = { stubFleet };
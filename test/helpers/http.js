@@ -0,0 +1,38 @@
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../../models/User");
+const Session = require("../../models/Session");
+const authConfig = require("../../config/auth");
+const { query } = require("./models");
+
+// Serves `router` at `mountPath` on a free port for the test and returns a client for it:
+// `send(method, path, { body, token })` resolves to { status, body }.
+const serve = async (t, mountPath, router) => {
+    const app = express();
+    app.use(express.json());
+    app.use(mountPath, router);
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    return async (method, path, { body, token } = {}) => {
+        const headers = { "Content-Type": "application/json" };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const response = await fetch(base + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+};
+
+// An access token for a logged-in user with `role`, whose account and session the auth middleware will find
+const signIn = (t, role) => {
+    const user = { _id: new mongoose.Types.ObjectId(), role, token_version: 0 };
+    t.mock.method(User, "findById", () => query(user));
+    t.mock.method(Session, "exists", async () => true);
+    return jwt.sign({ userId: user._id, role, sid: new mongoose.Types.ObjectId(), tv: 0 }, authConfig.jwtSecret);
+};
+
+module.exports = { serve, signIn };
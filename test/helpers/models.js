@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+const { dispatchEvents } = require("../../utils/events");
+
+// Stand-ins for Mongoose queries, so utils can be exercised without a database.
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A resolved Mongoose query: chainable like one and awaiting to `result`
+const query = (result) => {
+    const chain = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+    for (const method of ["select", "lean", "sort", "limit", "populate", "session"]) chain[method] = () => chain;
+    return chain;
+};
+
+// Saving any document of `Model` resolves without writing; returns the mock, whose calls' `this` are the documents
+const stubSave = (t, Model) => t.mock.method(Model.prototype, "save", async function () {
+    this.isNew = false;
+    return this;
+});
+
+// Events published on the dispatch bus while the test runs
+const captureEvents = (t) => {
+    const events = [];
+    const listener = (event) => events.push(event);
+    dispatchEvents.on("event", listener);
+    t.after(() => dispatchEvents.off("event", listener));
+    return events;
+};
+
+module.exports = { id, query, stubSave, captureEvents };
@@ -0,0 +1,119 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { id, query, stubSave, captureEvents } = require("./helpers/models");
+const Ambulance = require("../models/Ambulance");
+const MaintenanceRecord = require("../models/MaintenanceRecord");
+const { isDue, startService, completeService, cancelService } = require("../utils/maintenance");
+
+const NOW = new Date("2026-01-01T12:00:00Z");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const scheduled = (fields) => ({ _id: id(), ambulance: id(), type: "service", status: "scheduled", ...fields });
+
+describe("utils/maintenance", () => {
+    describe("isDue", () => {
+        it("falls due by date or by odometer reading, whichever comes first", () => {
+            const ambulance = { odometer_km: 9000 };
+
+            assert.ok(isDue(scheduled({ due_date: new Date(NOW.getTime() - 1) }), ambulance, NOW));
+            assert.ok(isDue(scheduled({ due_date: new Date(NOW.getTime() + DAY_MS), due_odometer_km: 9000 }), ambulance, NOW));
+            assert.ok(!isDue(scheduled({ due_date: new Date(NOW.getTime() + DAY_MS), due_odometer_km: 10000 }), ambulance, NOW));
+            assert.ok(!isDue(scheduled({ status: "in-service", due_date: NOW }), ambulance, NOW));
+        });
+    });
+
+    describe("startService", () => {
+        it("takes a free ambulance out of service and starts the work", async (t) => {
+            const record = scheduled({ due_date: NOW });
+            t.mock.method(MaintenanceRecord, "findById", () => query(record));
+            const take = t.mock.method(Ambulance, "findOneAndUpdate", () => query({ _id: record.ambulance, status: "available" }));
+            const start = t.mock.method(MaintenanceRecord, "findOneAndUpdate", (filter, update) => query({ ...record, ...update }));
+            const events = captureEvents(t);
+
+            const { record: started } = await startService(record._id, { now: NOW });
+
+            assert.deepEqual(take.mock.calls[0].arguments, [
+                { _id: record.ambulance, status: { $in: ["available", "maintenance"] } },
+                { status: "maintenance" }
+            ]);
+            assert.deepEqual(start.mock.calls[0].arguments[0], { _id: record._id, status: "scheduled" });
+            assert.deepEqual([started.status, started.started_at], ["in-service", NOW]);
+            assert.deepEqual(events.map(({ type, data }) => [type, data.status]), [["ambulance.status", "maintenance"]]);
+        });
+
+        it("leaves an ambulance on a call alone", async (t) => {
+            t.mock.method(MaintenanceRecord, "findById", () => query(scheduled({})));
+            t.mock.method(Ambulance, "findOneAndUpdate", () => query(null));
+            const start = t.mock.method(MaintenanceRecord, "findOneAndUpdate", () => query(null));
+
+            assert.deepEqual(await startService(id()), { status: 409, error: "Ambulance not found or on a call" });
+            assert.equal(start.mock.callCount(), 0);
+        });
+
+        it("only starts scheduled work", async (t) => {
+            t.mock.method(MaintenanceRecord, "findById", () => query(scheduled({ status: "completed" })));
+
+            assert.deepEqual(await startService(id()), { status: 400, error: "Cannot start maintenance that is completed" });
+        });
+    });
+
+    describe("completeService", () => {
+        it("records the reading, returns the ambulance and schedules the next occurrence", async (t) => {
+            const record = scheduled({ status: "in-service", interval_days: 30, interval_km: 5000 });
+            const ambulance = Ambulance.hydrate({ _id: record.ambulance, odometer_km: 1000 });
+            t.mock.method(MaintenanceRecord, "findOneAndUpdate", (filter, update) => query({ ...record, ...update }));
+            t.mock.method(Ambulance, "findById", () => query(ambulance));
+            const save = stubSave(t, Ambulance);
+            t.mock.method(MaintenanceRecord, "exists", async () => null); // No other work under way
+            const release = t.mock.method(Ambulance, "findOneAndUpdate", () => query({ _id: record.ambulance }));
+            t.mock.method(MaintenanceRecord, "create", async (fields) => fields);
+            const events = captureEvents(t);
+
+            const { record: completed, next } = await completeService(record._id, { odometer_km: 1200, cost: 80, now: NOW });
+
+            assert.deepEqual([completed.status, completed.odometer_km, completed.cost], ["completed", 1200, 80]);
+            assert.equal(save.mock.callCount(), 1);
+            assert.equal(ambulance.odometer_km, 1200);
+            assert.deepEqual(release.mock.calls[0].arguments, [{ _id: record.ambulance, status: "maintenance" }, { status: "available" }]);
+            assert.deepEqual(events.map(({ type, data }) => [type, data.status]), [["ambulance.status", "available"]]);
+            assert.deepEqual([next.due_date, next.due_odometer_km], [new Date(NOW.getTime() + 30 * DAY_MS), 6200]);
+        });
+
+        it("keeps the ambulance out of service while other work is under way", async (t) => {
+            const record = scheduled({ status: "in-service" });
+            t.mock.method(MaintenanceRecord, "findOneAndUpdate", () => query({ ...record, status: "completed" }));
+            t.mock.method(Ambulance, "findById", () => query(null));
+            t.mock.method(MaintenanceRecord, "exists", async () => ({ _id: id() }));
+            const release = t.mock.method(Ambulance, "findOneAndUpdate", () => query(null));
+
+            const { next } = await completeService(record._id, { now: NOW });
+
+            assert.equal(release.mock.callCount(), 0);
+            assert.equal(next, null);
+        });
+    });
+
+    describe("cancelService", () => {
+        it("returns the ambulance only when the work had started", async (t) => {
+            const records = [scheduled({}), scheduled({ status: "in-service" })];
+            let current;
+            t.mock.method(MaintenanceRecord, "findOneAndUpdate", () => query(current));
+            t.mock.method(MaintenanceRecord, "findById", () => query({ ...current, status: "cancelled" }));
+            t.mock.method(MaintenanceRecord, "exists", async () => null);
+            const release = t.mock.method(Ambulance, "findOneAndUpdate", () => query(null));
+
+            for (current of records) assert.equal((await cancelService(current._id)).record.status, "cancelled");
+
+            assert.deepEqual(release.mock.calls.map((call) => call.arguments[0]._id), [records[1].ambulance]);
+        });
+
+        it("tells finished work from missing records", async (t) => {
+            t.mock.method(MaintenanceRecord, "findOneAndUpdate", () => query(null));
+            const exists = t.mock.method(MaintenanceRecord, "exists", async () => ({ _id: id() }));
+
+            assert.equal((await cancelService(id())).status, 400);
+            exists.mock.mockImplementation(async () => null);
+            assert.equal((await cancelService(id())).status, 404);
+        });
+    });
+});
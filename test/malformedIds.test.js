@@ -0,0 +1,37 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { serve, signIn } = require("./helpers/http");
+const Ambulance = require("../models/Ambulance");
+const MaintenanceRecord = require("../models/MaintenanceRecord");
+const hospitalRoutes = require("../routes/hospitalRoutes");
+const ambulanceRoutes = require("../routes/ambulanceRoutes");
+
+// What Mongoose does with an id that isn't one
+const castFails = async () => {
+    throw new mongoose.Error.CastError("ObjectId", "not-an-id", "_id");
+};
+
+describe("malformed ids", () => {
+    it("DELETE /hospitals/:id answers 404", async (t) => {
+        const count = t.mock.method(Ambulance, "countDocuments", castFails);
+        const token = signIn(t, "admin");
+        const send = await serve(t, "/hospitals", hospitalRoutes);
+
+        const { status, body } = await send("DELETE", "/hospitals/not-an-id", { token });
+
+        assert.deepEqual([status, body.message], [404, "Hospital not found"]);
+        assert.equal(count.mock.callCount(), 0);
+    });
+
+    it("PUT /ambulances/:id answers 404", async (t) => {
+        const inService = t.mock.method(MaintenanceRecord, "exists", castFails);
+        const token = signIn(t, "admin");
+        const send = await serve(t, "/ambulances", ambulanceRoutes);
+
+        const { status, body } = await send("PUT", "/ambulances/not-an-id", { token, body: { status: "available" } });
+
+        assert.deepEqual([status, body.message], [404, "Ambulance not found"]);
+        assert.equal(inService.mock.callCount(), 0);
+    });
+});
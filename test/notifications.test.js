@@ -0,0 +1,91 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { id, query } = require("./helpers/models");
+const Incident = require("../models/Incident");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const smsConfig = require("../config/sms");
+const { registerSmsTransport } = require("../utils/sms");
+const { notifyIncidentEvent } = require("../utils/notifications");
+
+const CALLER = "+254700000001";
+
+// Texts sent through a test SMS transport, and the delivery log
+const stubDelivery = (t) => {
+    const texts = [];
+    registerSmsTransport("test", async (message) => {
+        texts.push(message);
+    });
+    const { transport } = smsConfig;
+    smsConfig.transport = "test";
+    t.after(() => {
+        smsConfig.transport = transport;
+    });
+    const logged = t.mock.method(Notification, "create", async (entry) => entry);
+    return { texts, logged };
+};
+
+describe("utils/notifications", () => {
+    let dispatcher;
+    let incident;
+    beforeEach(() => {
+        dispatcher = { _id: id(), name: "Dispatcher", phone_number_1: "+254711111111", notification_channels: ["sms"] };
+        incident = {
+            _id: id(),
+            user: null,
+            phone: CALLER,
+            reference: "12345678",
+            incident_type: "fall",
+            priority: 3,
+            status: "cancelled",
+            status_history: [{ from: "pending", to: "acknowledged", changed_by: dispatcher._id }],
+            ambulance: null,
+            location: { type: "Point", coordinates: [36.8172, -1.2864] }
+        };
+    });
+
+    it("texts a reporter without an account when a dispatcher cancels their incident", async (t) => {
+        t.mock.method(Incident, "findById", () => query(incident));
+        t.mock.method(User, "findById", () => query(dispatcher));
+        const { texts, logged } = stubDelivery(t);
+
+        await notifyIncidentEvent("cancelled", { incidentId: incident._id, changed_by: dispatcher._id });
+
+        // The dispatcher cancelled it, so only the reporter hears about it
+        assert.deepEqual(texts.map(({ to, text }) => [to, text]), [[CALLER, "Ref 12345678: your fall report is cancelled."]]);
+        const [entry] = logged.mock.calls.map((call) => call.arguments[0]);
+        assert.deepEqual([entry.user, entry.phone, entry.channel, entry.event, entry.audience, entry.status],
+            [null, CALLER, "sms", "incident.status:cancelled", "reporter", "sent"]);
+    });
+
+    it("doesn't text a caller about the cancellation they sent by SMS", async (t) => {
+        t.mock.method(Incident, "findById", () => query(incident));
+        t.mock.method(User, "findById", () => query(dispatcher));
+        const { texts } = stubDelivery(t);
+
+        await notifyIncidentEvent("cancelled", { incidentId: incident._id, changed_by: null, caller: CALLER });
+
+        assert.deepEqual(texts.map(({ to }) => to), [dispatcher.phone_number_1]);
+    });
+
+    it("logs deliveries that fail", async (t) => {
+        t.mock.method(Incident, "findById", () => query({ ...incident, status: "en-route" }));
+        const { logged } = stubDelivery(t);
+        registerSmsTransport("test", async () => {
+            throw new Error("gateway down");
+        });
+
+        await notifyIncidentEvent("en-route", { incidentId: incident._id, changed_by: id() });
+
+        const [entry] = logged.mock.calls.map((call) => call.arguments[0]);
+        assert.deepEqual([entry.status, entry.error], ["failed", "gateway down"]);
+    });
+
+    it("does nothing for events nobody is configured to hear about", async (t) => {
+        const find = t.mock.method(Incident, "findById", () => query(incident));
+
+        await notifyIncidentEvent("transporting", { incidentId: incident._id });
+
+        assert.equal(find.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { serve } = require("./helpers/http");
+const AuthToken = require("../models/AuthToken");
+const userRoutes = require("../routes/userRoutes");
+
+describe("POST /users/reset-password", () => {
+    it("rejects a token or password that isn't a string before using it", async (t) => {
+        const consume = t.mock.method(AuthToken, "findOneAndUpdate", async () => null);
+        const send = await serve(t, "/users", userRoutes);
+
+        for (const body of [
+            { token: "abc", password: { $gt: "" } },
+            { token: "abc", password: ["long-enough-password"] },
+            { token: { $ne: null }, password: "long-enough-password" }
+        ]) {
+            const { status, body: reply } = await send("POST", "/users/reset-password", { body });
+            assert.equal(status, 400);
+            assert.equal(reply.message, "Token and password must be strings");
+        }
+        assert.equal(consume.mock.callCount(), 0);
+    });
+
+    it("still checks the password's length", async (t) => {
+        const send = await serve(t, "/users", userRoutes);
+
+        const { status, body } = await send("POST", "/users/reset-password", { body: { token: "abc", password: "short" } });
+
+        assert.equal(status, 400);
+        assert.equal(body.message, "Password must be at least 8 characters");
+    });
+});
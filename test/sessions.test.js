@@ -0,0 +1,102 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { id, query, stubSave } = require("./helpers/models");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const authConfig = require("../config/auth");
+const { createSession, rotateSession, revokeAllSessions } = require("../utils/sessions");
+
+const REQ = { ip: "127.0.0.1", get: () => "node-test" };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hash = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const user = () => ({ _id: id(), role: "dispatcher", token_version: 3 });
+
+// A stored session whose current refresh secret is `secret`
+const storedSession = (owner, secret, fields) => Session.hydrate({
+    _id: id(),
+    user: owner._id,
+    refresh_token_hash: hash(secret),
+    expires_at: new Date(Date.now() + DAY_MS),
+    revoked_at: null,
+    ...fields
+});
+
+describe("utils/sessions", () => {
+    it("starts a session that stores only a hash of the refresh secret", async (t) => {
+        const owner = user();
+        const create = t.mock.method(Session, "create", async (fields) => ({ _id: id(), ...fields }));
+
+        const { accessToken, refreshToken } = await createSession(owner, REQ);
+
+        const stored = create.mock.calls[0].arguments[0];
+        const [sessionId, secret] = refreshToken.split(".");
+        assert.equal(stored.refresh_token_hash, hash(secret));
+        assert.ok(!JSON.stringify(stored).includes(secret));
+        assert.deepEqual([stored.ip, stored.user_agent], ["127.0.0.1", "node-test"]);
+        const claims = jwt.verify(accessToken, authConfig.jwtSecret);
+        assert.deepEqual([claims.userId, claims.sid, claims.tv], [String(owner._id), sessionId, 3]);
+    });
+
+    describe("rotateSession", () => {
+        it("swaps the refresh secret for a new one", async (t) => {
+            const owner = user();
+            const session = storedSession(owner, "first");
+            t.mock.method(Session, "findById", () => query(session));
+            t.mock.method(User, "findById", () => query(owner));
+            const save = stubSave(t, Session);
+
+            const { refreshToken } = await rotateSession(`${session._id}.first`, REQ);
+
+            const [sessionId, secret] = refreshToken.split(".");
+            assert.equal(sessionId, String(session._id));
+            assert.notEqual(secret, "first");
+            assert.equal(session.refresh_token_hash, hash(secret));
+            assert.equal(save.mock.callCount(), 1);
+        });
+
+        it("revokes the whole session when an old refresh token comes back", async (t) => {
+            const owner = user();
+            const session = storedSession(owner, "second");
+            t.mock.method(Session, "findById", () => query(session));
+            const findUser = t.mock.method(User, "findById", () => query(owner));
+            stubSave(t, Session);
+
+            assert.equal(await rotateSession(`${session._id}.first`, REQ), null);
+            assert.ok(session.revoked_at instanceof Date);
+            assert.equal(session.revoked_reason, "refresh token reuse");
+            assert.equal(findUser.mock.callCount(), 0);
+        });
+
+        it("refuses malformed, revoked and expired refresh tokens", async (t) => {
+            const owner = user();
+            const find = t.mock.method(Session, "findById", () => query(null));
+
+            assert.equal(await rotateSession("not-a-token", REQ), null);
+            assert.equal(await rotateSession("not-an-id.secret", REQ), null);
+            assert.equal(find.mock.callCount(), 0);
+
+            for (const fields of [{ revoked_at: new Date() }, { expires_at: new Date(Date.now() - 1) }]) {
+                const session = storedSession(owner, "secret", fields);
+                find.mock.mockImplementation(() => query(session));
+                assert.equal(await rotateSession(`${session._id}.secret`, REQ), null);
+            }
+        });
+    });
+
+    it("logs a user out everywhere by bumping their token version and revoking their sessions", async (t) => {
+        const owner = user();
+        const bump = t.mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+        const revoke = t.mock.method(Session, "updateMany", async () => ({ modifiedCount: 2 }));
+
+        await revokeAllSessions(owner._id, "password reset");
+
+        assert.deepEqual(bump.mock.calls[0].arguments, [{ _id: owner._id }, { $inc: { token_version: 1 } }]);
+        const [filter, update] = revoke.mock.calls[0].arguments;
+        assert.deepEqual(filter, { user: owner._id, revoked_at: null });
+        assert.equal(update.revoked_reason, "password reset");
+    });
+});
@@ -0,0 +1,149 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { id, query, stubSave, captureEvents } = require("./helpers/models");
+const Incident = require("../models/Incident");
+const { parseSms, handleSms, handleUssd } = require("../utils/smsReports");
+
+const CALLER = "+254700000001";
+
+// A report made by SMS, as Incident.findOne returns it
+const smsReport = (fields) => Incident.hydrate({
+    _id: id(),
+    phone: CALLER,
+    source: "sms",
+    reference: "12345678",
+    location: { type: "Point", coordinates: [36.8172, -1.2864] },
+    incident_type: "fall",
+    priority: 4,
+    status: "pending",
+    status_history: [],
+    reported_time: new Date(),
+    ...fields
+});
+
+describe("utils/smsReports", () => {
+    describe("parseSms", () => {
+        it("reads a report with coordinates, with or without AT", () => {
+            assert.deepEqual(parseSms("sos Road Accident at -1.2921, 36.8219"),
+                { command: "report", incident_type: "road accident", coordinates: [36.8219, -1.2921] });
+            assert.deepEqual(parseSms("SOS fall -1.2921,36.8219"),
+                { command: "report", incident_type: "fall", coordinates: [36.8219, -1.2921] });
+        });
+
+        it("reads a report from a named area, matching its start", () => {
+            assert.deepEqual(parseSms("SOS burns AT west"), { command: "report", incident_type: "burns", coordinates: [36.8108, -1.2676] });
+            assert.deepEqual(parseSms("SOS at Kibera"), { command: "report", incident_type: "emergency", coordinates: [36.7876, -1.3133] });
+        });
+
+        it("asks for a place it can find", () => {
+            assert.match(parseSms("SOS fall").error, /^Please tell us where you are/);
+            assert.match(parseSms("SOS fall at Atlantis").error, /^We could not find that place/);
+        });
+
+        it("reads STATUS and CANCEL and answers anything else with help", () => {
+            assert.deepEqual(parseSms("status"), { command: "status", reference: null });
+            assert.deepEqual(parseSms("Status 12345678"), { command: "status", reference: "12345678" });
+            assert.deepEqual(parseSms("cancel  12345678"), { command: "cancel", reference: "12345678" });
+            assert.equal(parseSms("CANCEL").error, "Send CANCEL followed by your reference number.");
+            assert.deepEqual(parseSms("hello"), { command: "help" });
+        });
+    });
+
+    describe("handleSms", () => {
+        it("cancels the sender's pending report", async (t) => {
+            const report = smsReport({});
+            const find = t.mock.method(Incident, "findOne", () => query(report));
+            const save = stubSave(t, Incident);
+            const events = captureEvents(t);
+
+            const reply = await handleSms({ from: CALLER, text: "CANCEL 12345678" });
+
+            assert.equal(reply, "Ref 12345678: cancelled.");
+            assert.deepEqual(find.mock.calls[0].arguments[0], { phone: CALLER, reference: "12345678" });
+            assert.equal(save.mock.callCount(), 1);
+            assert.equal(report.status, "cancelled");
+            assert.deepEqual(report.status_history.map(({ from, to, note }) => ({ from, to, note })),
+                [{ from: "pending", to: "cancelled", note: "Cancelled by the caller by SMS" }]);
+            assert.deepEqual(events.map(({ type, data }) => [type, data.from, data.to]), [["incident.status", "pending", "cancelled"]]);
+        });
+
+        it("won't cancel once an ambulance is on its way", async (t) => {
+            t.mock.method(Incident, "findOne", () => query(smsReport({ status: "en-route" })));
+            const save = stubSave(t, Incident);
+
+            const reply = await handleSms({ from: CALLER, text: "CANCEL 12345678" });
+
+            assert.match(reply, /It can no longer be cancelled by text/);
+            assert.equal(save.mock.callCount(), 0);
+        });
+
+        it("only finds reports made from the sender's number", async (t) => {
+            t.mock.method(Incident, "findOne", () => query(null));
+
+            assert.equal(await handleSms({ from: "+254799999999", text: "CANCEL 12345678" }),
+                "We have no report with that reference from this number.");
+        });
+
+        it("gives the report's status and place in the queue", async (t) => {
+            const report = smsReport({ status: "acknowledged" });
+            t.mock.method(Incident, "findOne", () => query(report));
+            t.mock.method(Incident, "find", () => query([{ ...report.toObject(), priority: 1 }]));
+
+            assert.equal(await handleSms({ from: CALLER, text: "STATUS" }),
+                "Ref 12345678: being handled by a dispatcher. You are number 1 waiting for an ambulance.");
+        });
+
+        it("creates an anonymous incident with a reference and the type's triage default", async (t) => {
+            t.mock.method(Incident, "findOne", () => query(null)); // No recent report from this number
+            t.mock.method(Incident, "find", () => query([])); // No likely duplicates
+            const save = stubSave(t, Incident);
+            const events = captureEvents(t);
+
+            const reply = await handleSms({ from: CALLER, text: "SOS fall at Westlands" });
+
+            const incident = save.mock.calls[0].this;
+            assert.equal(reply, `Help is being arranged. Ref ${incident.reference}. Stay on this number; we will text you updates.`);
+            assert.match(incident.reference, /^\d{8}$/);
+            assert.equal(incident.phone, CALLER);
+            assert.equal(incident.user, null);
+            assert.equal(incident.source, "sms");
+            assert.equal(incident.priority, 4);
+            assert.deepEqual(events.map((event) => [event.type, event.data.source]), [["incident.created", "sms"]]);
+        });
+
+        it("answers repeated reports with the open one instead of a new incident", async (t) => {
+            t.mock.method(Incident, "findOne", () => query(smsReport({})));
+            const save = stubSave(t, Incident);
+
+            assert.equal(await handleSms({ from: CALLER, text: "SOS fall at Westlands" }),
+                "We already have your report. Ref 12345678: received, waiting for a dispatcher. We will text you updates.");
+            assert.equal(save.mock.callCount(), 0);
+        });
+    });
+
+    describe("handleUssd", () => {
+        it("walks the menus and asks the type's required triage questions", async () => {
+            assert.match(await handleUssd({ phoneNumber: CALLER, text: "" }), /^CON Emergency ambulance\n1\. Report an emergency/);
+            assert.match(await handleUssd({ phoneNumber: CALLER, text: "1" }), /^CON What happened\?/);
+            assert.match(await handleUssd({ phoneNumber: CALLER, text: "1*9" }), /^CON Where are you\?\n1\. Nairobi CBD/);
+            assert.equal(await handleUssd({ phoneNumber: CALLER, text: "1*9*2" }), "CON Is the patient conscious?\n1. Yes\n2. No");
+            assert.equal(await handleUssd({ phoneNumber: CALLER, text: "1*9*99" }), "END Invalid choice. Please dial again.");
+        });
+
+        it("derives the priority from the answers", async (t) => {
+            t.mock.method(Incident, "findOne", () => query(null));
+            t.mock.method(Incident, "find", () => query([]));
+            const save = stubSave(t, Incident);
+
+            // Breathing difficulty, Westlands, conscious, not breathing normally, can't speak in full sentences
+            const reply = await handleUssd({ phoneNumber: CALLER, text: "1*8*2*1*2*2" });
+
+            const incident = save.mock.calls[0].this;
+            assert.match(reply, /^END Help is being arranged\. Ref \d{8}\./);
+            assert.equal(incident.source, "ussd");
+            assert.equal(incident.incident_type, "difficulty breathing");
+            assert.equal(incident.priority, 1);
+            assert.deepEqual(incident.triage.matched_rules, ["not-breathing", "cannot-speak"]);
+        });
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getTriageProtocol, validateAnswers, derivePriority, assessTriage } = require("../utils/triage");
+
+describe("utils/triage", () => {
+    it("asks the common questions plus the incident type's own", () => {
+        const protocol = getTriageProtocol("Road Accident");
+        assert.deepEqual(protocol.questions.map((q) => q.id), ["conscious", "breathing", "bleeding", "trapped", "casualties"]);
+        assert.equal(protocol.default_priority, 2);
+    });
+
+    it("falls back to the default profile for unknown types", () => {
+        const protocol = getTriageProtocol("something else");
+        assert.deepEqual(protocol.questions.slice(0, 2).map((q) => q.id), ["conscious", "breathing"]);
+    });
+
+    it("coerces answers to their question's type", () => {
+        const protocol = getTriageProtocol("road accident");
+        const { answers } = validateAnswers(protocol, { conscious: "Yes", breathing: "0", bleeding: " Minor ", casualties: "2" });
+        assert.deepEqual(answers, { conscious: true, breathing: false, bleeding: "minor", casualties: 2 });
+    });
+
+    it("rejects missing, unknown and malformed answers", () => {
+        const protocol = getTriageProtocol("road accident");
+        assert.equal(validateAnswers(protocol, { conscious: true }).error, "Missing triage answers: breathing, bleeding");
+        assert.match(validateAnswers(protocol, { conscious: true, breathing: true, bleeding: "none", pulse: 1 }).error, /Unknown triage questions: pulse/);
+        assert.equal(validateAnswers(protocol, { conscious: "maybe", breathing: true, bleeding: "none" }).error, "conscious must be yes or no");
+        assert.match(validateAnswers(protocol, { conscious: true, breathing: true, bleeding: "lots" }).error, /bleeding must be one of/);
+        assert.match(validateAnswers(protocol, { conscious: true, breathing: true, bleeding: "none", casualties: -1 }).error, /at least 0/);
+        assert.match(validateAnswers(protocol, []).error, /must be an object/);
+    });
+
+    it("takes the most urgent matching rule", () => {
+        const protocol = getTriageProtocol("road accident");
+        const result = derivePriority(protocol, { conscious: true, breathing: true, bleeding: "minor", casualties: 4 });
+        assert.deepEqual(result, { priority: 1, matched_rules: ["multiple-casualties"] });
+    });
+
+    it("uses the type's default priority when no rule matches", () => {
+        const protocol = getTriageProtocol("fall");
+        assert.deepEqual(derivePriority(protocol, { conscious: true, breathing: true, bleeding: "none", can_move: true }),
+            { priority: 4, matched_rules: [] });
+    });
+
+    it("matches a list of values and ignores questions left unanswered", () => {
+        const protocol = getTriageProtocol("stroke");
+        assert.equal(derivePriority(protocol, { conscious: true, breathing: true, fast_signs: true, onset: "unknown" }).priority, 1);
+        assert.deepEqual(derivePriority(protocol, { conscious: true, breathing: true, fast_signs: true }),
+            { priority: 2, matched_rules: ["stroke-signs"] });
+    });
+
+    it("assesses a report into what the incident stores", () => {
+        assert.deepEqual(assessTriage("burns", { conscious: true, breathing: true, burn_area: "large", face_or_airway: "no" }), {
+            triage: { answers: { conscious: true, breathing: true, burn_area: "large", face_or_airway: false }, derived_priority: 2, matched_rules: ["large-burn"] }
+        });
+        assert.deepEqual(assessTriage("burns", { conscious: true }), { error: "Missing triage answers: breathing, burn_area, face_or_airway" });
+    });
+});
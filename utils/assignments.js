@@ -0,0 +1,161 @@
+const Incident = require("../models/Incident");
+const Ambulance = require("../models/Ambulance");
+const dispatchConfig = require("../config/dispatch");
+const { findNearestAvailableAmbulances, claimAmbulance, releaseAmbulance } = require("./dispatch");
+const { requiredCapabilities } = require("./equipment");
+const { publish } = require("./events");
+
+// Crew acknowledgement of a dispatch. Dispatching offers the incident to the ambulance's crew; the
+// driver accepts or declines it. A decline, or no answer within acknowledgeTimeoutSeconds, frees the
+// ambulance and offers the incident to the next-best one that hasn't already turned it down. When none
+// is left the incident stays dispatched without an ambulance for the dispatcher to assign by hand.
+
+// Offer the incident to an already-claimed ambulance. The caller saves the incident.
+const offerAssignment = (incident, ambulanceId) => {
+    const now = new Date();
+    incident.ambulance = ambulanceId;
+    incident.assignment = {
+        ambulance: ambulanceId,
+        status: "offered",
+        offered_at: now,
+        expires_at: new Date(now.getTime() + dispatchConfig.acknowledgeTimeoutSeconds * 1000)
+    };
+};
+
+const publishAssignment = (incident, outcome, { ambulance, changed_by = null, reason, next_ambulance } = {}) => {
+    publish("incident.assignment", {
+        incidentId: incident._id,
+        outcome,
+        ambulance: ambulance ? ambulance._id : null,
+        license_plate: ambulance ? ambulance.license_plate : null,
+        changed_by,
+        reason,
+        next_ambulance: next_ambulance === undefined ? undefined : next_ambulance && next_ambulance._id,
+        next_license_plate: next_ambulance ? next_ambulance.license_plate : undefined,
+        expires_at: outcome === "offered" ? incident.assignment.expires_at : undefined,
+        priority: incident.priority
+    });
+};
+
+// Tell everyone the incident was offered to `ambulance` (after the caller has saved it)
+const announceOffer = (incident, ambulance, changedBy = null) => {
+    publishAssignment(incident, "offered", { ambulance, changed_by: changedBy });
+};
+
+// The first claimable ambulance nearest the incident (equipped ones first), skipping the ones that already turned it down
+const claimNextAmbulance = async (incident) => {
+    const tried = new Set(incident.assignment_history.map((entry) => String(entry.ambulance)));
+    const candidates = await findNearestAvailableAmbulances(incident.location.coordinates, {
+        limit: tried.size + 5,
+        capabilities: requiredCapabilities(incident)
+    });
+    for (const { ambulance } of candidates) {
+        if (tried.has(String(ambulance._id))) continue;
+        const claimed = await claimAmbulance(ambulance._id);
+        if (claimed) return claimed;
+    }
+    return null;
+};
+
+/**
+ * Close the open offer to `ambulanceId` as "declined" or "timed-out" and pass the incident on.
+ * Resolves to { incident, next } (next is the newly offered ambulance or null), or to null when the
+ * offer was already answered — so a decline racing the timeout is only handled once.
+ */
+const passToNextAmbulance = async (incidentId, ambulanceId, outcome, { by = null, reason } = {}) => {
+    const closed = { "assignment.status": outcome, "assignment.responded_by": by, "assignment.responded_at": new Date() };
+    if (reason) closed["assignment.reason"] = reason;
+    const incident = await Incident.findOneAndUpdate(
+        { _id: incidentId, status: "dispatched", "assignment.status": "offered", "assignment.ambulance": ambulanceId },
+        { $set: closed },
+        { new: true }
+    );
+    if (!incident) return null;
+
+    incident.assignment_history.push(incident.assignment.toObject());
+
+    // Only give the ambulance back if nothing else has changed its status meanwhile
+    const released = await releaseAmbulance(ambulanceId);
+    if (released) publish("ambulance.status", { ambulanceId, status: "available" });
+
+    const next = await claimNextAmbulance(incident);
+    if (next) {
+        offerAssignment(incident, next._id);
+    } else {
+        incident.ambulance = null;
+        incident.assignment = undefined;
+    }
+    try {
+        await incident.save();
+    } catch (error) {
+        if (next) await releaseAmbulance(next._id); // Don't leave the next ambulance claimed for nothing
+        throw error;
+    }
+
+    const previous = released || await Ambulance.findById(ambulanceId).select("license_plate").lean();
+    publishAssignment(incident, outcome, { ambulance: previous, changed_by: by, reason, next_ambulance: next });
+    if (next) {
+        publish("ambulance.status", { ambulanceId: next._id, status: next.status });
+        announceOffer(incident, next);
+    }
+    return { incident, next };
+};
+
+// Record that the crew accepted the open offer. Resolves to the incident, or null if it was no longer open.
+const acceptAssignment = async (incidentId, ambulanceId, userId) => {
+    const incident = await Incident.findOneAndUpdate(
+        { _id: incidentId, "assignment.status": "offered", "assignment.ambulance": ambulanceId },
+        { $set: { "assignment.status": "accepted", "assignment.responded_by": userId, "assignment.responded_at": new Date() } },
+        { new: true }
+    );
+    if (incident) {
+        const ambulance = await Ambulance.findById(ambulanceId).select("license_plate").lean();
+        publishAssignment(incident, "accepted", { ambulance, changed_by: userId });
+    }
+    return incident;
+};
+
+// Pass on every offer whose acknowledgement window has run out
+const sweepExpiredOffers = async () => {
+    const expired = await Incident.find({
+        status: "dispatched",
+        "assignment.status": "offered",
+        "assignment.expires_at": { $lte: new Date() }
+    }).select("assignment");
+
+    for (const incident of expired) {
+        try {
+            await passToNextAmbulance(incident._id, incident.assignment.ambulance, "timed-out", {
+                reason: `Not accepted within ${dispatchConfig.acknowledgeTimeoutSeconds} seconds`
+            });
+        } catch (error) {
+            console.error(`Reassigning incident ${incident._id} failed:`, error.message);
+        }
+    }
+};
+
+const startAssignmentTimeouts = () => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return; // A slow sweep shouldn't overlap the next one
+        running = true;
+        try {
+            await sweepExpiredOffers();
+        } catch (error) {
+            console.error("Assignment timeout sweep failed:", error.message);
+        } finally {
+            running = false;
+        }
+    }, dispatchConfig.acknowledgeCheckIntervalSeconds * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    offerAssignment,
+    announceOffer,
+    passToNextAmbulance,
+    acceptAssignment,
+    sweepExpiredOffers,
+    startAssignmentTimeouts
+};
@@ -0,0 +1,35 @@
+const crypto = require("crypto");
+const AuthToken = require("../models/AuthToken");
+const authConfig = require("../config/auth");
+
+const TOKEN_TTL_MS = {
+    "password-reset": authConfig.passwordResetTtlMinutes * 60 * 1000,
+    "email-verification": authConfig.emailVerificationTtlHours * 60 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Create a token for the user and purpose, replacing any unused ones. Returns the raw token to email.
+const issueToken = async (userId, purpose) => {
+    await AuthToken.deleteMany({ user: userId, purpose, used_at: null });
+
+    const token = crypto.randomBytes(32).toString("hex");
+    await AuthToken.create({
+        user: userId,
+        purpose,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+    });
+    return token;
+};
+
+// Mark a token used and return its user id, or null if it is unknown, expired or already used
+const consumeToken = async (token, purpose) => {
+    const record = await AuthToken.findOneAndUpdate(
+        { token_hash: hashToken(token), purpose, used_at: null, expires_at: { $gt: new Date() } },
+        { used_at: new Date() }
+    );
+    return record ? record.user : null;
+};
+
+module.exports = { issueToken, consumeToken };
@@ -0,0 +1,93 @@
+// Bin [lng, lat] points into square or hexagonal cells of a given size in metres.
+// Points are projected onto a local equirectangular plane centred on `originLat`, which keeps cells
+// close to their nominal size across a city or region.
+
+const METRES_PER_DEGREE_LAT = 110574;
+const METRES_PER_DEGREE_LNG_AT_EQUATOR = 111320;
+const SQRT3 = Math.sqrt(3);
+
+const createProjection = (originLat) => {
+    const lngScale = METRES_PER_DEGREE_LNG_AT_EQUATOR * Math.cos((originLat * Math.PI) / 180);
+    return {
+        toPlane: ([lng, lat]) => [lng * lngScale, lat * METRES_PER_DEGREE_LAT],
+        toLngLat: ([x, y]) => [x / lngScale, y / METRES_PER_DEGREE_LAT]
+    };
+};
+
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+const squareGrid = (size) => ({
+    cellOf: ([x, y]) => [Math.floor(x / size), Math.floor(y / size)],
+    ringOf: ([i, j]) => [
+        [i * size, j * size],
+        [(i + 1) * size, j * size],
+        [(i + 1) * size, (j + 1) * size],
+        [i * size, (j + 1) * size],
+        [i * size, j * size]
+    ],
+    centreOf: ([i, j]) => [(i + 0.5) * size, (j + 0.5) * size]
+});
+
+// Pointy-top hexagons in axial coordinates; `size` is the distance between neighbouring centres
+const hexGrid = (size) => {
+    const radius = size / SQRT3;
+    const centreOf = ([q, r]) => [radius * SQRT3 * (q + r / 2), radius * 1.5 * r];
+    return {
+        cellOf: ([x, y]) => {
+            const q = ((SQRT3 / 3) * x - y / 3) / radius;
+            const r = ((2 / 3) * y) / radius;
+            // Cube rounding to the nearest hexagon
+            let rx = Math.round(q);
+            let rz = Math.round(r);
+            const ry = Math.round(-q - r);
+            const dx = Math.abs(rx - q);
+            const dy = Math.abs(ry - (-q - r));
+            const dz = Math.abs(rz - r);
+            if (dx > dy && dx > dz) rx = -ry - rz;
+            else if (dy <= dz) rz = -rx - ry;
+            return [rx, rz];
+        },
+        ringOf: (cell) => {
+            const [cx, cy] = centreOf(cell);
+            const ring = [];
+            for (let k = 0; k <= 6; k++) {
+                const angle = (Math.PI / 180) * (60 * (k % 6) - 30);
+                ring.push([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+            }
+            return ring;
+        },
+        centreOf
+    };
+};
+
+const GRIDS = { square: squareGrid, hex: hexGrid };
+
+/**
+ * Create a binner. add(coordinates, item) folds the item into its cell's value with
+ * reduce(value, item), starting from initial(); cells() returns [{ key, centre, ring, value }]
+ * with centre and ring in [lng, lat].
+ */
+const createBinner = ({ shape, size, originLat, reduce, initial }) => {
+    const grid = GRIDS[shape](size);
+    const projection = createProjection(originLat);
+    const cells = new Map();
+
+    return {
+        add: (coordinates, item) => {
+            const cell = grid.cellOf(projection.toPlane(coordinates));
+            const key = cell.join(":");
+            const entry = cells.get(key) || { cell, value: initial() };
+            entry.value = reduce(entry.value, item);
+            cells.set(key, entry);
+        },
+        cells: () =>
+            [...cells.entries()].map(([key, { cell, value }]) => ({
+                key,
+                centre: projection.toLngLat(grid.centreOf(cell)).map(round6),
+                ring: grid.ringOf(cell).map((point) => projection.toLngLat(point).map(round6)),
+                value
+            }))
+    };
+};
+
+module.exports = { SHAPES: Object.keys(GRIDS), createBinner };
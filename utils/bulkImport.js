@@ -0,0 +1,166 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Ambulance = require("../models/Ambulance");
+const Hospital = require("../models/Hospital");
+const { parseCsv } = require("./csv");
+const { buildUser, buildAmbulance, buildDriver, buildMedic } = require("./recordBuilders");
+const { revokeAllSessions } = require("./sessions");
+const { countAssignedCrew } = require("./crew");
+const { composition } = require("../config/crew");
+
+const MAX_IMPORT_ROWS = 500;
+
+// Look up a referenced document by a human-readable column, e.g. the user's email instead of their ID.
+// Returns { id } (undefined when neither column is filled) or { error }.
+const resolveReference = async (row, idColumn, lookupColumn, Model, field, label) => {
+    if (row[idColumn]) return { id: row[idColumn] };
+    if (!row[lookupColumn]) return {};
+    const doc = await Model.findOne({ [field]: row[lookupColumn] }).select("_id").lean();
+    return doc ? { id: doc._id } : { error: `No ${label} with ${field} "${row[lookupColumn]}"` };
+};
+
+/**
+ * How each entity is imported:
+ *   columns  the header names it reads (others are rejected)
+ *   unique   row values that must not repeat within one file; the database is checked by the builder.
+ *            Rows that resolve to the same user (by ID or email) are always rejected as duplicates.
+ *   build    turns a row into the single-create route's input and runs its builder
+ *   crewRole for crew, the role whose per-ambulance maximum (config/crew.js) also counts earlier rows
+ *   after    side effects once everything is committed
+ */
+const IMPORTERS = {
+    users: {
+        columns: ["name", "role", "email", "password", "phone_number_1", "phone_number_2"],
+        unique: ["email", "phone_number_1", "phone_number_2"],
+        build: (row) => buildUser(row)
+    },
+    ambulances: {
+        columns: ["license_plate", "status", "latitude", "longitude", "home_hospital", "home_hospital_name"],
+        unique: ["license_plate"],
+        build: async (row) => {
+            const hospital = await resolveReference(row, "home_hospital", "home_hospital_name", Hospital, "name", "hospital");
+            if (hospital.error) return { error: hospital.error };
+            const hasPosition = row.latitude !== undefined && row.longitude !== undefined;
+            return buildAmbulance({
+                license_plate: row.license_plate,
+                status: row.status,
+                home_hospital: hospital.id,
+                coordinates: hasPosition ? [row.latitude, row.longitude] : undefined
+            });
+        }
+    },
+    drivers: {
+        columns: ["user_id", "user_email", "license_number", "assigned_ambulance", "assigned_ambulance_plate"],
+        unique: [],
+        build: async (row) => {
+            const user = await resolveReference(row, "user_id", "user_email", User, "email", "user");
+            if (user.error) return { error: user.error };
+            const ambulance = await resolveReference(row, "assigned_ambulance", "assigned_ambulance_plate", Ambulance, "license_plate", "ambulance");
+            if (ambulance.error) return { error: ambulance.error };
+            return buildDriver({ user_id: user.id, license_number: row.license_number, assigned_ambulance: ambulance.id });
+        },
+        crewRole: "driver",
+        after: ({ user }) => revokeAllSessions(user._id, "role changed")
+    },
+    medics: {
+        columns: ["user_id", "user_email", "specialty", "assigned_ambulance", "assigned_ambulance_plate"],
+        unique: [],
+        build: async (row) => {
+            const user = await resolveReference(row, "user_id", "user_email", User, "email", "user");
+            if (user.error) return { error: user.error };
+            const ambulance = await resolveReference(row, "assigned_ambulance", "assigned_ambulance_plate", Ambulance, "license_plate", "ambulance");
+            if (ambulance.error) return { error: ambulance.error };
+            return buildMedic({ user_id: user.id, specialty: row.specialty, assigned_ambulance: ambulance.id });
+        },
+        crewRole: "medic",
+        after: ({ user }) => revokeAllSessions(user._id, "role changed")
+    }
+};
+
+// Turn CSV text into objects keyed by the (lower-cased) header. Empty cells are left out.
+// Returns { error } or { records: [{ row, values }] }, where `row` is the spreadsheet row number.
+const readRecords = (text, columns) => {
+    const { error, rows } = parseCsv(text);
+    if (error) return { error };
+    if (rows.length < 2) return { error: "The file needs a header row and at least one data row" };
+    if (rows.length - 1 > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` };
+
+    const header = rows[0].map((name) => name.trim().toLowerCase());
+    const unknown = header.filter((name) => !columns.includes(name));
+    if (unknown.length) return { error: `Unknown columns: ${unknown.join(", ")}. Expected: ${columns.join(", ")}` };
+
+    const records = rows.slice(1).map((cells, index) => {
+        const values = {};
+        header.forEach((name, i) => {
+            const value = cells[i] === undefined ? "" : cells[i].trim();
+            if (value !== "") values[name] = value;
+        });
+        return { row: index + 2, values };
+    });
+    return { records };
+};
+
+/**
+ * Validate every row of an import with the single-create rules and, unless it's a dry run or any
+ * row failed, create them all in one transaction.
+ * Returns { error } for an unreadable file, otherwise { total, errors, created } — `created` is
+ * empty for dry runs and failed imports.
+ */
+const runImport = async (entity, text, { dryRun = false } = {}) => {
+    const importer = IMPORTERS[entity];
+    const { error, records } = readRecords(text, importer.columns);
+    if (error) return { error };
+
+    const errors = [];
+    const prepared = [];
+    const seen = Object.fromEntries(importer.unique.map((column) => [column, new Map()]));
+    const seenUsers = new Map();
+    const crewInFile = new Map(); // Ambulance ID -> rows assigning crew to it
+
+    for (const { row, values } of records) {
+        const repeated = importer.unique.find((column) => values[column] !== undefined && seen[column].has(values[column]));
+        if (repeated) {
+            errors.push({ row, message: `Duplicate ${repeated} "${values[repeated]}" (also in row ${seen[repeated].get(values[repeated])})` });
+            continue;
+        }
+        for (const column of importer.unique) {
+            if (values[column] !== undefined) seen[column].set(values[column], row);
+        }
+
+        const result = await importer.build(values);
+        const ambulanceId = importer.crewRole && result.doc && result.doc.assigned_ambulance ? String(result.doc.assigned_ambulance) : null;
+        const crewRows = ambulanceId ? crewInFile.get(ambulanceId) || [] : [];
+        const { max } = importer.crewRole ? composition[importer.crewRole] : {};
+
+        if (result.error) {
+            errors.push({ row, message: result.error });
+        } else if (result.user && seenUsers.has(String(result.user._id))) {
+            errors.push({ row, message: `Duplicate user (also in row ${seenUsers.get(String(result.user._id))})` });
+        } else if (crewRows.length && max !== undefined &&
+            (await countAssignedCrew(importer.crewRole, ambulanceId)) + crewRows.length >= max) {
+            errors.push({ row, message: `Too many ${importer.crewRole}s for one ambulance (also in rows ${crewRows.join(", ")})` });
+        } else {
+            if (result.user) seenUsers.set(String(result.user._id), row);
+            if (ambulanceId) crewInFile.set(ambulanceId, [...crewRows, row]);
+            prepared.push(result);
+        }
+    }
+
+    if (dryRun || errors.length) return { total: records.length, errors, created: [] };
+
+    // All or nothing: a failure on any row rolls back the whole file
+    await mongoose.connection.transaction(async (session) => {
+        for (const { doc, user } of prepared) {
+            if (user) await user.save({ session });
+            await doc.save({ session });
+        }
+    });
+
+    if (importer.after) {
+        for (const result of prepared) await importer.after(result);
+    }
+
+    return { total: records.length, errors, created: prepared.map(({ doc }) => doc._id) };
+};
+
+module.exports = { MAX_IMPORT_ROWS, IMPORTERS, runImport };
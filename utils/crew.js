@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+const Ambulance = require("../models/Ambulance");
+const Driver = require("../models/Driver");
+const Medic = require("../models/Medic");
+const Shift = require("../models/Shift");
+const { composition } = require("../config/crew");
+const { onShift } = require("./roster");
+
+// Crew assigned to ambulances (Driver/Medic.assigned_ambulance, as opposed to who is on shift in
+// utils/roster.js): composition rules from config/crew.js and keeping references valid when an
+// ambulance or crew member is removed.
+
+const CREW_PROFILES = {
+    driver: { Model: Driver, userField: "user_id" },
+    medic: { Model: Medic, userField: "user" }
+};
+
+// Shifts that haven't started yet; they are cancelled when the crew member or ambulance goes away
+const UPCOMING_SHIFT_STATUSES = ["planned", "published"];
+
+const countAssignedCrew = (role, ambulanceId, { exclude } = {}) => {
+    const filter = { assigned_ambulance: ambulanceId };
+    if (exclude) filter._id = { $ne: exclude };
+    return CREW_PROFILES[role].Model.countDocuments(filter);
+};
+
+/**
+ * Check that one more `role` can be assigned to the ambulance. `exclude` is the profile being
+ * (re)assigned, so moving a crew member within their own ambulance isn't counted twice.
+ * Returns { error, status } or null.
+ */
+const checkCrewAssignment = async (role, ambulanceId, { exclude } = {}) => {
+    if (!mongoose.isValidObjectId(ambulanceId)) return { status: 404, error: "Ambulance not found" };
+    const ambulance = await Ambulance.findById(ambulanceId).select("license_plate");
+    if (!ambulance) return { status: 404, error: "Ambulance not found" };
+
+    const { max } = composition[role];
+    if (max !== undefined && (await countAssignedCrew(role, ambulance._id, { exclude })) >= max) {
+        return { status: 400, error: `Ambulance ${ambulance.license_plate} already has ${max} ${role}${max === 1 ? "" : "s"} assigned` };
+    }
+    return null;
+};
+
+// Assigned counts against the composition rules: { roles: { driver: { min, max, assigned } }, complete, problems }
+const crewComposition = (counts) => {
+    const roles = {};
+    const problems = [];
+    for (const [role, { min, max }] of Object.entries(composition)) {
+        const assigned = counts[role] || 0;
+        roles[role] = { min, max, assigned };
+        if (assigned < min) problems.push(`Needs at least ${min} ${role}${min === 1 ? "" : "s"} (has ${assigned})`);
+        if (max !== undefined && assigned > max) problems.push(`Allows at most ${max} ${role}${max === 1 ? "" : "s"} (has ${assigned})`);
+    }
+    return { roles, complete: problems.length === 0, problems };
+};
+
+// Is the user crew assigned to this ambulance? Other roles aren't restricted by it and always pass.
+const isAssignedCrew = async (user, ambulanceId) => {
+    if (!CREW_PROFILES[user.role]) return true;
+    if (!ambulanceId) return false;
+    const { Model, userField } = CREW_PROFILES[user.role];
+    return Boolean(await Model.exists({ [userField]: user.userId, assigned_ambulance: ambulanceId }));
+};
+
+// Drivers and medics assigned to an ambulance, with their user details
+const getAssignedCrew = async (ambulanceId) => {
+    const [drivers, medics] = await Promise.all([
+        Driver.find({ assigned_ambulance: ambulanceId }).populate("user_id", "name email phone_number_1").lean(),
+        Medic.find({ assigned_ambulance: ambulanceId }).populate("user", "name email phone_number_1").lean()
+    ]);
+    return { drivers, medics };
+};
+
+/**
+ * Unassign every crew member from an ambulance that is being removed and cancel its upcoming shifts.
+ * Refused while anyone is clocked in on it. Returns { error, status } or { unassigned, cancelled_shifts }.
+ */
+const releaseAmbulanceCrew = async (ambulanceId) => {
+    if (await Shift.exists(onShift({ ambulance: ambulanceId }))) {
+        return { status: 409, error: "Crew are clocked in on this ambulance; they must clock out first" };
+    }
+    const [drivers, medics, shifts] = await Promise.all([
+        Driver.updateMany({ assigned_ambulance: ambulanceId }, { assigned_ambulance: null }),
+        Medic.updateMany({ assigned_ambulance: ambulanceId }, { assigned_ambulance: null }),
+        Shift.updateMany({ ambulance: ambulanceId, status: { $in: UPCOMING_SHIFT_STATUSES } }, { status: "cancelled" })
+    ]);
+    return { unassigned: drivers.modifiedCount + medics.modifiedCount, cancelled_shifts: shifts.modifiedCount };
+};
+
+/**
+ * Remove a user's driver and medic profiles (when the user is deleted or stops being crew) and cancel
+ * their upcoming shifts. Refused while they are clocked in. Returns { error, status } or { removed }.
+ */
+const removeCrewProfiles = async (userId) => {
+    if (await Shift.exists(onShift({ crew_member: userId }))) {
+        return { status: 409, error: "User is clocked in on a shift; they must clock out first" };
+    }
+    let removed = 0;
+    for (const { Model, userField } of Object.values(CREW_PROFILES)) {
+        removed += (await Model.deleteMany({ [userField]: userId })).deletedCount;
+    }
+    await Shift.updateMany({ crew_member: userId, status: { $in: UPCOMING_SHIFT_STATUSES } }, { status: "cancelled" });
+    return { removed };
+};
+
+module.exports = {
+    countAssignedCrew,
+    checkCrewAssignment,
+    crewComposition,
+    isAssignedCrew,
+    getAssignedCrew,
+    releaseAmbulanceCrew,
+    removeCrewProfiles
+};
@@ -0,0 +1,62 @@
+// CSV reading and writing (RFC 4180) for imports and exports
+
+// Spreadsheet apps run cells starting with these as formulas; phone numbers like "+2547..." are left alone
+const FORMULA_PREFIX = /^(?:[=@\t\r]|[+-](?![\d\s]))/;
+
+const formatCell = (value) => {
+    if (value === null || value === undefined) return "";
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatRow = (values) => `${values.map(formatCell).join(",")}\r\n`;
+
+/**
+ * Parse CSV text into rows of strings. Handles quoted fields (with embedded commas, quotes and
+ * line breaks), CRLF or LF line endings and a leading byte-order mark. Blank lines are skipped.
+ * Returns { rows } or { error } for an unterminated quote.
+ */
+const parseCsv = (text) => {
+    const input = String(text).replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== "") rows.push(row);
+        row = [];
+        field = "";
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === "") {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) return { error: "Unterminated quoted field" };
+    if (field !== "" || row.length) endRow();
+    return { rows };
+};
+
+module.exports = { formatCell, formatRow, parseCsv };
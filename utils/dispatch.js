@@ -0,0 +1,67 @@
+const Ambulance = require("../models/Ambulance");
+const dispatchConfig = require("../config/dispatch");
+const { getCrewedAmbulanceIds, isCrewed } = require("./roster");
+const { capabilityMatch } = require("./equipment");
+const { getAmbulanceIdsInMaintenance, isInMaintenance } = require("./maintenance");
+
+const DEFAULT_RECOMMENDATION_LIMIT = 5;
+// Nearest ambulances considered when ranking by equipment, so a well-equipped one a little further
+// away can outrank the closest
+const CAPABILITY_SEARCH_POOL = 25;
+
+// Query matching ambulances that can take a call right now: available, not due for maintenance
+// and, when required, fully crewed
+const dispatchableQuery = async () => {
+    const query = { status: "available", _id: { $nin: await getAmbulanceIdsInMaintenance() } };
+    if (dispatchConfig.requireClockedInCrew) query._id.$in = await getCrewedAmbulanceIds();
+    return query;
+};
+
+// Rank dispatchable ambulances by straight-line distance to a [lng, lat] position. With `capabilities`
+// (config/equipment.js), ambulances equipped for all of them come first, or are the only ones returned
+// when `requireCapabilities` is set.
+// Uses $geoNear, which relies on the 2dsphere index on Ambulance.location.
+const findNearestAvailableAmbulances = async (coordinates, {
+    limit = DEFAULT_RECOMMENDATION_LIMIT,
+    maxDistance,
+    capabilities = [],
+    requireCapabilities = false
+} = {}) => {
+    const geoNear = {
+        near: { type: "Point", coordinates },
+        distanceField: "distance",
+        spherical: true,
+        query: await dispatchableQuery()
+    };
+    if (maxDistance) geoNear.maxDistance = maxDistance; // metres
+
+    const pool = capabilities.length ? Math.max(limit, CAPABILITY_SEARCH_POOL) : limit;
+    const ambulances = await Ambulance.aggregate([{ $geoNear: geoNear }, { $limit: pool }]);
+
+    let ranked = ambulances.map(({ distance, ...ambulance }) => ({
+        distance_m: Math.round(distance),
+        ...capabilityMatch(ambulance, capabilities),
+        ambulance
+    }));
+    if (requireCapabilities) ranked = ranked.filter((r) => r.capability_match);
+    // Stable sort: distance order is kept within the equipped and unequipped groups
+    ranked.sort((a, b) => Number(b.capability_match) - Number(a.capability_match));
+
+    return ranked.slice(0, limit).map((r, index) => ({ rank: index + 1, ...r }));
+};
+
+// Atomically move an ambulance from "available" to "on-duty" so two dispatchers can't claim it at once.
+// Resolves to null when the ambulance doesn't exist, is no longer available, is due for maintenance or
+// has no full crew on shift.
+const claimAmbulance = async (ambulanceId) => {
+    if (dispatchConfig.requireClockedInCrew && !(await isCrewed(ambulanceId))) return null;
+    if (await isInMaintenance(ambulanceId)) return null;
+    return Ambulance.findOneAndUpdate({ _id: ambulanceId, status: "available" }, { status: "on-duty" }, { new: true });
+};
+
+// Undo a claim: put an "on-duty" ambulance back to "available". Resolves to null when something else has
+// changed its status meanwhile, so a later status (e.g. out of service) isn't overwritten.
+const releaseAmbulance = (ambulanceId) =>
+    Ambulance.findOneAndUpdate({ _id: ambulanceId, status: "on-duty" }, { status: "available" }, { new: true });
+
+module.exports = { DEFAULT_RECOMMENDATION_LIMIT, findNearestAvailableAmbulances, claimAmbulance, releaseAmbulance };
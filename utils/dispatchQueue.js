@@ -0,0 +1,214 @@
+const Incident = require("../models/Incident");
+const dispatchConfig = require("../config/dispatch");
+const { findNearestAvailableAmbulances, claimAmbulance, releaseAmbulance } = require("./dispatch");
+const { offerAssignment, announceOffer } = require("./assignments");
+const { requiredCapabilities } = require("./equipment");
+const { dispatchEvents, publish } = require("./events");
+const { TERMINAL_STATUSES } = require("./incidentLifecycle");
+
+// The dispatch queue: incidents waiting for an ambulance (pending, acknowledged, or dispatched without
+// one after every crew declined), ordered by priority with aging. Dispatchers can send a call to the
+// front or hold it. When QUEUE_AUTO_DISPATCH is turned on, the head of the queue is offered to the
+// nearest free ambulance whenever one becomes available.
+
+const WAITING = {
+    $or: [
+        { status: { $in: ["pending", "acknowledged"] } },
+        { status: "dispatched", ambulance: null }
+    ]
+};
+
+const QUEUE_FIELDS = "incident_type priority status reported_time location queue_override assignment_history possible_duplicates user";
+
+// Queue order changes with every incident event and, through aging, with time; positions shown to
+// reporters and dispatchers may be this stale
+const QUEUE_CACHE_MS = 5000;
+
+// Priority after aging: one level more urgent per queueAgingMinutes waited, never past queueAgingFloor
+// (and never less urgent than the priority itself)
+const effectivePriority = (incident, now = new Date()) => {
+    const { queueAgingMinutes, queueAgingFloor } = dispatchConfig;
+    const waitedMinutes = (now - new Date(incident.reported_time)) / 60000;
+    const aged = incident.priority - Math.floor(waitedMinutes / queueAgingMinutes);
+    return Math.min(incident.priority, Math.max(queueAgingFloor, aged));
+};
+
+// "front" overrides first (earliest first), then effective priority, then whoever has waited longest
+const compareQueued = (a, b) => {
+    const frontA = a.queue_override && a.queue_override.action === "front";
+    const frontB = b.queue_override && b.queue_override.action === "front";
+    if (frontA !== frontB) return frontA ? -1 : 1;
+    if (frontA) return new Date(a.queue_override.changed_at) - new Date(b.queue_override.changed_at);
+    return a.effective_priority - b.effective_priority || new Date(a.reported_time) - new Date(b.reported_time);
+};
+
+const isHeld = (incident) => Boolean(incident.queue_override) && incident.queue_override.action === "hold";
+
+// Is the incident in the queue, i.e. waiting for an ambulance?
+const isQueued = (incident) => ["pending", "acknowledged"].includes(incident.status) ||
+    (incident.status === "dispatched" && !incident.ambulance);
+
+// Has the incident waited long enough for the queue to hand it to an ambulance without a dispatcher?
+// Sending it to the front makes it eligible at once; a held call never is.
+const autoDispatchable = (incident, now) => {
+    if (isHeld(incident)) return false;
+    if (incident.queue_override && incident.queue_override.action === "front") return true;
+    return now - new Date(incident.reported_time) >= dispatchConfig.queueAutoDispatchAfterSeconds * 1000;
+};
+
+// Flagged as a likely duplicate of an incident that is still open, so a dispatcher should merge it (or send
+// it to the front) before it gets its own ambulance
+const hasOpenDuplicates = async (incident) => {
+    if (incident.queue_override && incident.queue_override.action === "front") return false;
+    const flagged = (incident.possible_duplicates || []).map((duplicate) => duplicate.incident);
+    if (!flagged.length) return false;
+    return Boolean(await Incident.exists({ _id: { $in: flagged }, status: { $nin: TERMINAL_STATUSES } }));
+};
+
+// Waiting incidents in queue order, each with position (from 1), effective_priority and waited_minutes
+const loadQueue = async (now = new Date()) => {
+    const incidents = await Incident.find(WAITING).select(QUEUE_FIELDS).lean();
+    return incidents
+        .map((incident) => ({
+            ...incident,
+            effective_priority: effectivePriority(incident, now),
+            waited_minutes: Math.floor((now - new Date(incident.reported_time)) / 60000)
+        }))
+        .sort(compareQueued)
+        .map((incident, index) => ({ position: index + 1, ...incident }));
+};
+
+let cached = null; // { at, queue }
+
+// The queue as of at most QUEUE_CACHE_MS ago; any incident event makes the next call reload it
+const cachedQueue = async () => {
+    if (!cached || Date.now() - cached.at > QUEUE_CACHE_MS) {
+        const at = Date.now();
+        cached = { at, queue: await loadQueue(new Date(at)) };
+    }
+    return cached.queue;
+};
+
+dispatchEvents.on("event", ({ type }) => {
+    if (type.startsWith("incident.")) cached = null;
+});
+
+// { position, total, effective_priority } for a waiting incident, or null when it isn't in the queue
+const queuePosition = async (incidentId) => {
+    const queue = await cachedQueue();
+    const entry = queue.find((incident) => String(incident._id) === String(incidentId));
+    return entry ? { position: entry.position, total: queue.length, effective_priority: entry.effective_priority } : null;
+};
+
+/**
+ * Offer one queued incident to the nearest suitable free ambulance (equipped ones first, skipping crews
+ * that already declined it). Resolves to the ambulance offered, or null when none could be claimed or a
+ * dispatcher got to the incident first.
+ */
+const autoDispatch = async (entry) => {
+    const tried = new Set((entry.assignment_history || []).map((offer) => String(offer.ambulance)));
+    const candidates = await findNearestAvailableAmbulances(entry.location.coordinates, {
+        limit: tried.size + 5,
+        maxDistance: dispatchConfig.queueMaxDistanceMeters,
+        capabilities: requiredCapabilities(entry)
+    });
+
+    for (const { ambulance: candidate } of candidates) {
+        if (tried.has(String(candidate._id))) continue;
+        const ambulance = await claimAmbulance(candidate._id);
+        if (!ambulance) continue;
+
+        const offered = {};
+        offerAssignment(offered, ambulance._id);
+        const note = "Dispatched automatically from the queue";
+        const update = { $set: { ambulance: ambulance._id, assignment: offered.assignment } };
+        if (entry.status !== "dispatched") {
+            update.$set.status = "dispatched";
+            update.$push = { status_history: { from: entry.status, to: "dispatched", changed_by: null, note } };
+        }
+
+        // Only if nobody dispatched it meanwhile; otherwise give the ambulance back
+        const incident = await Incident.findOneAndUpdate({ _id: entry._id, status: entry.status, ambulance: null }, update, { new: true });
+        if (!incident) {
+            await releaseAmbulance(ambulance._id);
+            return null;
+        }
+
+        if (entry.status !== "dispatched") {
+            publish("incident.status", {
+                incidentId: incident._id,
+                from: entry.status,
+                to: "dispatched",
+                changed_by: null,
+                note,
+                priority: incident.priority,
+                ambulance: incident.ambulance
+            });
+        }
+        publish("ambulance.status", { ambulanceId: ambulance._id, status: ambulance.status });
+        announceOffer(incident, ambulance);
+        return ambulance;
+    }
+    return null;
+};
+
+/**
+ * Offer the head of the queue (held calls aside) to a free ambulance, then the new head, and so on. Stops
+ * at the first call that isn't eligible yet or that no ambulance could be found for, so a less urgent call
+ * never takes the ambulance a more urgent one is waiting on. Resolves to the number of calls dispatched.
+ */
+const sweepQueue = async (now = new Date()) => {
+    let dispatched = 0;
+    for (const entry of (await loadQueue(now)).filter((incident) => !isHeld(incident))) {
+        if (!autoDispatchable(entry, now) || (await hasOpenDuplicates(entry))) break;
+        if (!(await autoDispatch(entry))) break;
+        dispatched += 1;
+    }
+    return dispatched;
+};
+
+// Sweep on a timer, whenever an ambulance becomes available and when a call is sent to the front;
+// a request during a sweep runs one more
+const startDispatchQueue = () => {
+    if (!dispatchConfig.queueAutoDispatch) return null;
+
+    let running = false;
+    let again = false;
+    const run = async () => {
+        if (running) {
+            again = true;
+            return;
+        }
+        running = true;
+        try {
+            do {
+                again = false;
+                await sweepQueue();
+            } while (again);
+        } catch (error) {
+            console.error("Dispatch queue sweep failed:", error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    dispatchEvents.on("event", ({ type, data }) => {
+        if (type === "ambulance.status" && data.status === "available") run();
+        if (type === "incident.queue" && data.action === "front") run();
+    });
+    const timer = setInterval(run, dispatchConfig.queueCheckIntervalSeconds * 1000);
+    timer.unref();
+    return { run, timer };
+};
+
+module.exports = {
+    effectivePriority,
+    isQueued,
+    loadQueue,
+    cachedQueue,
+    queuePosition,
+    autoDispatchable,
+    hasOpenDuplicates,
+    sweepQueue,
+    startDispatchQueue
+};
@@ -0,0 +1,51 @@
+const Incident = require("../models/Incident");
+const dispatchConfig = require("../config/dispatch");
+const { INCIDENT_TYPES } = require("../config/incidentTypes");
+const { TERMINAL_STATUSES } = require("./incidentLifecycle");
+const { haversineDistance } = require("./geo");
+
+const normalizeType = (incidentType) => String(incidentType || "").trim().toLowerCase();
+
+// Same type, listed as compatible either way round, or a type we have no profile for (callers describe
+// the same event in their own words, so unknown types are never ruled out)
+const typesCompatible = (a, b) => {
+    const typeA = normalizeType(a);
+    const typeB = normalizeType(b);
+    if (typeA === typeB) return true;
+    if (!INCIDENT_TYPES[typeA] || !INCIDENT_TYPES[typeB]) return true;
+    return (INCIDENT_TYPES[typeA].compatible_with || []).includes(typeB) ||
+        (INCIDENT_TYPES[typeB].compatible_with || []).includes(typeA);
+};
+
+/**
+ * Open incidents that are probably the same event as `incident`: within duplicateRadiusMeters, reported
+ * within duplicateWindowMinutes of it and of a compatible type. Nearest first, as
+ * [{ incident, distance_m, minutes_apart }].
+ */
+const findLikelyDuplicates = async (incident) => {
+    const { duplicateRadiusMeters, duplicateWindowMinutes } = dispatchConfig;
+    const reported = new Date(incident.reported_time || Date.now());
+    const windowMs = duplicateWindowMinutes * 60 * 1000;
+
+    const candidates = await Incident.find({
+        _id: { $ne: incident._id },
+        status: { $nin: TERMINAL_STATUSES },
+        reported_time: { $gte: new Date(reported - windowMs), $lte: new Date(+reported + windowMs) },
+        location: {
+            $nearSphere: {
+                $geometry: { type: "Point", coordinates: incident.location.coordinates },
+                $maxDistance: duplicateRadiusMeters
+            }
+        }
+    }).select("location incident_type status priority reported_time phone");
+
+    return candidates
+        .filter((candidate) => typesCompatible(candidate.incident_type, incident.incident_type))
+        .map((candidate) => ({
+            incident: candidate,
+            distance_m: Math.round(haversineDistance(candidate.location.coordinates, incident.location.coordinates)),
+            minutes_apart: Math.round(Math.abs(reported - candidate.reported_time) / 60000)
+        }));
+};
+
+module.exports = { typesCompatible, findLikelyDuplicates };
@@ -0,0 +1,109 @@
+const equipmentConfig = require("../config/equipment");
+const { getIncidentTypeProfile } = require("../config/incidentTypes");
+
+const { ITEMS, CAPABILITIES } = equipmentConfig;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isExpired = (batch, now) => Boolean(batch.expires_at) && new Date(batch.expires_at) <= now;
+
+// Units of an item that are in stock and not past their expiry date
+const usableQuantity = (inventory, item, now = new Date()) => (inventory || [])
+    .filter((batch) => batch.item === item && !isExpired(batch, now))
+    .reduce((total, batch) => total + batch.quantity, 0);
+
+// Capabilities the ambulance's current inventory gives it
+const ambulanceCapabilities = (ambulance, now = new Date()) => Object.keys(CAPABILITIES)
+    .filter((capability) => CAPABILITIES[capability].every((item) => usableQuantity(ambulance.inventory, item, now) > 0));
+
+// Capabilities an incident needs, from its type's profile
+const requiredCapabilities = (incident) => getIncidentTypeProfile(incident.incident_type).capabilities || [];
+
+const capabilityMatch = (ambulance, required, now = new Date()) => {
+    const has = ambulanceCapabilities(ambulance, now);
+    const missing = required.filter((capability) => !has.includes(capability));
+    return { capability_match: missing.length === 0, capabilities: has, missing_capabilities: missing };
+};
+
+// MongoDB conditions matching ambulances with every one of `capabilities`, for use under $and
+const capabilityConditions = (capabilities, now = new Date()) => {
+    const items = [...new Set(capabilities.flatMap((capability) => CAPABILITIES[capability]))];
+    return items.map((item) => ({
+        inventory: {
+            $elemMatch: {
+                item,
+                quantity: { $gt: 0 },
+                $or: [{ expires_at: null }, { expires_at: { $gt: now } }]
+            }
+        }
+    }));
+};
+
+// Parse a comma-separated ?capabilities= value. Returns { capabilities } or { error }.
+const parseCapabilities = (value) => {
+    if (value === undefined || value === "") return { capabilities: [] };
+    const capabilities = String(value).split(",").map((c) => c.trim()).filter(Boolean);
+    const unknown = capabilities.filter((c) => !CAPABILITIES[c]);
+    if (unknown.length) {
+        return { error: `Unknown capabilities: ${unknown.join(", ")}. Known: ${Object.keys(CAPABILITIES).join(", ")}` };
+    }
+    return { capabilities };
+};
+
+// Validate a full inventory sent by a client. Returns { inventory } or { error }.
+const parseInventory = (items) => {
+    if (!Array.isArray(items)) return { error: "inventory must be an array of { item, quantity, expires_at }" };
+    const inventory = [];
+    for (const [index, entry] of items.entries()) {
+        const { item, quantity, expires_at } = entry || {};
+        if (!ITEMS[item]) return { error: `Unknown item at index ${index}. Known: ${Object.keys(ITEMS).join(", ")}` };
+        if (!Number.isInteger(Number(quantity)) || Number(quantity) < 0) {
+            return { error: `quantity at index ${index} must be a whole number of 0 or more` };
+        }
+        const expires = expires_at ? new Date(expires_at) : undefined;
+        if (expires && Number.isNaN(expires.getTime())) return { error: `Invalid expires_at at index ${index}` };
+        inventory.push({ item, quantity: Number(quantity), expires_at: expires });
+    }
+    return { inventory };
+};
+
+/**
+ * What an ambulance needs restocked, one entry per problem:
+ *   low       an item the ambulance carries has fewer usable (unexpired) units than its restock_below
+ *   expired   a batch is past its expiry date
+ *   expiring  a batch expires within `withinDays`
+ */
+const restockNeeds = (ambulance, { now = new Date(), withinDays = equipmentConfig.expiryWarningDays } = {}) => {
+    const inventory = ambulance.inventory || [];
+    const soon = new Date(now.getTime() + withinDays * DAY_MS);
+    const needs = [];
+
+    const carried = new Set(inventory.map((batch) => batch.item));
+    for (const item of carried) {
+        const quantity = usableQuantity(inventory, item, now);
+        if (quantity < ITEMS[item].restock_below) {
+            needs.push({ item, name: ITEMS[item].name, reason: "low", quantity, restock_below: ITEMS[item].restock_below });
+        }
+    }
+
+    for (const batch of inventory) {
+        if (!batch.expires_at || batch.quantity === 0) continue;
+        const expires = new Date(batch.expires_at);
+        if (expires <= now) {
+            needs.push({ item: batch.item, name: ITEMS[batch.item].name, reason: "expired", quantity: batch.quantity, expires_at: expires });
+        } else if (expires <= soon) {
+            needs.push({ item: batch.item, name: ITEMS[batch.item].name, reason: "expiring", quantity: batch.quantity, expires_at: expires });
+        }
+    }
+    return needs;
+};
+
+module.exports = {
+    usableQuantity,
+    ambulanceCapabilities,
+    requiredCapabilities,
+    capabilityMatch,
+    capabilityConditions,
+    parseCapabilities,
+    parseInventory,
+    restockNeeds
+};
@@ -0,0 +1,234 @@
+const fs = require("fs");
+const etaConfig = require("../config/eta");
+const { haversineDistance } = require("./geo");
+
+// Incident statuses where the ambulance is still on its way, so an ETA makes sense
+const ETA_STATUSES = ["dispatched", "en-route"];
+
+const GRID_CELL_DEGREES = 0.01; // Roughly 1 km; nodes are bucketed by cell to find the nearest one quickly
+const METRES_PER_DEGREE = 111320;
+const MAX_CACHED_ROUTES = 1000;
+
+let roadGraph; // undefined = not loaded yet, null = no graph configured or it failed to load
+
+const cellOf = ([lng, lat]) => [Math.floor(lng / GRID_CELL_DEGREES), Math.floor(lat / GRID_CELL_DEGREES)];
+
+// Load the road graph file once and build an adjacency list keyed by node id, plus a grid of nodes by
+// cell. server.js calls this at startup so no request pays for reading the file.
+const loadRoadGraph = () => {
+    if (roadGraph !== undefined) return roadGraph;
+    roadGraph = null;
+    if (!etaConfig.roadGraphFile) return roadGraph;
+
+    try {
+        const { nodes, edges } = JSON.parse(fs.readFileSync(etaConfig.roadGraphFile, "utf8"));
+        const nodeById = new Map(nodes.map((n) => [String(n.id), { id: String(n.id), coordinates: [n.lng, n.lat] }]));
+        const adjacency = new Map([...nodeById.keys()].map((id) => [id, []]));
+
+        for (const edge of edges) {
+            const from = nodeById.get(String(edge.from));
+            const to = nodeById.get(String(edge.to));
+            if (!from || !to) continue;
+            const length = edge.length_m || haversineDistance(from.coordinates, to.coordinates);
+            adjacency.get(from.id).push({ to: to.id, length, speed: edge.speed_kmh });
+            if (!edge.oneway) adjacency.get(to.id).push({ to: from.id, length, speed: edge.speed_kmh });
+        }
+
+        const cells = new Map();
+        const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+        for (const node of nodeById.values()) {
+            const [x, y] = cellOf(node.coordinates);
+            const key = `${x}:${y}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(node);
+            bounds.minX = Math.min(bounds.minX, x);
+            bounds.maxX = Math.max(bounds.maxX, x);
+            bounds.minY = Math.min(bounds.minY, y);
+            bounds.maxY = Math.max(bounds.maxY, y);
+        }
+
+        roadGraph = { nodes: [...nodeById.values()], adjacency, cells, bounds };
+        console.log(`Road graph loaded: ${nodeById.size} nodes`);
+    } catch (error) {
+        console.error("Road graph load error:", error.message);
+    }
+    return roadGraph;
+};
+
+// Search the grid in rings of cells around the point, stopping once no unvisited cell can hold a closer node.
+// Only nodes within maxSnapMeters count, so a point far off the graph costs a bounded number of rings.
+const nearestNode = (graph, coordinates) => {
+    if (!graph.nodes.length) return null;
+    const [cx, cy] = cellOf(coordinates);
+    const { minX, maxX, minY, maxY } = graph.bounds;
+    // A cell's width in metres shrinks towards the poles; use the narrower (longitude) side as the bound
+    const cellMetres = GRID_CELL_DEGREES * METRES_PER_DEGREE * Math.max(Math.cos((coordinates[1] * Math.PI) / 180), 0.01);
+    const maxRing = Math.min(
+        Math.max(Math.abs(cx - minX), Math.abs(cx - maxX), Math.abs(cy - minY), Math.abs(cy - maxY)),
+        Math.ceil(etaConfig.maxSnapMeters / cellMetres) + 1
+    );
+
+    let best = null;
+    const visit = (x, y) => {
+        for (const node of graph.cells.get(`${x}:${y}`) || []) {
+            const distance = haversineDistance(coordinates, node.coordinates);
+            if (!best || distance < best.distance) best = { node, distance };
+        }
+    };
+    for (let ring = 0; ring <= maxRing; ring++) {
+        // Every node in this ring is at least ring - 1 cells away
+        if (best && best.distance <= (ring - 1) * cellMetres) break;
+        if (ring === 0) {
+            visit(cx, cy);
+            continue;
+        }
+        for (let x = cx - ring; x <= cx + ring; x++) {
+            visit(x, cy - ring);
+            visit(x, cy + ring);
+        }
+        for (let y = cy - ring + 1; y <= cy + ring - 1; y++) {
+            visit(cx - ring, y);
+            visit(cx + ring, y);
+        }
+    }
+    return best && best.distance <= etaConfig.maxSnapMeters ? best : null;
+};
+
+// Binary min-heap on `time`, for Dijkstra's frontier
+const heapPush = (heap, entry) => {
+    heap.push(entry);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].time <= heap[i].time) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+};
+
+const heapPop = (heap) => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left].time < heap[smallest].time) smallest = left;
+            if (right < heap.length && heap[right].time < heap[smallest].time) smallest = right;
+            if (smallest === i) break;
+            [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+            i = smallest;
+        }
+    }
+    return top;
+};
+
+// Dijkstra over travel time (seconds). Edge speeds scale with the call's speed relative to normal driving.
+const shortestTravel = (graph, startId, goalId, speedKmh) => {
+    const scale = speedKmh / etaConfig.speedsKmh.normal;
+    const best = new Map([[startId, { time: 0, distance: 0 }]]);
+    const queue = [{ id: startId, time: 0, distance: 0 }];
+    const done = new Set();
+
+    while (queue.length) {
+        const current = heapPop(queue);
+
+        if (done.has(current.id)) continue;
+        if (current.id === goalId) return current;
+        done.add(current.id);
+
+        for (const edge of graph.adjacency.get(current.id)) {
+            const edgeSpeed = edge.speed ? edge.speed * scale : speedKmh;
+            const time = current.time + edge.length / (edgeSpeed / 3.6);
+            const known = best.get(edge.to);
+            if (!known || time < known.time) {
+                const entry = { id: edge.to, time, distance: current.distance + edge.length };
+                best.set(edge.to, entry);
+                heapPush(queue, entry);
+            }
+        }
+    }
+    return null;
+};
+
+// Road-graph routes by rounded start, end and speed: { at, route }, oldest first
+const routeCache = new Map();
+
+const cachedRoute = (graph, fromCoordinates, toCoordinates, speedKmh) => {
+    const key = [...fromCoordinates, ...toCoordinates].map((c) => c.toFixed(4)).concat(speedKmh).join(",");
+    const hit = routeCache.get(key);
+    if (hit && Date.now() - hit.at < etaConfig.cacheSeconds * 1000) return hit.route;
+
+    const start = nearestNode(graph, fromCoordinates);
+    const goal = nearestNode(graph, toCoordinates);
+    const travel = start && goal && shortestTravel(graph, start.node.id, goal.node.id, speedKmh);
+    const route = travel ? { time: travel.time, distance: travel.distance, offGraph: start.distance + goal.distance } : null;
+
+    routeCache.delete(key);
+    routeCache.set(key, { at: Date.now(), route });
+    if (routeCache.size > MAX_CACHED_ROUTES) routeCache.delete(routeCache.keys().next().value);
+    return route;
+};
+
+// Estimate travel time between two [lng, lat] positions for a call of the given priority.
+// Uses the road graph when one is configured (and `roadGraph` isn't false) and connects both ends,
+// otherwise straight-line distance stretched by the detour factor.
+const estimateEta = (fromCoordinates, toCoordinates, priority, { roadGraph: useGraph = true } = {}) => {
+    const lightsAndSirens = priority <= etaConfig.lightsAndSirensMaxPriority;
+    const speedKmh = lightsAndSirens ? etaConfig.speedsKmh.lightsAndSirens : etaConfig.speedsKmh.normal;
+    const metresPerSecond = speedKmh / 3.6;
+
+    const graph = useGraph ? loadRoadGraph() : null;
+    const route = graph && cachedRoute(graph, fromCoordinates, toCoordinates, speedKmh);
+    if (route) {
+        // Off-graph legs to and from the nearest nodes are driven as straight lines
+        const offGraph = route.offGraph * etaConfig.detourFactor;
+        return {
+            eta_seconds: Math.round(route.time + offGraph / metresPerSecond),
+            distance_m: Math.round(route.distance + offGraph),
+            method: "road-graph",
+            lights_and_sirens: lightsAndSirens
+        };
+    }
+
+    const distance = haversineDistance(fromCoordinates, toCoordinates) * etaConfig.detourFactor;
+    return {
+        eta_seconds: Math.round(distance / metresPerSecond),
+        distance_m: Math.round(distance),
+        method: "straight-line",
+        lights_and_sirens: lightsAndSirens
+    };
+};
+
+const hasEta = (incident) => ETA_STATUSES.includes(incident.status) && Boolean(incident.ambulance) &&
+    Boolean(incident.ambulance.location) && Boolean(incident.ambulance.location.coordinates);
+
+// Plain incident object with an `eta` field when an ambulance with a known position is on its way.
+// Expects `incident.ambulance` to be populated with its location.
+const withEta = (incident, options) => {
+    const result = incident.toObject ? incident.toObject() : incident;
+    result.eta = null;
+
+    if (hasEta(result)) {
+        const estimate = estimateEta(result.ambulance.location.coordinates, result.location.coordinates, result.priority, options);
+        result.eta = { ...estimate, estimated_arrival: new Date(Date.now() + estimate.eta_seconds * 1000) };
+    }
+    return result;
+};
+
+// withEta for a page of incidents: only the first listRoadGraphLimit ambulances on their way are routed over
+// the road graph, so a long list can't hold up the server
+const withEtas = (incidents) => {
+    let routed = 0;
+    return incidents.map((incident) => {
+        const roadGraph = routed < etaConfig.listRoadGraphLimit;
+        const result = withEta(incident, { roadGraph });
+        if (result.eta && roadGraph) routed += 1;
+        return result;
+    });
+};
+
+module.exports = { ETA_STATUSES, loadRoadGraph, estimateEta, withEta, withEtas };
@@ -0,0 +1,21 @@
+const EventEmitter = require("events");
+
+// In-process bus for dispatch events; routes/streamRoutes.js pushes them to connected clients
+const dispatchEvents = new EventEmitter();
+dispatchEvents.setMaxListeners(0); // One listener per connected client
+
+const EVENT_TYPES = [
+    "incident.created",
+    "incident.status",
+    "incident.priority",
+    "incident.assignment",
+    "incident.queue",
+    "ambulance.status",
+    "ambulance.location"
+];
+
+const publish = (type, data) => {
+    dispatchEvents.emit("event", { type, data, at: new Date() });
+};
+
+module.exports = { dispatchEvents, EVENT_TYPES, publish };
@@ -0,0 +1,31 @@
+// Shared geospatial helpers
+
+const EARTH_RADIUS_M = 6371000;
+
+// Normalise a coordinate pair into GeoJSON order ([longitude, latitude]).
+// Accepts [lat, lng] like the route handlers do and swaps when the values only make sense reversed.
+// Returns null when the pair is not a valid position.
+const normalizeCoordinates = (coordinates) => {
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+
+    let [lat, lng] = coordinates.map(Number);
+    if (Number.isNaN(lat) || Number.isNaN(lng)) return null;
+
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) [lng, lat] = [lat, lng];
+
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+
+    return [lng, lat];
+};
+
+// Great-circle ("straight-line") distance in metres between two [lng, lat] positions
+const haversineDistance = ([lng1, lat1], [lng2, lat2]) => {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+};
+
+module.exports = { normalizeCoordinates, haversineDistance };
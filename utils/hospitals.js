@@ -0,0 +1,46 @@
+const Hospital = require("../models/Hospital");
+const { getIncidentTypeProfile } = require("../config/incidentTypes");
+
+const DEFAULT_SEARCH_RADIUS_M = 50000;
+
+// Rank hospitals as destinations for an incident.
+// Hospitals on diversion drop to the bottom, then those with a needed specialty and a free ER bay
+// come first; ties are broken by straight-line distance.
+const recommendHospitals = async (incident, { limit = 5, maxDistance = DEFAULT_SEARCH_RADIUS_M } = {}) => {
+    const { specialties: needed } = getIncidentTypeProfile(incident.incident_type);
+
+    const hospitals = await Hospital.aggregate([
+        {
+            $geoNear: {
+                near: { type: "Point", coordinates: incident.location.coordinates },
+                distanceField: "distance",
+                spherical: true,
+                maxDistance
+            }
+        }
+    ]);
+
+    const ranked = hospitals.map(({ distance, ...hospital }) => {
+        const matched = needed.filter((s) => hospital.specialties.includes(s));
+        const erAvailable = hospital.capacity ? hospital.capacity.er_available > 0 : false;
+        const specialtyMatch = needed.length === 0 || matched.length > 0;
+        return {
+            hospital,
+            distance_m: Math.round(distance),
+            on_diversion: hospital.on_diversion,
+            specialty_match: specialtyMatch,
+            matched_specialties: matched,
+            er_available: erAvailable
+        };
+    });
+
+    const score = (r) => (r.on_diversion ? 0 : 4) + (r.specialty_match ? 2 : 0) + (r.er_available ? 1 : 0);
+    ranked.sort((a, b) => score(b) - score(a) || a.distance_m - b.distance_m);
+
+    return {
+        required_specialties: needed,
+        recommendations: ranked.slice(0, limit).map((r, index) => ({ rank: index + 1, ...r }))
+    };
+};
+
+module.exports = { DEFAULT_SEARCH_RADIUS_M, recommendHospitals };
@@ -0,0 +1,58 @@
+const { formatRow } = require("./csv");
+const { firstReached } = require("./responseTimes");
+
+// Flat columns for incident exports, in output order. Reporter and ambulance must be populated.
+const EXPORT_COLUMNS = [
+    ["id", (i) => i._id],
+    ["reported_time", (i) => i.reported_time],
+    ["status", (i) => i.status],
+    ["priority", (i) => i.priority],
+    ["incident_type", (i) => i.incident_type],
+    ["phone", (i) => i.phone],
+    ["longitude", (i) => i.location.coordinates[0]],
+    ["latitude", (i) => i.location.coordinates[1]],
+    ["reporter_id", (i) => i.user && i.user._id],
+    ["reporter_name", (i) => i.user && i.user.name],
+    ["reporter_phone", (i) => i.user && i.user.phone_number_1],
+    ["ambulance_id", (i) => i.ambulance && i.ambulance._id],
+    ["ambulance_license_plate", (i) => i.ambulance && i.ambulance.license_plate],
+    ["ambulance_home_hospital", (i) => i.ambulance && i.ambulance.home_hospital && i.ambulance.home_hospital.name],
+    ["dispatched_at", (i) => firstReached(i, "dispatched")],
+    ["on_scene_at", (i) => firstReached(i, "on-scene")],
+    ["resolved_at", (i) => firstReached(i, "resolved")]
+];
+
+// Populate options the columns above rely on
+const EXPORT_POPULATE = [
+    { path: "user", select: "name phone_number_1" },
+    { path: "ambulance", select: "license_plate home_hospital", populate: { path: "home_hospital", select: "name" } }
+];
+
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: "text/csv; charset=utf-8",
+        extension: "csv",
+        header: formatRow(EXPORT_COLUMNS.map(([name]) => name)),
+        row: (incident) => formatRow(EXPORT_COLUMNS.map(([, get]) => get(incident))),
+        separator: "",
+        footer: ""
+    },
+    geojson: {
+        contentType: "application/geo+json",
+        extension: "geojson",
+        header: '{"type":"FeatureCollection","features":[\n',
+        row: (incident) => {
+            const properties = {};
+            for (const [name, get] of EXPORT_COLUMNS) {
+                if (name === "longitude" || name === "latitude") continue;
+                const value = get(incident);
+                properties[name] = value === undefined || value === null ? null : value;
+            }
+            return JSON.stringify({ type: "Feature", geometry: incident.location, properties });
+        },
+        separator: ",\n",
+        footer: "\n]}\n"
+    }
+};
+
+module.exports = { EXPORT_COLUMNS, EXPORT_POPULATE, EXPORT_FORMATS };
@@ -0,0 +1,65 @@
+// Incident lifecycle: the allowed statuses and which transitions between them are legal
+
+const INCIDENT_STATUSES = [
+    "pending",
+    "acknowledged",
+    "dispatched",
+    "en-route",
+    "on-scene",
+    "transporting",
+    "at-hospital",
+    "resolved",
+    "cancelled",
+    "denied",
+    "merged"
+];
+
+const TRANSITIONS = {
+    pending: ["acknowledged", "dispatched", "cancelled", "denied", "merged"],
+    acknowledged: ["dispatched", "cancelled", "denied", "merged"],
+    dispatched: ["en-route", "cancelled"],
+    "en-route": ["on-scene", "cancelled"],
+    "on-scene": ["transporting", "resolved"],
+    transporting: ["at-hospital"],
+    "at-hospital": ["resolved"],
+    resolved: [],
+    cancelled: [],
+    denied: [],
+    merged: [] // Folded into another report of the same event (see duplicate_of)
+};
+
+// How each status is described to reporters (SMS replies and notifications)
+const STATUS_DESCRIPTIONS = {
+    pending: "received, waiting for a dispatcher",
+    acknowledged: "being handled by a dispatcher",
+    dispatched: "an ambulance has been dispatched",
+    "en-route": "the ambulance is on its way",
+    "on-scene": "the ambulance has arrived",
+    transporting: "the patient is on the way to hospital",
+    "at-hospital": "the patient has arrived at hospital",
+    resolved: "closed",
+    cancelled: "cancelled",
+    denied: "declined by the dispatcher",
+    merged: "joined with another report of the same emergency"
+};
+
+// The steps crew report from the road; acknowledging, cancelling and denying are for dispatchers
+const CREW_STATUSES = ["en-route", "on-scene", "transporting", "at-hospital", "resolved"];
+
+// Statuses that close an incident and free its ambulance
+const TERMINAL_STATUSES = ["resolved", "cancelled", "denied", "merged"];
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Set the new status and append it to the incident's history. Callers check canTransition first.
+const recordTransition = (incident, to, changedBy, note) => {
+    incident.status_history.push({
+        from: incident.status,
+        to,
+        changed_by: changedBy || null,
+        note
+    });
+    incident.status = to;
+};
+
+module.exports = { INCIDENT_STATUSES, TRANSITIONS, STATUS_DESCRIPTIONS, CREW_STATUSES, TERMINAL_STATUSES, canTransition, recordTransition };
@@ -0,0 +1,16 @@
+// Query parameters accepted wherever incidents are listed, aggregated or exported (see utils/listQuery.js)
+const INCIDENT_LIST = {
+    filters: {
+        status: { type: "list" },
+        priority: { type: "numberRange" },
+        incident_type: { type: "list" },
+        ambulance: { type: "id" },
+        reporter: { type: "id", field: "user" },
+        reported: { type: "dateRange", field: "reported_time" },
+        geo: { type: "geo", field: "location" }
+    },
+    sortable: ["reported_time", "priority"],
+    defaultSort: "-reported_time"
+};
+
+module.exports = { INCIDENT_LIST };
@@ -0,0 +1,171 @@
+const mongoose = require("mongoose");
+
+// Shared query parameters for list routes: filters, sorting and cursor pagination.
+//
+// Each route declares its filters; every filter type reads the same parameter names everywhere:
+//   list        ?status=pending,dispatched
+//   id          ?ambulance=<id>[,<id>]
+//   string      ?specialty=cardiology
+//   boolean     ?on_diversion=true
+//   numberRange ?priority_min=1&priority_max=2
+//   dateRange   ?reported_from=2025-01-01&reported_to=2025-02-01
+//   geo         ?bbox=minLng,minLat,maxLng,maxLat  or  ?near=lng,lat&radius=<metres>
+// Pagination: ?limit=50&cursor=<next_cursor from the previous page>&sort=-reported_time
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const EARTH_RADIUS_M = 6378100;
+
+const splitList = (value) => String(value).split(",").map((v) => v.trim()).filter(Boolean);
+
+const parseNumbers = (value, count) => {
+    const numbers = splitList(value).map(Number);
+    return numbers.length === count && numbers.every((n) => !Number.isNaN(n)) ? numbers : null;
+};
+
+const validPosition = ([lng, lat]) => Math.abs(lng) <= 180 && Math.abs(lat) <= 90;
+
+// Build the condition for one declared filter, or return { error }
+const FILTER_PARSERS = {
+    string: (query, key) => (query[key] !== undefined ? { value: String(query[key]) } : {}),
+
+    boolean: (query, key) => {
+        if (query[key] === undefined) return {};
+        if (!["true", "false"].includes(String(query[key]))) return { error: `${key} must be true or false` };
+        return { value: String(query[key]) === "true" };
+    },
+
+    list: (query, key) => (query[key] !== undefined ? { value: { $in: splitList(query[key]) } } : {}),
+
+    id: (query, key) => {
+        if (query[key] === undefined) return {};
+        const ids = splitList(query[key]);
+        if (!ids.every((id) => mongoose.isValidObjectId(id))) return { error: `Invalid ${key}` };
+        return { value: ids.length === 1 ? ids[0] : { $in: ids } };
+    },
+
+    numberRange: (query, key) => {
+        const range = {};
+        for (const [suffix, op] of [["min", "$gte"], ["max", "$lte"]]) {
+            const raw = query[`${key}_${suffix}`];
+            if (raw === undefined) continue;
+            const number = Number(raw);
+            if (Number.isNaN(number)) return { error: `Invalid ${key}_${suffix}` };
+            range[op] = number;
+        }
+        return Object.keys(range).length ? { value: range } : {};
+    },
+
+    dateRange: (query, key) => {
+        const range = {};
+        for (const [suffix, op] of [["from", "$gte"], ["to", "$lte"]]) {
+            const raw = query[`${key}_${suffix}`];
+            if (raw === undefined) continue;
+            const date = new Date(raw);
+            if (Number.isNaN(date.getTime())) return { error: `Invalid ${key}_${suffix}` };
+            range[op] = date;
+        }
+        return Object.keys(range).length ? { value: range } : {};
+    },
+
+    geo: (query) => {
+        if (query.bbox !== undefined) {
+            const box = parseNumbers(query.bbox, 4);
+            if (!box || !validPosition(box.slice(0, 2)) || !validPosition(box.slice(2))) {
+                return { error: "bbox must be minLng,minLat,maxLng,maxLat" };
+            }
+            const [minLng, minLat, maxLng, maxLat] = box;
+            const ring = [[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]];
+            return { value: { $geoWithin: { $geometry: { type: "Polygon", coordinates: [ring] } } } };
+        }
+        if (query.near !== undefined) {
+            const centre = parseNumbers(query.near, 2);
+            const radius = Number(query.radius);
+            if (!centre || !validPosition(centre)) return { error: "near must be lng,lat" };
+            if (!(radius > 0)) return { error: "radius (metres) is required with near" };
+            return { value: { $geoWithin: { $centerSphere: [centre, radius / EARTH_RADIUS_M] } } };
+        }
+        return {};
+    }
+};
+
+// Cursors remember the sort field, the last item's sort value and its _id (the tie-breaker)
+const encodeCursor = (doc, field) => {
+    const value = doc[field];
+    const payload = { f: field, v: value instanceof Date ? value.toISOString() : value, d: value instanceof Date, id: String(doc._id) };
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor, field) => {
+    try {
+        const { f, v, d, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        if (f !== field || !mongoose.isValidObjectId(id)) return null;
+        return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Build a MongoDB filter from the declared filters alone. Returns { error } or { filter }.
+const parseFilters = (query, filters = {}) => {
+    const filter = {};
+    for (const [key, { type, field = key }] of Object.entries(filters)) {
+        const { error, value } = FILTER_PARSERS[type](query, key);
+        if (error) return { error };
+        if (value !== undefined) filter[field] = value;
+    }
+    return { filter };
+};
+
+// Parse ?sort= against the sortable fields. Returns { error } or { sort, sortField, direction }.
+const parseSort = (query, { sortable = [], defaultSort = "-_id" } = {}) => {
+    const sortParam = String(query.sort || defaultSort);
+    const direction = sortParam.startsWith("-") ? -1 : 1;
+    const sortField = sortParam.replace(/^-/, "");
+    if (sortField !== "_id" && !sortable.includes(sortField)) {
+        return { error: `sort must be one of: ${["_id", ...sortable].join(", ")}` };
+    }
+    const sort = sortField === "_id" ? { _id: direction } : { [sortField]: direction, _id: direction };
+    return { sort, sortField, direction };
+};
+
+/**
+ * Parse a list request against a route's spec.
+ *   spec.filters     { paramName: { type, field? } } — field defaults to the parameter name
+ *   spec.sortable    fields that may be passed to ?sort=
+ *   spec.defaultSort e.g. "-reported_time"
+ * Returns { error } or { filter, sort, limit } ready for Model.find(filter).sort(sort).limit(limit).
+ * Fetch with `limit` as given (it already includes one extra item) and hand the results to pageOf().
+ */
+const parseListQuery = (query, { filters = {}, sortable = [], defaultSort = "-_id", maxLimit = MAX_LIMIT } = {}) => {
+    const { error, filter: conditions } = parseFilters(query, filters);
+    if (error) return { error };
+
+    const { error: sortError, sort, sortField, direction } = parseSort(query, { sortable, defaultSort });
+    if (sortError) return { error: sortError };
+
+    const limit = parseInt(query.limit, 10) || DEFAULT_LIMIT;
+    if (limit < 1 || limit > maxLimit) return { error: `limit must be between 1 and ${maxLimit}` };
+
+    let filter = conditions;
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor, sortField);
+        if (!cursor) return { error: "Invalid cursor" };
+        const op = direction === -1 ? "$lt" : "$gt";
+        const after = sortField === "_id"
+            ? { _id: { [op]: cursor.id } }
+            : { $or: [{ [sortField]: { [op]: cursor.value } }, { [sortField]: cursor.value, _id: { [op]: cursor.id } }] };
+        filter = { $and: [conditions, after] };
+    }
+
+    return { filter, sort, limit: limit + 1, pageSize: limit, sortField };
+};
+
+// Trim the extra item fetched by parseListQuery and work out the next cursor
+const pageOf = (docs, { pageSize, sortField }) => {
+    const hasMore = docs.length > pageSize;
+    const items = hasMore ? docs.slice(0, pageSize) : docs;
+    return { items, next_cursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null };
+};
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, parseFilters, parseSort, parseListQuery, pageOf };
@@ -0,0 +1,39 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const mailConfig = require("../config/mail");
+
+// Transports take { from, to, subject, text } and return a promise
+const transports = {
+    // Write each message to the outbox directory so flows can be exercised without a mail server
+    outbox: async (message) => {
+        await fs.mkdir(mailConfig.outboxDir, { recursive: true });
+        const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        const file = path.join(mailConfig.outboxDir, `${stamp}-${crypto.randomBytes(3).toString("hex")}.eml`);
+        const body = [
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            `Date: ${new Date().toUTCString()}`,
+            "",
+            message.text
+        ].join("\n");
+        await fs.writeFile(file, body, "utf8");
+    },
+    console: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+};
+
+// Plug in another transport (e.g. SMTP or an email API) and select it with MAIL_TRANSPORT
+const registerTransport = (name, send) => {
+    transports[name] = send;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+    const send = transports[mailConfig.transport];
+    if (!send) throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+    await send({ from: mailConfig.from, to, subject, text });
+};
+
+module.exports = { registerTransport, sendMail };
@@ -0,0 +1,228 @@
+const Ambulance = require("../models/Ambulance");
+const MaintenanceRecord = require("../models/MaintenanceRecord");
+const maintenanceConfig = require("../config/maintenance");
+const { publish } = require("./events");
+
+// Scheduled maintenance: work falls due by date or odometer reading, takes the ambulance out of service
+// ("maintenance") as soon as it isn't on a call, and returns it when the work is completed or its planned
+// end passes. Ambulances with work due or under way are never offered for dispatch (utils/dispatch.js).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDue = (record, ambulance, now = new Date()) => record.status === "scheduled" && (
+    (record.due_date && record.due_date <= now) ||
+    (record.due_odometer_km != null && ambulance && ambulance.odometer_km >= record.due_odometer_km)
+);
+
+// Scheduled work that has fallen due, with the ambulance's status and odometer populated
+const findDueRecords = async (now = new Date(), filter = {}) => {
+    const candidates = await MaintenanceRecord.find({
+        ...filter,
+        status: "scheduled",
+        $or: [{ due_date: { $lte: now } }, { due_odometer_km: { $ne: null } }]
+    }).populate("ambulance", "license_plate status odometer_km");
+    return candidates.filter((record) => isDue(record, record.ambulance, now));
+};
+
+// Ambulances that must not take new calls: in service, or with work due
+const getAmbulanceIdsInMaintenance = async (now = new Date()) => {
+    const [inService, due] = await Promise.all([
+        MaintenanceRecord.find({ status: "in-service" }).select("ambulance").lean(),
+        findDueRecords(now)
+    ]);
+    return [
+        ...inService.map((record) => record.ambulance),
+        ...due.filter((record) => record.ambulance).map((record) => record.ambulance._id)
+    ];
+};
+
+const isInMaintenance = async (ambulanceId, now = new Date()) => {
+    if (await MaintenanceRecord.exists({ ambulance: ambulanceId, status: "in-service" })) return true;
+    return (await findDueRecords(now, { ambulance: ambulanceId })).length > 0;
+};
+
+/**
+ * Take the ambulance out of service and start the work. An ambulance on a call is left alone.
+ * Returns { record } or { error, status }.
+ */
+const startService = async (recordId, { now = new Date() } = {}) => {
+    const record = await MaintenanceRecord.findById(recordId);
+    if (!record) return { status: 404, error: "Maintenance record not found" };
+    if (record.status !== "scheduled") return { status: 400, error: `Cannot start maintenance that is ${record.status}` };
+
+    // Already-in-maintenance ambulances (set by hand, or another job under way) can take more work
+    const before = await Ambulance.findOneAndUpdate(
+        { _id: record.ambulance, status: { $in: ["available", "maintenance"] } },
+        { status: "maintenance" }
+    );
+    if (!before) return { status: 409, error: "Ambulance not found or on a call" };
+
+    const started = await MaintenanceRecord.findOneAndUpdate(
+        { _id: record._id, status: "scheduled" },
+        { status: "in-service", started_at: now },
+        { new: true }
+    );
+    if (!started) {
+        if (before.status === "available") await Ambulance.updateOne({ _id: record.ambulance }, { status: "available" });
+        return { status: 409, error: "Maintenance was started or cancelled meanwhile" };
+    }
+
+    if (before.status === "available") publish("ambulance.status", { ambulanceId: record.ambulance, status: "maintenance" });
+    return { record: started };
+};
+
+// Return the ambulance to service unless other work on it is still under way
+const releaseAmbulance = async (ambulanceId) => {
+    if (await MaintenanceRecord.exists({ ambulance: ambulanceId, status: "in-service" })) return;
+    const released = await Ambulance.findOneAndUpdate({ _id: ambulanceId, status: "maintenance" }, { status: "available" });
+    if (released) publish("ambulance.status", { ambulanceId, status: "available" });
+};
+
+/**
+ * Finish scheduled or under-way work, record the reading, cost and notes and put the ambulance back in
+ * service. Repeating work schedules its next occurrence from now and from the odometer reading.
+ * Returns { record, next } or { error, status }.
+ */
+const completeService = async (recordId, { by = null, odometer_km, cost, notes, now = new Date() } = {}) => {
+    const update = { status: "completed", completed_at: now, completed_by: by };
+    if (odometer_km !== undefined) update.odometer_km = odometer_km;
+    if (cost !== undefined) update.cost = cost;
+    if (notes !== undefined) update.notes = notes;
+
+    const record = await MaintenanceRecord.findOneAndUpdate(
+        { _id: recordId, status: { $in: ["scheduled", "in-service"] } },
+        update,
+        { new: true }
+    );
+    if (!record) {
+        const exists = await MaintenanceRecord.exists({ _id: recordId });
+        return exists ? { status: 400, error: "Maintenance is already completed or cancelled" } : { status: 404, error: "Maintenance record not found" };
+    }
+
+    const ambulance = await Ambulance.findById(record.ambulance).select("odometer_km");
+    if (ambulance && odometer_km !== undefined && odometer_km > ambulance.odometer_km) {
+        ambulance.odometer_km = odometer_km;
+        await ambulance.save();
+    }
+    await releaseAmbulance(record.ambulance);
+
+    let next = null;
+    if (record.interval_days || record.interval_km) {
+        const reading = odometer_km !== undefined ? odometer_km : ambulance ? ambulance.odometer_km : undefined;
+        next = await MaintenanceRecord.create({
+            ambulance: record.ambulance,
+            type: record.type,
+            due_date: record.interval_days ? new Date(now.getTime() + record.interval_days * DAY_MS) : undefined,
+            due_odometer_km: record.interval_km && reading !== undefined ? reading + record.interval_km : undefined,
+            interval_days: record.interval_days,
+            interval_km: record.interval_km,
+            notes: record.notes,
+            created_by: by
+        });
+    }
+    return { record, next };
+};
+
+// Cancel work that hasn't finished; under-way work returns the ambulance to service
+const cancelService = async (recordId) => {
+    // Resolves to the record as it was, so we know whether the work had started
+    const record = await MaintenanceRecord.findOneAndUpdate(
+        { _id: recordId, status: { $in: ["scheduled", "in-service"] } },
+        { status: "cancelled" }
+    );
+    if (!record) {
+        const exists = await MaintenanceRecord.exists({ _id: recordId });
+        return exists ? { status: 400, error: "Maintenance is already completed or cancelled" } : { status: 404, error: "Maintenance record not found" };
+    }
+    if (record.status === "in-service") await releaseAmbulance(record.ambulance);
+    return { record: await MaintenanceRecord.findById(recordId) };
+};
+
+// Start work that has fallen due on free ambulances and finish work whose planned end has passed
+const sweepMaintenance = async (now = new Date()) => {
+    for (const record of await findDueRecords(now)) {
+        if (!record.ambulance || record.ambulance.status === "on-duty") continue; // Taken out once the call ends
+        const { error } = await startService(record._id, { now });
+        if (error) console.error(`Starting maintenance ${record._id} failed:`, error);
+    }
+
+    const finished = await MaintenanceRecord.find({ status: "in-service", ends_at: { $lte: now } }).select("_id");
+    for (const record of finished) {
+        const { error } = await completeService(record._id, { now });
+        if (error) console.error(`Ending maintenance ${record._id} failed:`, error);
+    }
+};
+
+const startMaintenanceScheduler = () => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await sweepMaintenance();
+        } catch (error) {
+            console.error("Maintenance sweep failed:", error.message);
+        } finally {
+            running = false;
+        }
+    }, maintenanceConfig.checkIntervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+/**
+ * Fleet maintenance report: work under way, overdue work (due but not started because the ambulance
+ * was on a call) and work falling due within `upcomingDays` or `upcomingKm`.
+ */
+const maintenanceReport = async ({ now = new Date(), upcomingDays = maintenanceConfig.upcomingDays, upcomingKm = maintenanceConfig.upcomingKm } = {}) => {
+    const horizon = new Date(now.getTime() + upcomingDays * DAY_MS);
+    const records = await MaintenanceRecord.find({ status: { $in: ["scheduled", "in-service"] } })
+        .populate("ambulance", "license_plate status odometer_km")
+        .sort({ due_date: 1 })
+        .lean();
+
+    const entry = (record) => {
+        const ambulance = record.ambulance || {};
+        return {
+            recordId: record._id,
+            ambulanceId: ambulance._id,
+            license_plate: ambulance.license_plate,
+            ambulance_status: ambulance.status,
+            type: record.type,
+            status: record.status,
+            due_date: record.due_date,
+            due_odometer_km: record.due_odometer_km,
+            odometer_km: ambulance.odometer_km,
+            km_remaining: record.due_odometer_km != null && ambulance.odometer_km != null
+                ? record.due_odometer_km - ambulance.odometer_km
+                : null,
+            started_at: record.started_at,
+            ends_at: record.ends_at
+        };
+    };
+
+    const report = { in_service: [], overdue: [], upcoming: [] };
+    for (const record of records) {
+        const item = entry(record);
+        if (record.status === "in-service") {
+            report.in_service.push(item);
+        } else if (isDue(record, record.ambulance, now)) {
+            report.overdue.push(item);
+        } else if ((record.due_date && record.due_date <= horizon) || (item.km_remaining !== null && item.km_remaining <= upcomingKm)) {
+            report.upcoming.push(item);
+        }
+    }
+    return { generated_at: now, upcoming_days: upcomingDays, upcoming_km: upcomingKm, ...report };
+};
+
+module.exports = {
+    isDue,
+    getAmbulanceIdsInMaintenance,
+    isInMaintenance,
+    startService,
+    completeService,
+    cancelService,
+    sweepMaintenance,
+    startMaintenanceScheduler,
+    maintenanceReport
+};
@@ -0,0 +1,196 @@
+const fs = require("fs/promises");
+const path = require("path");
+const Incident = require("../models/Incident");
+const User = require("../models/User");
+const Driver = require("../models/Driver");
+const Medic = require("../models/Medic");
+const Notification = require("../models/Notification");
+const notificationConfig = require("../config/notifications");
+const { STATUS_DESCRIPTIONS } = require("./incidentLifecycle");
+const { dispatchEvents } = require("./events");
+const { sendMail } = require("./mailer");
+const { sendSms } = require("./sms");
+
+// Notifications for incident events: works out who should hear about each event (config/notifications.js),
+// delivers through each recipient's chosen channels and logs every attempt.
+
+const RECIPIENT_FIELDS = "name email phone_number_1 notification_channels";
+
+// Channels take { user, phone, email, title, body, data } and return a promise
+const channels = {
+    // Stand-in until a push provider is configured: one JSON line per message
+    push: async ({ user, title, body, data }) => {
+        await fs.mkdir(path.dirname(notificationConfig.pushOutboxFile), { recursive: true });
+        const line = JSON.stringify({ to: user ? user._id : null, title, body, data, at: new Date() });
+        await fs.appendFile(notificationConfig.pushOutboxFile, `${line}\n`, "utf8");
+    },
+    sms: ({ phone, body }) => sendSms({ to: phone, text: body }),
+    email: ({ email, title, body }) => sendMail({ to: email, subject: title, text: body })
+};
+
+// Replace a stand-in with a real provider, e.g. registerChannel("push", sendWithFcm)
+const registerChannel = (name, send) => {
+    channels[name] = send;
+};
+
+// Channels a recipient can actually be reached on. Reporters without an account only have their phone.
+const channelsFor = ({ user, phone, email }) => {
+    if (!user) return phone ? ["sms"] : [];
+    const chosen = user.notification_channels || notificationConfig.defaultChannels;
+    return chosen.filter((channel) => (channel === "sms" ? phone : channel === "email" ? email : true));
+};
+
+const fromUser = (user) => ({ user, phone: user.phone_number_1, email: user.email });
+
+// Resolve an audience to recipients for one incident
+const AUDIENCES = {
+    reporter: async (incident) => {
+        if (!incident.user) return [{ user: null, phone: incident.phone }];
+        const user = await User.findById(incident.user).select(RECIPIENT_FIELDS).lean();
+        return user ? [fromUser(user)] : [];
+    },
+    crew: async (incident) => {
+        if (!incident.ambulance) return [];
+        const [drivers, medics] = await Promise.all([
+            Driver.find({ assigned_ambulance: incident.ambulance }).select("user_id").lean(),
+            Medic.find({ assigned_ambulance: incident.ambulance }).select("user").lean()
+        ]);
+        const ids = [...drivers.map((d) => d.user_id), ...medics.map((m) => m.user)];
+        const users = await User.find({ _id: { $in: ids } }).select(RECIPIENT_FIELDS).lean();
+        return users.map(fromUser);
+    },
+    // The first dispatcher to act on the call (acknowledge, dispatch or deny)
+    dispatcher: async (incident) => {
+        const taken = (incident.status_history || []).find((entry) =>
+            ["acknowledged", "dispatched", "denied"].includes(entry.to) && entry.changed_by);
+        if (!taken) return [];
+        const user = await User.findById(taken.changed_by).select(RECIPIENT_FIELDS).lean();
+        return user ? [fromUser(user)] : [];
+    },
+    dispatchers: async () => {
+        const users = await User.find({ role: "dispatcher" }).select(RECIPIENT_FIELDS).lean();
+        return users.map(fromUser);
+    }
+};
+
+const place = (incident) => {
+    const [lng, lat] = incident.location.coordinates;
+    return `${lat.toFixed(5)},${lng.toFixed(5)}`;
+};
+
+// Message for one audience about one event
+const compose = (audience, eventKey, incident, data) => {
+    const type = incident.incident_type;
+    const note = data.note ? ` Note: ${data.note}` : "";
+
+    if (audience === "reporter") {
+        const ref = incident.reference ? `Ref ${incident.reference}: ` : "";
+        return {
+            title: "Update on your emergency report",
+            body: `${ref}your ${type} report is ${STATUS_DESCRIPTIONS[incident.status] || incident.status}.`
+        };
+    }
+    if (eventKey === "incident.created") {
+        return {
+            title: `New incident: ${type} (priority ${incident.priority})`,
+            body: `A ${type} was reported at ${place(incident)} with priority ${incident.priority}.`
+        };
+    }
+    if (eventKey === "incident.priority") {
+        return {
+            title: `Priority changed to ${data.to}: ${type}`,
+            body: `The ${type} at ${place(incident)} is now priority ${data.to} (was ${data.from}). Reason: ${data.reason}`
+        };
+    }
+    if (audience === "crew" && eventKey === "assignment.offered") {
+        return {
+            title: `New assignment: ${type} (priority ${incident.priority})`,
+            body: `Your ambulance has been dispatched to a ${type} at ${place(incident)}, priority ${incident.priority}. ` +
+                "Please accept or decline it in the app."
+        };
+    }
+    if (eventKey === "assignment.declined" || eventKey === "assignment.timed-out") {
+        const what = eventKey === "assignment.declined" ? "declined" : "did not answer";
+        const next = data.next_license_plate
+            ? `It has been offered to ${data.next_license_plate}.`
+            : "No other ambulance is available; please assign one.";
+        return {
+            title: `${data.license_plate || "Ambulance"} ${what}: ${type}`,
+            body: `${data.license_plate || "The ambulance"} ${what} the ${type} at ${place(incident)} (${data.reason}). ${next}`
+        };
+    }
+    return {
+        title: `Incident ${eventKey}: ${type}`,
+        body: `The ${type} at ${place(incident)} is now ${eventKey}.${note}`
+    };
+};
+
+// Deliver one message on every channel the recipient can be reached on, logging each attempt
+const deliver = async (recipient, message, { eventKey, audience, incident }) => {
+    for (const channel of channelsFor(recipient)) {
+        const entry = {
+            user: recipient.user ? recipient.user._id : null,
+            phone: recipient.phone,
+            channel,
+            event: eventKey.startsWith("incident.")
+                ? eventKey
+                : eventKey.startsWith("assignment.")
+                    ? `incident.assignment:${eventKey.slice("assignment.".length)}`
+                    : `incident.status:${eventKey}`,
+            audience,
+            incident: incident._id,
+            ...message
+        };
+        try {
+            await channels[channel]({ ...recipient, ...message, data: { incidentId: incident._id, event: entry.event } });
+            entry.status = "sent";
+        } catch (error) {
+            entry.status = "failed";
+            entry.error = error.message;
+        }
+        await Notification.create(entry);
+    }
+};
+
+/**
+ * Notify everyone configured for an event. `eventKey` is "incident.created", "incident.priority",
+ * "assignment.<outcome>" or the new status; whoever caused the event (data.changed_by, or data.caller for a
+ * caller acting by SMS) isn't told about their own action.
+ */
+const notifyIncidentEvent = async (eventKey, data) => {
+    const audiences = notificationConfig.audiences[eventKey] || [];
+    if (!audiences.length) return;
+
+    const incident = await Incident.findById(data.incidentId)
+        .select("user phone reference incident_type priority status status_history ambulance location")
+        .lean();
+    if (!incident) return;
+
+    // Callers acting by SMS have no account; they are known by their number (data.caller)
+    const actor = data.changed_by ? String(data.changed_by) : data.caller || null;
+    const notified = new Set();
+    for (const audience of audiences) {
+        const recipients = await AUDIENCES[audience](incident);
+        for (const recipient of recipients) {
+            const key = recipient.user ? String(recipient.user._id) : recipient.phone;
+            if (key === actor || notified.has(key)) continue;
+            notified.add(key);
+            await deliver(recipient, compose(audience, eventKey, incident, data), { eventKey, audience, incident });
+        }
+    }
+};
+
+// Subscribe to the dispatch event bus
+const startNotifications = () => {
+    dispatchEvents.on("event", async ({ type, data }) => {
+        const eventKey = type === "incident.status" ? data.to : type === "incident.assignment" ? `assignment.${data.outcome}` : type;
+        if (!["incident.created", "incident.status", "incident.priority", "incident.assignment"].includes(type)) return;
+        try {
+            await notifyIncidentEvent(eventKey, data);
+        } catch (error) {
+            console.error("Notification error:", error.message);
+        }
+    });
+};
+
+module.exports = { registerChannel, notifyIncidentEvent, startNotifications };
@@ -0,0 +1,118 @@
+const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Ambulance = require("../models/Ambulance");
+const Hospital = require("../models/Hospital");
+const Driver = require("../models/Driver");
+const Medic = require("../models/Medic");
+const { normalizeCoordinates } = require("./geo");
+const { checkCrewAssignment } = require("./crew");
+
+// Validation and construction of new users, ambulances, drivers and medics, shared by the
+// single-create routes and the bulk importer so both accept exactly the same records.
+// Each builder returns { error, status } or { doc } (an unsaved document, already validated);
+// driver and medic builders also return the `user` whose role they changed, to be saved alongside.
+
+const AMBULANCE_STATUSES = ["available", "on-duty", "maintenance"];
+
+const fail = (status, error) => ({ status, error });
+
+// Schema validation the save would run anyway, reported as a 400 instead of a server error
+const validated = async (doc) => {
+    try {
+        await doc.validate();
+        return null;
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) return fail(400, error.message);
+        throw error;
+    }
+};
+
+const findById = (Model, id) => (mongoose.isValidObjectId(id) ? Model.findById(id) : null);
+
+const buildUser = async ({ name, role, email, password, phone_number_1, phone_number_2 }) => {
+    if (!name || !role || !email || !password || !phone_number_1) {
+        return fail(400, "All required fields must be filled");
+    }
+
+    if (await User.exists({ email })) return fail(400, "Email already in use");
+    if (await User.exists({ phone_number_1 })) return fail(400, "Primary phone number already in use");
+    if (phone_number_2 && await User.exists({ phone_number_2 })) {
+        return fail(400, "Secondary phone number already in use");
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const doc = new User({ name, role, email, password: hashedPassword, phone_number_1, phone_number_2 });
+    return (await validated(doc)) || { doc };
+};
+
+// `coordinates` is [latitude, longitude]; swapped pairs are corrected
+const buildAmbulance = async ({ license_plate, status, home_hospital, coordinates }) => {
+    if (!license_plate || !status || !coordinates) return fail(400, "Missing required fields");
+
+    if (!AMBULANCE_STATUSES.includes(status)) return fail(400, "Invalid status value");
+
+    const position = normalizeCoordinates(coordinates);
+    if (!position) return fail(400, "Invalid coordinates");
+
+    if (home_hospital && !(await findById(Hospital, home_hospital))) return fail(404, "Hospital not found");
+
+    if (await Ambulance.exists({ license_plate })) return fail(400, "License plate already in use");
+
+    const doc = new Ambulance({
+        license_plate,
+        status,
+        home_hospital: home_hospital || null,
+        location: { type: "Point", coordinates: position },
+        location_updated_at: new Date()
+    });
+    return (await validated(doc)) || { doc };
+};
+
+const buildDriver = async ({ user_id, license_number, assigned_ambulance }) => {
+    if (!user_id || !license_number) return fail(400, "User ID and License Number are required");
+
+    const user = await findById(User, user_id);
+    if (!user) return fail(404, "User not found");
+    if (await Driver.exists({ user_id: user._id })) return fail(400, "User is already a driver");
+
+    if (assigned_ambulance) {
+        const crewError = await checkCrewAssignment("driver", assigned_ambulance);
+        if (crewError) return crewError;
+    }
+
+    user.role = "driver";
+    const doc = new Driver({
+        user_id: user._id,
+        license_number,
+        assigned_ambulance: assigned_ambulance || null
+    });
+    return (await validated(doc)) || { doc, user };
+};
+
+const buildMedic = async ({ user_id, specialty, assigned_ambulance }) => {
+    const user = await findById(User, user_id);
+    if (!user) return fail(404, "User not found");
+    if (user.role === "medic") return fail(400, "User is already a medic");
+
+    if (await Medic.exists({ phone: user.phone_number_1 })) return fail(400, "Phone number already belongs to a medic");
+
+    if (assigned_ambulance) {
+        const crewError = await checkCrewAssignment("medic", assigned_ambulance);
+        if (crewError) return crewError;
+    }
+
+    user.role = "medic";
+    const doc = new Medic({
+        user: user._id,
+        name: user.name,
+        phone: user.phone_number_1,
+        specialty,
+        assigned_ambulance: assigned_ambulance || null
+    });
+    return (await validated(doc)) || { doc, user };
+};
+
+module.exports = { AMBULANCE_STATUSES, buildUser, buildAmbulance, buildDriver, buildMedic };
@@ -0,0 +1,12 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Per-request context available anywhere down the call chain (e.g. in mongoose hooks) without threading `req` through
+const storage = new AsyncLocalStorage();
+
+const requestContext = (req, res, next) => {
+    storage.run({ req }, next);
+};
+
+const getRequestContext = () => storage.getStore();
+
+module.exports = { requestContext, getRequestContext };
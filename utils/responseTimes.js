@@ -0,0 +1,82 @@
+// Response-time measures derived from an incident's status history
+
+// Each measure runs from the call (reported_time) to the first time the incident reached `status`
+const MEASURES = {
+    call_to_dispatch: "dispatched",
+    call_to_scene: "on-scene"
+};
+
+const DIMENSIONS = ["priority", "incident_type", "ambulance", "hospital", "hour"];
+
+const firstReached = (incident, status) => {
+    const change = (incident.status_history || []).find((entry) => entry.to === status);
+    return change ? new Date(change.changed_at) : null;
+};
+
+// Seconds from the call to each measure's status, or null when the incident never got there
+const measureIncident = (incident) => {
+    const reported = new Date(incident.reported_time);
+    const timings = {};
+    for (const [measure, status] of Object.entries(MEASURES)) {
+        const reached = firstReached(incident, status);
+        timings[measure] = reached && reached >= reported ? Math.round((reached - reported) / 1000) : null;
+    }
+    return timings;
+};
+
+// Nearest-rank percentile of an ascending array
+const percentile = (sorted, p) => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+
+const summarize = (values) => {
+    if (!values.length) return { count: 0, median_s: null, p90_s: null };
+    const sorted = [...values].sort((a, b) => a - b);
+    return { count: sorted.length, median_s: percentile(sorted, 50), p90_s: percentile(sorted, 90) };
+};
+
+/**
+ * Collects timings per group. add(keys, timings) records one incident under
+ * { dimension: key } (keys of null are skipped); report() returns overall and per-group summaries.
+ */
+const createResponseTimeReport = (dimensions = DIMENSIONS) => {
+    const blank = () => ({ incidents: 0, values: Object.fromEntries(Object.keys(MEASURES).map((m) => [m, []])) });
+    const overall = blank();
+    const groups = Object.fromEntries(dimensions.map((dimension) => [dimension, new Map()]));
+
+    const record = (bucket, timings) => {
+        bucket.incidents += 1;
+        for (const measure of Object.keys(MEASURES)) {
+            if (timings[measure] !== null) bucket.values[measure].push(timings[measure]);
+        }
+    };
+
+    const summarizeBucket = (bucket) => ({
+        incidents: bucket.incidents,
+        ...Object.fromEntries(Object.entries(bucket.values).map(([measure, values]) => [measure, summarize(values)]))
+    });
+
+    return {
+        add(keys, timings) {
+            record(overall, timings);
+            for (const dimension of dimensions) {
+                const key = keys[dimension];
+                if (key === null || key === undefined) continue;
+                const id = String(key);
+                if (!groups[dimension].has(id)) groups[dimension].set(id, { key, ...blank() });
+                record(groups[dimension].get(id), timings);
+            }
+        },
+        report() {
+            return {
+                overall: summarizeBucket(overall),
+                by: Object.fromEntries(dimensions.map((dimension) => [
+                    dimension,
+                    [...groups[dimension].values()]
+                        .map((bucket) => ({ key: bucket.key, ...summarizeBucket(bucket) }))
+                        .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+                ]))
+            };
+        }
+    };
+};
+
+module.exports = { MEASURES, DIMENSIONS, firstReached, measureIncident, percentile, summarize, createResponseTimeReport };
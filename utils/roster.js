@@ -0,0 +1,60 @@
+const Shift = require("../models/Shift");
+const dispatchConfig = require("../config/dispatch");
+
+// Clocked in and the shift hasn't ended; crew who forget to clock out stop counting at the shift's end
+// (and are clocked out by the sweep below)
+const onShift = (filter = {}, now = new Date()) => ({ ...filter, status: "active", end: { $gt: now } });
+
+// Crew members currently clocked in on an ambulance
+const getCurrentCrew = (ambulanceId) =>
+    Shift.find(onShift({ ambulance: ambulanceId }))
+        .populate("crew_member", "name phone_number_1")
+        .sort({ role: 1, clock_in_at: 1 });
+
+// IDs of ambulances with a clocked-in crew member for every required role
+const getCrewedAmbulanceIds = async () => {
+    const crews = await Shift.aggregate([
+        { $match: onShift() },
+        { $group: { _id: "$ambulance", roles: { $addToSet: "$role" } } },
+        { $match: { roles: { $all: dispatchConfig.requiredCrewRoles } } }
+    ]);
+    return crews.map((crew) => crew._id);
+};
+
+// (distinct isn't part of the Stable API that config/db.js connects with, so roles are collected here)
+const isCrewed = async (ambulanceId) => {
+    const shifts = await Shift.find(onShift({ ambulance: ambulanceId })).select("role").lean();
+    const roles = new Set(shifts.map((shift) => shift.role));
+    return dispatchConfig.requiredCrewRoles.every((role) => roles.has(role));
+};
+
+// Clock out everyone still clocked in after their shift ended, as of the shift's end
+const closeOverrunShifts = async (now = new Date()) => {
+    const overrun = await Shift.find({ status: "active", end: { $lte: now } }).select("end");
+    for (const shift of overrun) {
+        await Shift.updateOne(
+            { _id: shift._id, status: "active" },
+            { status: "completed", clock_out_at: shift.end, auto_clocked_out: true }
+        );
+    }
+    return overrun.length;
+};
+
+const startShiftSweeper = () => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return; // A slow sweep shouldn't overlap the next one
+        running = true;
+        try {
+            await closeOverrunShifts();
+        } catch (error) {
+            console.error("Shift sweep failed:", error.message);
+        } finally {
+            running = false;
+        }
+    }, dispatchConfig.shiftCheckIntervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = { onShift, getCurrentCrew, getCrewedAmbulanceIds, isCrewed, closeOverrunShifts, startShiftSweeper };
@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const authConfig = require("../config/auth");
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret = () => crypto.randomBytes(32).toString("hex");
+
+const refreshExpiry = () => new Date(Date.now() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+// Short-lived access token tied to a session and to the user's current token version
+const signAccessToken = (user, session) =>
+    jwt.sign(
+        { userId: user._id, role: user.role, sid: session._id, tv: user.token_version },
+        authConfig.jwtSecret,
+        { expiresIn: authConfig.accessTokenTtl }
+    );
+
+// A short-lived token good for one purpose only (see authorize's `ticket` option), issued to a logged-in
+// user from their access token's claims; it dies with the session like the access token does
+const signTicket = (claims, purpose, ttlSeconds) =>
+    jwt.sign(
+        { userId: claims.userId, role: claims.role, sid: claims.sid, tv: claims.tv, purpose },
+        authConfig.jwtSecret,
+        { expiresIn: ttlSeconds }
+    );
+
+const tokenPair = (user, session, secret) => ({
+    accessToken: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: authConfig.accessTokenTtl
+});
+
+// Start a new session for a user who just logged in
+const createSession = async (user, req) => {
+    const secret = newSecret();
+    const session = await Session.create({
+        user: user._id,
+        refresh_token_hash: hashSecret(secret),
+        expires_at: refreshExpiry(),
+        last_used_at: new Date(),
+        ip: req.ip,
+        user_agent: req.get("User-Agent")
+    });
+    return tokenPair(user, session, secret);
+};
+
+// Exchange a refresh token for a new pair. A token that was already rotated away means it was stolen
+// or replayed, so the whole session is revoked. Resolves to null when the token is not usable.
+const rotateSession = async (refreshToken, req) => {
+    const [sessionId, secret] = String(refreshToken || "").split(".");
+    if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) return null;
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.revoked_at || session.expires_at < new Date()) return null;
+
+    if (session.refresh_token_hash !== hashSecret(secret)) {
+        session.revoked_at = new Date();
+        session.revoked_reason = "refresh token reuse";
+        await session.save();
+        return null;
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) return null;
+
+    const next = newSecret();
+    session.refresh_token_hash = hashSecret(next);
+    session.expires_at = refreshExpiry();
+    session.last_used_at = new Date();
+    session.ip = req.ip;
+    await session.save();
+
+    return tokenPair(user, session, next);
+};
+
+const revokeSession = (sessionId, reason) =>
+    Session.updateOne({ _id: sessionId, revoked_at: null }, { revoked_at: new Date(), revoked_reason: reason });
+
+// Kill every session of a user and invalidate access tokens already issued to them
+const revokeAllSessions = async (userId, reason) => {
+    await User.updateOne({ _id: userId }, { $inc: { token_version: 1 } });
+    await Session.updateMany({ user: userId, revoked_at: null }, { revoked_at: new Date(), revoked_reason: reason });
+};
+
+const isSessionActive = (sessionId) => Session.exists({ _id: sessionId, revoked_at: null });
+
+module.exports = { createSession, rotateSession, revokeSession, revokeAllSessions, isSessionActive, signTicket };
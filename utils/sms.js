@@ -0,0 +1,28 @@
+const fs = require("fs/promises");
+const path = require("path");
+const smsConfig = require("../config/sms");
+
+// Transports take { from, to, text } and return a promise
+const transports = {
+    // Append each message to a local file so flows can be exercised without a gateway account
+    outbox: async (message) => {
+        await fs.mkdir(path.dirname(smsConfig.outboxFile), { recursive: true });
+        await fs.appendFile(smsConfig.outboxFile, `${JSON.stringify({ ...message, at: new Date() })}\n`, "utf8");
+    },
+    console: async (message) => {
+        console.log(`📱 SMS to ${message.to}: ${message.text}`);
+    }
+};
+
+// Plug in a gateway (e.g. Africa's Talking or Twilio) and select it with SMS_TRANSPORT
+const registerSmsTransport = (name, send) => {
+    transports[name] = send;
+};
+
+const sendSms = async ({ to, text }) => {
+    const send = transports[smsConfig.transport];
+    if (!send) throw new Error(`Unknown SMS transport: ${smsConfig.transport}`);
+    await send({ from: smsConfig.senderId, to, text });
+};
+
+module.exports = { registerSmsTransport, sendSms };
@@ -0,0 +1,258 @@
+const crypto = require("crypto");
+const Incident = require("../models/Incident");
+const smsConfig = require("../config/sms");
+const { INCIDENT_TYPES } = require("../config/incidentTypes");
+const { STATUS_DESCRIPTIONS, TERMINAL_STATUSES, recordTransition } = require("./incidentLifecycle");
+const { getTriageProtocol, derivePriority, assessTriage } = require("./triage");
+const { findLikelyDuplicates } = require("./duplicates");
+const { normalizeCoordinates } = require("./geo");
+const { publish } = require("./events");
+const { queuePosition } = require("./dispatchQueue");
+
+// Emergency reports from phones without the app: SMS keywords and a USSD menu, both creating
+// anonymous incidents tied to the caller's number.
+//
+// SMS syntax (case-insensitive):
+//   SOS <what happened> AT <latitude>,<longitude>   e.g. "SOS road accident at -1.2921,36.8219"
+//   SOS <what happened> AT <area>                   e.g. "SOS fall at Westlands" (areas from config/sms.js)
+//   STATUS [reference]                              latest report when no reference is given
+//   CANCEL <reference>
+
+const UNSPECIFIED_TYPE = "emergency";
+const REFERENCE_LENGTH = 8; // Digits only, so it can be typed on any keypad
+
+const CALLER_CANCELLABLE = ["pending", "acknowledged"];
+
+const REPORTABLE_TYPES = Object.keys(INCIDENT_TYPES).filter((type) => type !== "default");
+
+const HELP_TEXT = "To report: SOS <what happened> AT <lat>,<lng> or AT <area>. " +
+    `Areas: ${smsConfig.areas.map((a) => a.name).join(", ")}. Check: STATUS <ref>. Cancel: CANCEL <ref>.`;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const newReference = () => Array.from(crypto.randomBytes(REFERENCE_LENGTH), (byte) => byte % 10).join("");
+
+// Resolve "lat,lng" or an area name to [lng, lat]. Returns null when neither matches.
+const parsePlace = (text) => {
+    const match = text.trim().match(/^(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)$/);
+    if (match) return normalizeCoordinates([match[1], match[2]]);
+
+    const name = text.trim().toLowerCase();
+    const area = smsConfig.areas.find((a) => a.name.toLowerCase() === name) ||
+        smsConfig.areas.find((a) => a.name.toLowerCase().startsWith(name));
+    return area ? [area.longitude, area.latitude] : null;
+};
+
+// Parse an inbound SMS. Returns { command, ... } or { error } with text to send back.
+const parseSms = (text) => {
+    const message = String(text || "").trim().replace(/\s+/g, " ");
+    const [keyword = "", ...rest] = message.split(" ");
+    const args = rest.join(" ");
+
+    switch (keyword.toUpperCase()) {
+        case "SOS":
+        case "HELP": {
+            if (!args) return { command: "help" };
+            // "<what> AT <place>", or "<what> <lat>,<lng>" without the AT
+            const at = ` ${args}`.toLowerCase().lastIndexOf(" at ");
+            const trailing = args.match(/^(.*?)\s*(-?\d+(?:\.\d+)?\s*[,\s]\s*-?\d+(?:\.\d+)?)$/);
+            let what;
+            let where;
+            if (at !== -1) [what, where] = [args.slice(0, Math.max(at - 1, 0)), args.slice(at + 3)];
+            else if (trailing) [what, where] = [trailing[1], trailing[2]];
+            else return { error: `Please tell us where you are. ${HELP_TEXT}` };
+
+            const coordinates = parsePlace(where);
+            if (!coordinates) return { error: `We could not find that place. ${HELP_TEXT}` };
+            return { command: "report", incident_type: what.trim().toLowerCase() || UNSPECIFIED_TYPE, coordinates };
+        }
+        case "STATUS":
+            return { command: "status", reference: args || null };
+        case "CANCEL":
+            if (!args) return { error: "Send CANCEL followed by your reference number." };
+            return { command: "cancel", reference: args };
+        default:
+            return { command: "help" };
+    }
+};
+
+// The caller's open report from the last few minutes, so repeated messages don't create new incidents
+const findRecentReport = (phone) => Incident.findOne({
+    phone,
+    source: { $in: ["sms", "ussd"] },
+    status: { $nin: TERMINAL_STATUSES },
+    reported_time: { $gte: new Date(Date.now() - smsConfig.repeatWindowMinutes * 60 * 1000) }
+}).sort({ reported_time: -1 });
+
+const findReport = (phone, reference) => (reference
+    ? Incident.findOne({ phone, reference: String(reference).trim() })
+    : Incident.findOne({ phone, source: { $in: ["sms", "ussd"] } }).sort({ reported_time: -1 }));
+
+/**
+ * Create an anonymous incident for a phone report. `triage` is what assessTriage() returned, or
+ * omitted when no questions were answered (the type's default priority applies).
+ * Returns { incident, repeated } — repeated is true when the caller already had an open report.
+ */
+const createPhoneReport = async ({ phone, source, incident_type, coordinates, triage }) => {
+    const recent = await findRecentReport(phone);
+    if (recent) return { incident: recent, repeated: true };
+
+    if (!triage) {
+        const { priority, matched_rules } = derivePriority(getTriageProtocol(incident_type), {});
+        triage = { answers: {}, derived_priority: priority, matched_rules };
+    }
+
+    const incident = new Incident({
+        user: null,
+        phone,
+        source,
+        location: { type: "Point", coordinates },
+        incident_type,
+        priority: triage.derived_priority,
+        triage,
+        status_history: [{ from: null, to: "pending", changed_by: null, note: `Reported by ${source.toUpperCase()}` }]
+    });
+
+    try {
+        const duplicates = await findLikelyDuplicates(incident);
+        incident.possible_duplicates = duplicates.map(({ incident: d, distance_m, minutes_apart }) => ({ incident: d._id, distance_m, minutes_apart }));
+    } catch (duplicateError) {
+        console.error("Duplicate check failed:", duplicateError.message);
+    }
+
+    // References are random; retry on the rare collision
+    for (let attempt = 1; ; attempt++) {
+        incident.reference = newReference();
+        try {
+            await incident.save();
+            break;
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= 5) throw error;
+        }
+    }
+
+    publish("incident.created", {
+        incidentId: incident._id,
+        incident_type: incident.incident_type,
+        priority: incident.priority,
+        location: incident.location,
+        reported_time: incident.reported_time,
+        possible_duplicates: incident.possible_duplicates,
+        source
+    });
+
+    return { incident, repeated: false };
+};
+
+const describe = (incident) => `Ref ${incident.reference}: ${STATUS_DESCRIPTIONS[incident.status] || incident.status}.`;
+
+const confirmation = ({ incident, repeated }) => (repeated
+    ? `We already have your report. ${describe(incident)} We will text you updates.`
+    : `Help is being arranged. Ref ${incident.reference}. Stay on this number; we will text you updates.`);
+
+// Handle one inbound SMS and return the reply text
+const handleSms = async ({ from, text }) => {
+    const parsed = parseSms(text);
+    if (parsed.error) return parsed.error;
+
+    if (parsed.command === "report") {
+        return confirmation(await createPhoneReport({
+            phone: from,
+            source: "sms",
+            incident_type: parsed.incident_type,
+            coordinates: parsed.coordinates
+        }));
+    }
+
+    if (parsed.command === "status") {
+        const incident = await findReport(from, parsed.reference);
+        if (!incident) return "We have no report with that reference from this number.";
+        const queued = await queuePosition(incident._id);
+        return queued ? `${describe(incident)} You are number ${queued.position} waiting for an ambulance.` : describe(incident);
+    }
+
+    if (parsed.command === "cancel") {
+        const incident = await findReport(from, parsed.reference);
+        if (!incident) return "We have no report with that reference from this number.";
+        // Once an ambulance is on its way only a dispatcher can stand it down
+        if (!CALLER_CANCELLABLE.includes(incident.status)) {
+            return `${describe(incident)} It can no longer be cancelled by text; please call the emergency line.`;
+        }
+        const previous = incident.status;
+        const note = "Cancelled by the caller by SMS";
+        recordTransition(incident, "cancelled", null, note);
+        await incident.save();
+        publish("incident.status", { incidentId: incident._id, from: previous, to: "cancelled", changed_by: null, caller: from, note, priority: incident.priority, ambulance: incident.ambulance });
+        return describe(incident);
+    }
+
+    return HELP_TEXT;
+};
+
+// USSD menus: `steps` are the caller's choices so far (the gateway sends them joined with "*").
+// Replies start with "CON " to ask for more input or "END " to close the session.
+const menu = (title, options) => `CON ${title}\n${options.map((option, i) => `${i + 1}. ${option}`).join("\n")}`;
+
+const pick = (list, step) => {
+    const index = Number(step) - 1;
+    return Number.isInteger(index) && index >= 0 && index < list.length ? list[index] : undefined;
+};
+
+const questionMenu = (question) => (question.type === "boolean"
+    ? menu(question.text, ["Yes", "No"])
+    : question.type === "choice"
+        ? menu(question.text, question.options.map((o) => capitalize(o.replace(/_/g, " "))))
+        : `CON ${question.text}`);
+
+const questionAnswer = (question, step) => {
+    if (question.type === "boolean") return { 1: true, 2: false }[step];
+    if (question.type === "choice") return pick(question.options, step);
+    return step;
+};
+
+const handleUssd = async ({ phoneNumber, text }) => {
+    const steps = String(text || "").split("*").filter((step) => step !== "");
+    const invalid = "END Invalid choice. Please dial again.";
+
+    if (steps.length === 0) return menu("Emergency ambulance", ["Report an emergency", "Check my last report"]);
+
+    if (steps[0] === "2") {
+        const incident = await findReport(phoneNumber, null);
+        return incident ? `END ${describe(incident)}` : "END We have no report from this number.";
+    }
+    if (steps[0] !== "1") return invalid;
+
+    const typeOptions = [...REPORTABLE_TYPES, UNSPECIFIED_TYPE];
+    if (steps.length === 1) return menu("What happened?", [...REPORTABLE_TYPES.map(capitalize), "Something else"]);
+    const incidentType = pick(typeOptions, steps[1]);
+    if (!incidentType) return invalid;
+
+    if (steps.length === 2) return menu("Where are you?", smsConfig.areas.map((a) => a.name));
+    const area = pick(smsConfig.areas, steps[2]);
+    if (!area) return invalid;
+
+    // Ask every required triage question for this type, one screen each
+    const questions = getTriageProtocol(incidentType).questions.filter((q) => q.required);
+    const answers = {};
+    for (const [i, question] of questions.entries()) {
+        const step = steps[3 + i];
+        if (step === undefined) return questionMenu(question);
+        const answer = questionAnswer(question, step);
+        if (answer === undefined) return invalid;
+        answers[question.id] = answer;
+    }
+
+    const { error, triage } = assessTriage(incidentType, answers);
+    if (error) return invalid;
+
+    const result = await createPhoneReport({
+        phone: phoneNumber,
+        source: "ussd",
+        incident_type: incidentType,
+        coordinates: [area.longitude, area.latitude],
+        triage
+    });
+    return `END ${confirmation(result)}`;
+};
+
+module.exports = { REPORTABLE_TYPES, parseSms, handleSms, handleUssd, createPhoneReport };
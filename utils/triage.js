@@ -0,0 +1,98 @@
+const { TRIAGE, getIncidentTypeProfile } = require("../config/incidentTypes");
+
+// Triage rule engine: turns answers to an incident type's questions into a priority (see config/incidentTypes.js)
+
+const YES = ["true", "yes", "y", "1"];
+const NO = ["false", "no", "n", "0"];
+
+// The full question set and rules for an incident type
+const getTriageProtocol = (incidentType) => {
+    const profile = getIncidentTypeProfile(incidentType);
+    return {
+        questions: [...TRIAGE.questions, ...(profile.questions || [])],
+        rules: [...TRIAGE.rules, ...(profile.rules || [])],
+        default_priority: profile.default_priority
+    };
+};
+
+// Coerce one answer to its question's type. Returns { value } or { error }.
+const parseAnswer = (question, raw) => {
+    if (question.type === "boolean") {
+        if (typeof raw === "boolean") return { value: raw };
+        const text = String(raw).trim().toLowerCase();
+        if (YES.includes(text)) return { value: true };
+        if (NO.includes(text)) return { value: false };
+        return { error: `${question.id} must be yes or no` };
+    }
+    if (question.type === "number") {
+        const value = Number(raw);
+        if (raw === "" || Number.isNaN(value) || (question.min !== undefined && value < question.min)) {
+            return { error: `${question.id} must be a number${question.min !== undefined ? ` of at least ${question.min}` : ""}` };
+        }
+        return { value };
+    }
+    const value = String(raw).trim().toLowerCase();
+    if (!question.options.includes(value)) return { error: `${question.id} must be one of: ${question.options.join(", ")}` };
+    return { value };
+};
+
+// Check answers against the protocol's questions. Returns { answers } (typed values) or { error }.
+const validateAnswers = (protocol, answers = {}) => {
+    if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+        return { error: "triage must be an object of answers keyed by question id" };
+    }
+
+    const known = new Set(protocol.questions.map((q) => q.id));
+    const unknown = Object.keys(answers).filter((id) => !known.has(id));
+    if (unknown.length) return { error: `Unknown triage questions: ${unknown.join(", ")}` };
+
+    const parsed = {};
+    const missing = [];
+    for (const question of protocol.questions) {
+        const raw = answers[question.id];
+        if (raw === undefined || raw === null || raw === "") {
+            if (question.required) missing.push(question.id);
+            continue;
+        }
+        const { error, value } = parseAnswer(question, raw);
+        if (error) return { error };
+        parsed[question.id] = value;
+    }
+    if (missing.length) return { error: `Missing triage answers: ${missing.join(", ")}` };
+
+    return { answers: parsed };
+};
+
+const conditionMatches = (condition, value) => {
+    if (value === undefined) return false;
+    if (Array.isArray(condition)) return condition.includes(value);
+    if (condition && typeof condition === "object") {
+        return (condition.min === undefined || value >= condition.min) && (condition.max === undefined || value <= condition.max);
+    }
+    return condition === value;
+};
+
+// The most urgent priority proposed by a matching rule, or the protocol default
+const derivePriority = (protocol, answers) => {
+    const matched = protocol.rules.filter((rule) =>
+        Object.entries(rule.when).every(([id, condition]) => conditionMatches(condition, answers[id])));
+    if (!matched.length) return { priority: protocol.default_priority, matched_rules: [] };
+
+    const priority = Math.min(...matched.map((rule) => rule.priority));
+    return { priority, matched_rules: matched.filter((rule) => rule.priority === priority).map((rule) => rule.id) };
+};
+
+/**
+ * Validate a report's answers and work out its priority.
+ * Returns { error } or { triage: { answers, derived_priority, matched_rules } } ready to store on the incident.
+ */
+const assessTriage = (incidentType, answers) => {
+    const protocol = getTriageProtocol(incidentType);
+    const result = validateAnswers(protocol, answers);
+    if (result.error) return { error: result.error };
+
+    const { priority, matched_rules } = derivePriority(protocol, result.answers);
+    return { triage: { answers: result.answers, derived_priority: priority, matched_rules } };
+};
+
+module.exports = { getTriageProtocol, validateAnswers, derivePriority, assessTriage };